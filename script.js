@@ -23,6 +23,8 @@ class ThemeManager {
         themeSwitch.checked = theme === 'dark';
         localStorage.setItem('theme', theme);
         this.currentTheme = theme;
+        // Let canvas-based widgets repaint with the new colour variables
+        document.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
     }
 
     toggleTheme() {
@@ -490,20 +492,36 @@ document.addEventListener('DOMContentLoaded', () => {
     window.accessibilityManager = new AccessibilityManager();
     
     // Initialize feature managers
+    window.unitConverter = new UnitConverter();
+    window.memberProfile = new MemberProfile();
     window.bmiCalculator = new BMICalculator();
     window.trainerBooking = new TrainerBooking();
+    window.myBookings = new MyBookings();
     window.scheduleManager = new ScheduleManager();
+    window.scheduleGrid = new ScheduleGrid();
+    window.scheduleFilter = new ScheduleFilter();
+    window.calendarExporter = new CalendarExporter();
     window.galleryManager = new GalleryManager();
-    window.progressTracker = new ProgressTracker();
     window.chatWidget = new ChatWidget();
     
     // Initialize new advanced features
     window.workoutGenerator = new WorkoutGenerator();
+    window.workoutSession = new WorkoutSession();
+    window.programPlanner = new ProgramPlanner();
     window.nutritionCalculator = new NutritionCalculator();
+    window.foodDiary = new FoodDiary();
+    window.mealPlanner = new MealPlanner();
     window.virtualTour = new VirtualTour();
     window.weatherWidget = new WeatherWidget();
     window.gymStats = new GymStats();
+    window.timerAudio = new TimerAudio();
+    window.timerPrograms = new TimerProgramManager();
+    // The journal must exist before the timer, which may finish a restored session as it is constructed
+    window.workoutJournal = new WorkoutJournal();
     window.workoutTimer = new WorkoutTimer();
+    window.workoutHistory = new WorkoutHistory();
+    window.progressTracker = new ProgressTracker();
+    window.measurementTracker = new MeasurementTracker();
 
     // Add loaded class to body for CSS animations
     document.body.classList.add('loaded');
@@ -607,11 +625,724 @@ if ('serviceWorker' in navigator) {
     });
 }
 
+// Shared Helpers
+// Small stateless helpers used by several managers.
+class Utils {
+    static escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Local calendar date as YYYY-MM-DD, the format of <input type="date">
+    static toDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Saves text content as a file through a temporary download link
+    static downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Unit Converter
+// Shared conversions between metric and imperial units. Values are always stored in metric
+// (cm, kg, m); forms show them through .unit-field containers, which hold one input group
+// per unit and remember the exact metric value they were given so switching units back and
+// forth never drifts.
+class UnitConverter {
+    constructor() {
+        this.cmPerInch = 2.54;
+        this.kgPerPound = 0.45359237;
+        this.poundsPerStone = 14;
+        this.metresPerYard = 0.9144;
+        // Input parts per unit; the first part of a metric unit keeps the field's own id
+        this.unitParts = {
+            cm: ['cm'],
+            ft: ['ft', 'in'],
+            in: ['in'],
+            kg: ['kg'],
+            lb: ['lb'],
+            st: ['st', 'lb']
+        };
+        this.quantityUnits = {
+            height: ['cm', 'ft'],
+            weight: ['kg', 'lb', 'st'],
+            girth: ['cm', 'in']
+        };
+        this.placeholders = {
+            cm: ['170'],
+            ft: ['5', '7'],
+            kg: ['70'],
+            lb: ['155'],
+            st: ['11', '0']
+        };
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('.unit-field').forEach(field => this.buildField(field));
+    }
+
+    unitsFor(system = 'metric', imperialWeight = 'lb') {
+        const imperial = system === 'imperial';
+        return {
+            system: imperial ? 'imperial' : 'metric',
+            height: imperial ? 'ft' : 'cm',
+            weight: imperial ? imperialWeight : 'kg',
+            girth: imperial ? 'in' : 'cm',
+            distance: imperial ? 'yd' : 'm'
+        };
+    }
+
+    // The member's preferred units, falling back to metric before a profile exists
+    preferred() {
+        return window.memberProfile ? window.memberProfile.getUnits() : this.unitsFor('metric');
+    }
+
+    round(value, decimals = 1) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    cmToInches(cm) {
+        return cm / this.cmPerInch;
+    }
+
+    inchesToCm(inches) {
+        return inches * this.cmPerInch;
+    }
+
+    // Rounds before splitting so 5 ft 11.97 in becomes 6 ft 0 in rather than 5 ft 12 in
+    cmToFeetInches(cm, decimals = 1) {
+        const totalInches = this.round(this.cmToInches(cm), decimals);
+        const feet = Math.floor(totalInches / 12);
+        return { feet, inches: this.round(totalInches - feet * 12, decimals) };
+    }
+
+    feetInchesToCm(feet, inches = 0) {
+        return this.inchesToCm(feet * 12 + inches);
+    }
+
+    kgToPounds(kg) {
+        return kg / this.kgPerPound;
+    }
+
+    poundsToKg(pounds) {
+        return pounds * this.kgPerPound;
+    }
+
+    kgToStonePounds(kg, decimals = 1) {
+        const totalPounds = this.round(this.kgToPounds(kg), decimals);
+        const stone = Math.floor(totalPounds / this.poundsPerStone);
+        return { stone, pounds: this.round(totalPounds - stone * this.poundsPerStone, decimals) };
+    }
+
+    stonePoundsToKg(stone, pounds = 0) {
+        return this.poundsToKg(stone * this.poundsPerStone + pounds);
+    }
+
+    metresToYards(metres) {
+        return metres / this.metresPerYard;
+    }
+
+    yardsToMetres(yards) {
+        return yards * this.metresPerYard;
+    }
+
+    // Metric value from the numbers entered for a unit (major and optional minor part)
+    toMetric(unit, major, minor = 0) {
+        switch (unit) {
+            case 'ft':
+                return this.feetInchesToCm(major, minor);
+            case 'in':
+                return this.inchesToCm(major);
+            case 'lb':
+                return this.poundsToKg(major);
+            case 'st':
+                return this.stonePoundsToKg(major, minor);
+            case 'yd':
+                return this.yardsToMetres(major);
+            default:
+                return major;
+        }
+    }
+
+    // Numbers to show for a metric value in a unit, one per input part
+    fromMetric(unit, value, decimals = 1) {
+        switch (unit) {
+            case 'ft': {
+                const { feet, inches } = this.cmToFeetInches(value, decimals);
+                return [feet, inches];
+            }
+            case 'in':
+                return [this.round(this.cmToInches(value), decimals)];
+            case 'lb':
+                return [this.round(this.kgToPounds(value), decimals)];
+            case 'st': {
+                const { stone, pounds } = this.kgToStonePounds(value, decimals);
+                return [stone, pounds];
+            }
+            case 'yd':
+                return [this.round(this.metresToYards(value), decimals)];
+            default:
+                return [this.round(value, decimals)];
+        }
+    }
+
+    format(value, unit, decimals = 1) {
+        const parts = this.fromMetric(unit, value, decimals);
+        if (unit === 'ft') return `${parts[0]} ft ${parts[1]} in`;
+        if (unit === 'st') return `${parts[0]} st ${parts[1]} lb`;
+        return `${parts[0]} ${unit}`;
+    }
+
+    // Rewrites distances such as "500m x 4" for members who think in yards
+    localizeDistances(text, units = this.preferred()) {
+        if (units.distance !== 'yd') return String(text);
+        return String(text).replace(/(\d+)\s*m\b/g, (match, metres) => `${Math.round(this.metresToYards(parseInt(metres)))} yd`);
+    }
+
+    buildField(field) {
+        const baseId = field.dataset.inputId;
+        const units = this.quantityUnits[field.dataset.quantity];
+        const required = field.hasAttribute('data-required');
+
+        field.innerHTML = units.map((unit, index) => `
+            <div class="input-group" data-unit="${unit}"${index > 0 ? ' hidden' : ''}>
+                ${this.unitParts[unit].map((part, partIndex) => {
+                    const id = index === 0 ? baseId : `${baseId}-${unit}${partIndex > 0 ? `-${part}` : ''}`;
+                    const placeholder = field.dataset.placeholder || (this.placeholders[unit] || [])[partIndex] || '';
+                    return `
+                        <input type="number" id="${id}" min="0" step="${partIndex === 0 && this.unitParts[unit].length > 1 ? '1' : 'any'}" placeholder="${placeholder}" aria-label="${field.dataset.label || field.dataset.quantity} (${part})"${index === 0 && required ? ' required' : ''}>
+                        <span class="unit-label">${part}</span>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+        field.dataset.activeUnit = units[0];
+    }
+
+    // Switches a field to another unit, carrying over whatever it currently holds
+    setFieldUnit(field, unit) {
+        if (field.dataset.activeUnit === unit) return;
+
+        const value = this.readField(field);
+        const required = field.hasAttribute('data-required');
+        field.querySelectorAll('[data-unit]').forEach(group => {
+            const active = group.dataset.unit === unit;
+            group.hidden = !active;
+            group.querySelectorAll('input').forEach((input, index) => {
+                input.required = active && required && index === 0;
+            });
+        });
+        field.dataset.activeUnit = unit;
+        this.writeField(field, value);
+    }
+
+    readField(field) {
+        const inputs = this.getFieldInputs(field);
+        if (inputs.every(input => input.value === '')) return NaN;
+
+        // Untouched since it was written: hand back the exact value rather than the rounded display
+        if (field.dataset.display === this.getDisplay(inputs) && field.dataset.metric !== undefined) {
+            return parseFloat(field.dataset.metric);
+        }
+
+        const [major, minor] = inputs.map(input => parseFloat(input.value) || 0);
+        return this.toMetric(field.dataset.activeUnit, major, minor);
+    }
+
+    writeField(field, value) {
+        const inputs = this.getFieldInputs(field);
+        if (value === undefined || value === null || isNaN(value)) {
+            this.clearField(field);
+            return;
+        }
+
+        const parts = this.fromMetric(field.dataset.activeUnit, value);
+        inputs.forEach((input, index) => {
+            input.value = String(parts[index]);
+        });
+        field.dataset.metric = String(value);
+        field.dataset.display = this.getDisplay(inputs);
+    }
+
+    clearField(field) {
+        field.querySelectorAll('input').forEach(input => {
+            input.value = '';
+        });
+        delete field.dataset.metric;
+        delete field.dataset.display;
+    }
+
+    getFieldInputs(field) {
+        const group = field.querySelector(`[data-unit="${field.dataset.activeUnit}"]`);
+        return group ? Array.from(group.querySelectorAll('input')) : [];
+    }
+
+    getDisplay(inputs) {
+        return inputs.map(input => input.value).join('|');
+    }
+
+    applyUnits(units = this.preferred()) {
+        document.querySelectorAll('.unit-field').forEach(field => {
+            const unit = units[field.dataset.quantity];
+            if (unit) this.setFieldUnit(field, unit);
+        });
+    }
+}
+
+// Member Profile Manager
+// One profile kept in localStorage and shared by the BMI, nutrition, workout and meal forms:
+// each form is pre-filled from it and writes back to it when submitted. Heights and weights
+// are stored in cm/kg; units holds the site-wide metric/imperial preference.
+class MemberProfile {
+    constructor(converter = window.unitConverter) {
+        this.converter = converter;
+        this.storageKey = 'fitzone-profile';
+        this.modal = document.getElementById('profile-modal');
+        this.toggleBtn = document.getElementById('profile-toggle');
+        this.unitsToggle = document.getElementById('units-toggle');
+        this.form = document.getElementById('profile-form');
+        this.summary = document.getElementById('profile-summary');
+        this.formIds = {
+            bmi: 'bmi-form',
+            nutrition: 'nutrition-form',
+            workout: 'workout-form',
+            meal: 'meal-form'
+        };
+        this.goalLabels = {
+            'weight-loss': 'Weight Loss',
+            'muscle-gain': 'Muscle Gain',
+            'strength': 'Strength Building',
+            'endurance': 'Endurance',
+            'flexibility': 'Flexibility',
+            'maintenance': 'Maintenance',
+            'athletic': 'Athletic Performance'
+        };
+        // Each form words goals differently; a profile goal is kept while it still maps to
+        // the submitted value, so submitting "maintain" does not erase "flexibility"
+        this.goalMaps = {
+            nutrition: { 'weight-loss': 'lose', 'muscle-gain': 'gain', 'strength': 'gain', 'endurance': 'maintain', 'flexibility': 'maintain', 'maintenance': 'maintain', 'athletic': 'maintain' },
+            workout: { 'weight-loss': 'weight-loss', 'muscle-gain': 'muscle-gain', 'strength': 'strength', 'endurance': 'endurance', 'flexibility': 'flexibility', 'athletic': 'endurance' },
+            meal: { 'weight-loss': 'weight-loss', 'muscle-gain': 'muscle-gain', 'strength': 'muscle-gain', 'endurance': 'athletic', 'flexibility': 'maintenance', 'maintenance': 'maintenance', 'athletic': 'athletic' }
+        };
+        this.nutritionGoals = { lose: 'weight-loss', maintain: 'maintenance', gain: 'muscle-gain' };
+        this.activityLevels = [1.2, 1.375, 1.55, 1.725, 1.9];
+        this.fitnessLevels = ['beginner', 'intermediate', 'advanced'];
+        this.equipmentOptions = ['none', 'basic', 'full'];
+        this.dietTypes = ['balanced', 'vegetarian', 'vegan', 'keto', 'paleo', 'mediterranean'];
+        this.allergens = ['nuts', 'dairy', 'gluten', 'shellfish', 'eggs', 'soy'];
+        this.listeners = [];
+        this.profile = this.load();
+        this.init();
+    }
+
+    init() {
+        this.converter.applyUnits(this.getUnits());
+        this.updateUnitsToggle();
+        this.fillForms();
+        this.bindFormEvents();
+        if (this.unitsToggle) {
+            this.unitsToggle.addEventListener('click', () => {
+                this.setUnitSystem(this.profile.units.system === 'imperial' ? 'metric' : 'imperial');
+            });
+        }
+        if (!this.modal || !this.toggleBtn || !this.form) return;
+        this.bindEvents();
+    }
+
+    bindFormEvents() {
+        Object.entries(this.formIds).forEach(([source, id]) => {
+            const form = document.getElementById(id);
+            if (!form) return;
+            form.addEventListener('submit', () => {
+                this.update(this.readForm(source), source);
+            });
+        });
+    }
+
+    bindEvents() {
+        this.toggleBtn.addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('profile-close').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.modal.querySelector('.modal-overlay').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.update(this.readPanel(), 'panel');
+            this.renderSummary('Profile saved. The calculators will use these details.');
+        });
+
+        document.getElementById('profile-export').addEventListener('click', () => {
+            this.exportProfile();
+        });
+
+        document.getElementById('profile-wipe').addEventListener('click', () => {
+            if (window.confirm('Delete your saved profile from this device?')) {
+                this.wipe();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('active')) {
+                this.close();
+            }
+        });
+    }
+
+    open() {
+        this.fillPanel();
+        this.renderSummary();
+        this.modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    close() {
+        this.modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return this.withDefaults(saved ? this.sanitize(saved) : {});
+        } catch (e) {
+            console.error('Member Profile: Could not read saved profile', e);
+            return this.withDefaults({});
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+    }
+
+    withDefaults(profile) {
+        return {
+            ...profile,
+            allergies: profile.allergies || [],
+            units: { system: 'metric', imperialWeight: 'lb', ...profile.units }
+        };
+    }
+
+    // Keeps only recognised, in-range values so a bad field never overwrites a good one
+    sanitize(data) {
+        const clean = {};
+        const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+        if (inRange(data.age, 10, 120)) clean.age = Math.round(data.age);
+        if (['male', 'female'].includes(data.gender)) clean.gender = data.gender;
+        // Kept to the gram/0.01 mm so imperial entries come back exactly as typed
+        if (inRange(data.heightCm, 50, 300)) clean.heightCm = this.converter.round(data.heightCm, 3);
+        if (inRange(data.weightKg, 20, 500)) clean.weightKg = this.converter.round(data.weightKg, 3);
+        if (this.activityLevels.includes(data.activityLevel)) clean.activityLevel = data.activityLevel;
+        if (Object.keys(this.goalLabels).includes(data.goal)) clean.goal = data.goal;
+        if (this.fitnessLevels.includes(data.fitnessLevel)) clean.fitnessLevel = data.fitnessLevel;
+        if (this.equipmentOptions.includes(data.equipment)) clean.equipment = data.equipment;
+        if (this.dietTypes.includes(data.dietType)) clean.dietType = data.dietType;
+        if (Array.isArray(data.allergies)) {
+            clean.allergies = data.allergies.filter(allergen => this.allergens.includes(allergen));
+        }
+        if (data.units) {
+            const units = {};
+            if (['metric', 'imperial'].includes(data.units.system)) units.system = data.units.system;
+            if (['lb', 'st'].includes(data.units.imperialWeight)) units.imperialWeight = data.units.imperialWeight;
+            // Profiles saved before the site-wide preference kept a unit per field
+            if (!units.system && (data.units.height === 'ft' || data.units.weight === 'lbs')) units.system = 'imperial';
+            if (Object.keys(units).length > 0) clean.units = units;
+        }
+        if (typeof data.updatedAt === 'string') clean.updatedAt = data.updatedAt;
+        return clean;
+    }
+
+    update(changes, source) {
+        const clean = this.sanitize(changes);
+        delete clean.updatedAt;
+        if (Object.keys(clean).length === 0) return;
+
+        const previousUnits = JSON.stringify(this.getUnits());
+        this.profile = {
+            ...this.profile,
+            ...clean,
+            units: { ...this.profile.units, ...clean.units },
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+
+        const unitsChanged = JSON.stringify(this.getUnits()) !== previousUnits;
+        if (unitsChanged) {
+            this.converter.applyUnits(this.getUnits());
+            this.updateUnitsToggle();
+        }
+        this.fillForms(source);
+        this.notify({ unitsChanged });
+    }
+
+    getUnits() {
+        return this.converter.unitsFor(this.profile.units.system, this.profile.units.imperialWeight);
+    }
+
+    setUnitSystem(system) {
+        this.update({ units: { system } }, 'units');
+    }
+
+    updateUnitsToggle() {
+        if (!this.unitsToggle) return;
+        const imperial = this.profile.units.system === 'imperial';
+        this.unitsToggle.innerHTML = `<i class="fas fa-ruler"></i> ${imperial ? 'Imperial' : 'Metric'}`;
+        this.unitsToggle.setAttribute('aria-label', `Units: ${imperial ? 'imperial' : 'metric'}. Switch to ${imperial ? 'metric' : 'imperial'}`);
+    }
+
+    wipe() {
+        const unitsChanged = this.profile.units.system !== 'metric';
+        localStorage.removeItem(this.storageKey);
+        this.profile = this.withDefaults({});
+        this.converter.applyUnits(this.getUnits());
+        this.updateUnitsToggle();
+        this.clearForms();
+        this.fillPanel();
+        this.renderSummary('Profile deleted.');
+        this.notify({ unitsChanged });
+    }
+
+    get() {
+        return this.profile;
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(changes = {}) {
+        this.listeners.forEach(listener => listener(this.profile, changes));
+    }
+
+    readForm(source) {
+        if (source === 'bmi') {
+            const gender = document.querySelector('#bmi-form input[name="gender"]:checked');
+            return {
+                age: parseInt(this.getValue('age')),
+                gender: gender ? gender.value : null,
+                heightCm: this.readUnitField('height-field'),
+                weightKg: this.readUnitField('weight-field')
+            };
+        }
+
+        if (source === 'nutrition') {
+            return {
+                age: parseInt(this.getValue('n-age')),
+                gender: this.getValue('n-gender'),
+                heightCm: this.readUnitField('n-height-field'),
+                weightKg: this.readUnitField('n-weight-field'),
+                activityLevel: parseFloat(this.getValue('activity-level')),
+                goal: this.goalFromForm('nutrition', this.getValue('nutrition-goal'))
+            };
+        }
+
+        if (source === 'workout') {
+            return {
+                fitnessLevel: this.getValue('fitness-level'),
+                equipment: this.getValue('equipment'),
+                goal: this.goalFromForm('workout', this.getValue('workout-goal'))
+            };
+        }
+
+        return {
+            dietType: this.getValue('diet-type'),
+            goal: this.goalFromForm('meal', this.getValue('meal-goal')),
+            allergies: this.getChecked('#meal-form input[name="allergies"]')
+        };
+    }
+
+    goalFromForm(source, value) {
+        if (!value) return null;
+        if (this.goalMaps[source][this.profile.goal] === value) return this.profile.goal;
+        return source === 'nutrition' ? this.nutritionGoals[value] : value;
+    }
+
+    fillForms(except) {
+        const profile = this.profile;
+
+        if (except !== 'bmi' && document.getElementById(this.formIds.bmi)) {
+            this.writeUnitField('height-field', profile.heightCm);
+            this.writeUnitField('weight-field', profile.weightKg);
+            this.setValue('age', profile.age);
+            if (profile.gender) {
+                document.querySelectorAll('#bmi-form input[name="gender"]').forEach(radio => {
+                    radio.checked = radio.value === profile.gender;
+                });
+            }
+        }
+
+        if (except !== 'nutrition') {
+            this.setValue('n-age', profile.age);
+            this.setValue('n-gender', profile.gender);
+            this.writeUnitField('n-height-field', profile.heightCm);
+            this.writeUnitField('n-weight-field', profile.weightKg);
+            this.setValue('activity-level', profile.activityLevel);
+            this.setValue('nutrition-goal', this.goalMaps.nutrition[profile.goal]);
+        }
+
+        if (except !== 'workout') {
+            this.setValue('fitness-level', profile.fitnessLevel);
+            this.setValue('equipment', profile.equipment);
+            this.setValue('workout-goal', this.goalMaps.workout[profile.goal]);
+        }
+
+        if (except !== 'meal') {
+            this.setValue('meal-goal', this.goalMaps.meal[profile.goal]);
+            this.setValue('diet-type', profile.dietType);
+            this.setChecked('#meal-form input[name="allergies"]', profile.allergies);
+        }
+    }
+
+    clearForms() {
+        ['age', 'n-age', 'n-gender', 'activity-level', 'nutrition-goal',
+            'fitness-level', 'equipment', 'workout-goal', 'meal-goal', 'diet-type'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) field.value = '';
+        });
+        ['height-field', 'weight-field', 'n-height-field', 'n-weight-field'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) this.converter.clearField(field);
+        });
+        this.setChecked('#meal-form input[name="allergies"]', []);
+    }
+
+    fillPanel() {
+        const profile = this.profile;
+        this.writeUnitField('profile-height-field', profile.heightCm);
+        this.writeUnitField('profile-weight-field', profile.weightKg);
+        this.form.querySelector('#profile-age').value = profile.age || '';
+        this.setValue('profile-units', profile.units.system);
+        this.setValue('profile-imperial-weight', profile.units.imperialWeight);
+        ['gender', 'activity', 'goal', 'level', 'equipment', 'diet'].forEach(field => {
+            this.form.querySelector(`#profile-${field}`).value = '';
+        });
+        this.setValue('profile-gender', profile.gender);
+        this.setValue('profile-activity', profile.activityLevel);
+        this.setValue('profile-goal', profile.goal);
+        this.setValue('profile-level', profile.fitnessLevel);
+        this.setValue('profile-equipment', profile.equipment);
+        this.setValue('profile-diet', profile.dietType);
+        this.setChecked('#profile-form input[name="profile-allergies"]', profile.allergies);
+    }
+
+    readPanel() {
+        return {
+            age: parseInt(this.getValue('profile-age')),
+            gender: this.getValue('profile-gender'),
+            heightCm: this.readUnitField('profile-height-field'),
+            weightKg: this.readUnitField('profile-weight-field'),
+            activityLevel: parseFloat(this.getValue('profile-activity')),
+            goal: this.getValue('profile-goal'),
+            fitnessLevel: this.getValue('profile-level'),
+            equipment: this.getValue('profile-equipment'),
+            dietType: this.getValue('profile-diet'),
+            allergies: this.getChecked('#profile-form input[name="profile-allergies"]'),
+            units: { system: this.getValue('profile-units'), imperialWeight: this.getValue('profile-imperial-weight') }
+        };
+    }
+
+    renderSummary(message) {
+        if (!this.summary) return;
+
+        const updated = this.profile.updatedAt
+            ? `Last updated ${new Date(this.profile.updatedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}.`
+            : 'No profile saved yet. Submitting any calculator also fills it in.';
+        this.summary.textContent = message ? `${message} ${updated}` : `${updated} Stored only in this browser.`;
+    }
+
+    exportProfile() {
+        const content = JSON.stringify({ format: 'fitzone-profile', version: 1, profile: this.profile }, null, 2);
+        Utils.downloadFile('fitzone-profile.json', content, 'application/json');
+    }
+
+    readUnitField(id) {
+        const field = document.getElementById(id);
+        return field ? this.converter.readField(field) : NaN;
+    }
+
+    writeUnitField(id, value) {
+        const field = document.getElementById(id);
+        if (field && value) this.converter.writeField(field, value);
+    }
+
+    getValue(id) {
+        const field = document.getElementById(id);
+        return field ? field.value : '';
+    }
+
+    // Only sets values the field can show, so an unknown option never blanks a select
+    setValue(id, value) {
+        const field = document.getElementById(id);
+        if (!field || value === undefined || value === null || value === '') return;
+
+        const text = String(value);
+        if (field.tagName === 'SELECT' && !Array.from(field.options).some(option => option.value === text)) return;
+        field.value = text;
+    }
+
+    getChecked(selector) {
+        return Array.from(document.querySelectorAll(`${selector}:checked`)).map(checkbox => checkbox.value);
+    }
+
+    setChecked(selector, values) {
+        document.querySelectorAll(selector).forEach(checkbox => {
+            checkbox.checked = values.includes(checkbox.value);
+            const label = checkbox.closest('.checkbox-label');
+            if (label) {
+                label.classList.toggle('checked', checkbox.checked);
+            }
+        });
+    }
+}
+
 // BMI Calculator Manager
 class BMICalculator {
     constructor() {
         this.form = document.getElementById('bmi-form');
         this.result = document.getElementById('bmi-result');
+        this.composition = document.getElementById('body-composition');
+        this.hasResult = false;
+        // Accepted girth ranges in cm
+        this.measurementRanges = {
+            neck: [20, 80],
+            waist: [40, 250],
+            hip: [50, 250]
+        };
+        // Gallagher et al. (2000) body-fat bands by age: [up to age, healthy from, overweight from, obese from]
+        this.bodyFatRanges = {
+            male: [[39, 8, 20, 25], [59, 11, 22, 28], [Infinity, 13, 25, 30]],
+            female: [[39, 21, 33, 39], [59, 23, 34, 40], [Infinity, 24, 36, 42]]
+        };
+        // Fat-free mass index bands: [average from, athletic from, very high from]
+        this.ffmiRanges = {
+            male: [18, 20, 23],
+            female: [15, 17, 20]
+        };
+        // Ideal-weight formulas are defined from 5 ft up
+        this.idealWeightMinHeight = 152.4;
         this.init();
     }
 
@@ -635,6 +1366,15 @@ class BMICalculator {
         
         // Ensure radio buttons work properly
         this.setupRadioButtons();
+
+        // Show the last result again in the newly preferred units
+        if (window.memberProfile) {
+            window.memberProfile.subscribe((profile, changes) => {
+                if (changes.unitsChanged && this.hasResult && profile.heightCm) {
+                    this.calculateBMI();
+                }
+            });
+        }
     }
 
     setupRadioButtons() {
@@ -654,66 +1394,43 @@ class BMICalculator {
     }
 
     calculateBMI() {
-        const heightInput = document.getElementById('height');
-        const weightInput = document.getElementById('weight');
+        const heightField = document.getElementById('height-field');
+        const weightField = document.getElementById('weight-field');
         const ageInput = document.getElementById('age');
         const genderInput = document.querySelector('input[name="gender"]:checked');
-        const heightUnitSelect = document.getElementById('height-unit');
-        const weightUnitSelect = document.getElementById('weight-unit');
 
         // Validate inputs exist
-        if (!heightInput || !weightInput || !ageInput || !genderInput || !heightUnitSelect || !weightUnitSelect) {
+        if (!heightField || !weightField || !ageInput || !genderInput) {
             console.error('BMI Calculator: Missing form elements');
             return;
         }
 
-        const height = parseFloat(heightInput.value);
-        const weight = parseFloat(weightInput.value);
+        const converter = window.unitConverter;
+        const units = converter.preferred();
+        const heightCm = converter.readField(heightField);
+        const weightKg = converter.readField(weightField);
         const age = parseInt(ageInput.value);
         const gender = genderInput.value;
-        const heightUnit = heightUnitSelect.value;
-        const weightUnit = weightUnitSelect.value;
 
         // Validate input values
-        if (!height || !weight || !age || height <= 0 || weight <= 0 || age <= 0) {
+        if (!heightCm || !weightKg || !age || heightCm <= 0 || weightKg <= 0 || age <= 0) {
             this.showError('Please enter valid positive numbers for all fields');
             return;
         }
 
-        // Validate reasonable ranges
-        if (heightUnit === 'cm' && (height < 50 || height > 300)) {
-            this.showError('Please enter a height between 50-300 cm');
-            return;
-        }
-        if (heightUnit === 'ft' && (height < 2 || height > 10)) {
-            this.showError('Please enter a height between 2-10 feet');
-            return;
-        }
-        if (weightUnit === 'kg' && (weight < 20 || weight > 500)) {
-            this.showError('Please enter a weight between 20-500 kg');
+        // Validate reasonable ranges, reported in the units the member entered
+        if (heightCm < 50 || heightCm > 300) {
+            this.showError(`Please enter a height between ${converter.format(50, units.height, 0)} and ${converter.format(300, units.height, 0)}`);
             return;
         }
-        if (weightUnit === 'lbs' && (weight < 40 || weight > 1100)) {
-            this.showError('Please enter a weight between 40-1100 lbs');
+        if (weightKg < 20 || weightKg > 500) {
+            this.showError(`Please enter a weight between ${converter.format(20, units.weight, 0)} and ${converter.format(500, units.weight, 0)}`);
             return;
         }
 
-        // Convert to metric if needed
-        let heightInM = height;
-        let weightInKg = weight;
-
-        if (heightUnit === 'ft') {
-            heightInM = height * 0.3048; // feet to meters
-        } else {
-            heightInM = height / 100; // cm to meters
-        }
-
-        if (weightUnit === 'lbs') {
-            weightInKg = weight * 0.453592; // lbs to kg
-        }
-
         // Calculate BMI
-        const bmi = weightInKg / (heightInM * heightInM);
+        const heightInM = heightCm / 100;
+        const bmi = weightKg / (heightInM * heightInM);
         
         // Validate BMI result
         if (isNaN(bmi) || !isFinite(bmi)) {
@@ -721,13 +1438,114 @@ class BMICalculator {
             return;
         }
 
-        this.displayResult(bmi, age, gender);
+        const measurements = this.readMeasurements(units);
+        if (measurements.error) {
+            this.showError(measurements.error);
+            return;
+        }
+
+        const composition = this.calculateComposition({
+            heightCm,
+            weightKg,
+            age,
+            gender,
+            ...measurements
+        });
+        composition.weightUnit = units.weight;
+
+        this.displayResult(bmi, age, gender, composition);
     }
 
-    showError(message) {
-        const bmiValue = document.getElementById('bmi-value');
-        const bmiCategory = document.getElementById('bmi-category');
-        const bmiRecommendation = document.getElementById('bmi-recommendation');
+    readMeasurements(units) {
+        const converter = window.unitConverter;
+        const measurements = {};
+
+        for (const [id, [min, max]] of Object.entries(this.measurementRanges)) {
+            const field = document.getElementById(`${id}-field`);
+            const value = field ? converter.readField(field) : NaN;
+            if (isNaN(value)) continue;
+
+            if (!(value >= min && value <= max)) {
+                return { error: `Please enter a ${id} measurement between ${converter.format(min, units.girth, 0)} and ${converter.format(max, units.girth, 0)}` };
+            }
+            measurements[id] = value;
+        }
+        return measurements;
+    }
+
+    calculateComposition({ heightCm, weightKg, age, gender, neck, waist, hip }) {
+        const composition = {
+            idealWeight: this.getIdealWeights(heightCm, gender),
+            weightKg
+        };
+
+        if (neck && waist && (gender === 'male' || hip)) {
+            composition.bodyFat = this.estimateNavyBodyFat(heightCm, neck, waist, hip, gender);
+        }
+        if (waist) {
+            composition.waistToHeight = waist / heightCm;
+            composition.waistLimit = this.getWaistToHeightLimit(age);
+        }
+
+        // Lean mass comes from the body-fat estimate when there is one, otherwise the Boer formula
+        if (composition.bodyFat !== undefined && composition.bodyFat !== null) {
+            composition.leanMass = weightKg * (1 - composition.bodyFat / 100);
+            composition.leanMassSource = 'US Navy body-fat estimate';
+        } else {
+            composition.leanMass = gender === 'male'
+                ? 0.407 * weightKg + 0.267 * heightCm - 19.2
+                : 0.252 * weightKg + 0.473 * heightCm - 48.3;
+            composition.leanMassSource = 'Boer formula (add measurements for a closer estimate)';
+        }
+        composition.ffmi = composition.leanMass / Math.pow(heightCm / 100, 2);
+        return composition;
+    }
+
+    // US Navy circumference method; returns null when the measurements cannot be used
+    estimateNavyBodyFat(heightCm, neck, waist, hip, gender) {
+        const girth = gender === 'male' ? waist - neck : waist + hip - neck;
+        if (girth <= 0) return null;
+
+        const bodyFat = gender === 'male'
+            ? 495 / (1.0324 - 0.19077 * Math.log10(girth) + 0.15456 * Math.log10(heightCm)) - 450
+            : 495 / (1.29579 - 0.35004 * Math.log10(girth) + 0.221 * Math.log10(heightCm)) - 450;
+        return bodyFat >= 2 && bodyFat <= 70 ? bodyFat : null;
+    }
+
+    getIdealWeights(heightCm, gender) {
+        // The formulas add weight per inch over 5 ft, so below that they shrink towards nothing
+        if (heightCm < this.idealWeightMinHeight) return null;
+
+        const inchesOver5ft = heightCm / 2.54 - 60;
+        const male = gender === 'male';
+        const formulas = {
+            Devine: (male ? 50 : 45.5) + 2.3 * inchesOver5ft,
+            Robinson: (male ? 52 : 49) + (male ? 1.9 : 1.7) * inchesOver5ft,
+            Miller: (male ? 56.2 : 53.1) + (male ? 1.41 : 1.36) * inchesOver5ft
+        };
+        const values = Object.values(formulas);
+        return { formulas, min: Math.min(...values), max: Math.max(...values) };
+    }
+
+    // Half your height until 40, easing to 0.6 by 50
+    getWaistToHeightLimit(age) {
+        if (age < 40) return 0.5;
+        if (age >= 50) return 0.6;
+        return 0.5 + (age - 40) / 100;
+    }
+
+    getBodyFatBand(age, gender) {
+        return this.bodyFatRanges[gender].find(([maxAge]) => age <= maxAge);
+    }
+
+    getBandIndex(value, thresholds) {
+        return thresholds.filter(threshold => value >= threshold).length;
+    }
+
+    showError(message) {
+        const bmiValue = document.getElementById('bmi-value');
+        const bmiCategory = document.getElementById('bmi-category');
+        const bmiRecommendation = document.getElementById('bmi-recommendation');
 
         if (bmiValue) bmiValue.textContent = 'Error';
         if (bmiCategory) bmiCategory.textContent = message;
@@ -737,17 +1555,21 @@ class BMICalculator {
                 <p>Check your input values and try calculating again.</p>
             `;
         }
+        if (this.composition) {
+            this.composition.innerHTML = '';
+        }
+        this.hasResult = false;
 
         // Show error styling
-        const chartBars = document.querySelectorAll('.chart-bar');
+        const chartBars = document.querySelectorAll('#bmi-chart .chart-bar');
         chartBars.forEach(bar => bar.classList.remove('active'));
     }
 
-    displayResult(bmi, age, gender) {
+    displayResult(bmi, age, gender, composition) {
         const bmiValue = document.getElementById('bmi-value');
         const bmiCategory = document.getElementById('bmi-category');
         const bmiRecommendation = document.getElementById('bmi-recommendation');
-        const chartBars = document.querySelectorAll('.chart-bar');
+        const chartBars = document.querySelectorAll('#bmi-chart .chart-bar');
 
         if (!bmiValue || !bmiCategory || !bmiRecommendation) {
             console.error('BMI Calculator: Missing result elements');
@@ -782,20 +1604,28 @@ class BMICalculator {
 
         // Highlight appropriate chart bar
         chartBars.forEach(bar => bar.classList.remove('active'));
-        const targetBar = document.querySelector(`.chart-bar.${categoryClass}`);
+        const targetBar = document.querySelector(`#bmi-chart .chart-bar.${categoryClass}`);
         if (targetBar) {
             targetBar.classList.add('active');
         }
 
+        const notes = composition ? this.getInterpretation(bmi, age, gender, composition) : [];
+
         // Update recommendation
         bmiRecommendation.innerHTML = `
             <h4>Recommendation for ${gender === 'male' ? 'Men' : 'Women'}, Age ${age}</h4>
             <p>${recommendation}</p>
+            ${notes.length > 0 ? `<ul class="composition-notes">${notes.map(note => `<li>${note}</li>`).join('')}</ul>` : ''}
             <button class="btn btn-primary" onclick="document.getElementById('membership').scrollIntoView({behavior: 'smooth'})">
                 View Our Programs
             </button>
         `;
 
+        if (composition) {
+            this.displayComposition(composition, age, gender);
+        }
+        this.hasResult = true;
+
         // Animate the result
         this.result.style.opacity = '0';
         setTimeout(() => {
@@ -805,18 +1635,421 @@ class BMICalculator {
         // Log success for debugging
         console.log(`BMI calculated successfully: ${bmi.toFixed(1)} (${category})`);
     }
+
+    displayComposition(composition, age, gender) {
+        if (!this.composition) return;
+
+        const metrics = [];
+        const people = gender === 'male' ? 'men' : 'women';
+        const formatWeight = (kg) => this.formatWeight(kg, composition.weightUnit);
+
+        if (composition.bodyFat !== undefined && composition.bodyFat !== null) {
+            const [maxAge, healthy, overweight, obese] = this.getBodyFatBand(age, gender);
+            const ages = maxAge === 39 ? '20-39' : maxAge === 59 ? '40-59' : '60+';
+            metrics.push({
+                title: 'Body Fat (US Navy)',
+                value: `${composition.bodyFat.toFixed(1)}%`,
+                labels: ['Low', 'Healthy', 'Overweight', 'Obese'],
+                thresholds: [healthy, overweight, obese],
+                current: composition.bodyFat,
+                format: value => `${value}%`,
+                note: `Ranges for ${people} aged ${ages}${age < 20 ? ' (teen ranges run a little lower)' : ''}.`
+            });
+        } else if (composition.bodyFat === null) {
+            metrics.push({
+                title: 'Body Fat (US Navy)',
+                value: '--',
+                note: gender === 'male'
+                    ? 'Your waist must measure more than your neck for this estimate. Please check both measurements.'
+                    : 'These measurements are outside what the formula can use. Please check your neck, waist and hips.'
+            });
+        }
+
+        if (composition.waistToHeight !== undefined) {
+            const limit = composition.waistLimit;
+            metrics.push({
+                title: 'Waist-to-Height Ratio',
+                value: composition.waistToHeight.toFixed(2),
+                labels: ['Slim', 'Healthy', 'Increased Risk', 'High Risk'],
+                thresholds: [0.4, limit, limit + 0.1],
+                current: composition.waistToHeight,
+                format: value => value.toFixed(2),
+                note: age < 40
+                    ? 'Keep your waist below half your height.'
+                    : `At ${age}, keeping your waist below ${limit.toFixed(2)}× your height is a healthy target.`
+            });
+        }
+
+        const ideal = composition.idealWeight;
+        if (ideal) {
+            const formulas = Object.entries(ideal.formulas).map(([name, kg]) => `${name} ${formatWeight(kg)}`).join(' • ');
+            metrics.push({
+                title: 'Ideal Weight',
+                value: `${formatWeight(ideal.min)} – ${formatWeight(ideal.max)}`,
+                labels: ['Below', 'Ideal', 'Above', 'Well Above'],
+                thresholds: [ideal.min, ideal.max, ideal.max * 1.1],
+                current: composition.weightKg,
+                format: value => window.unitConverter.fromMetric(composition.weightUnit === 'kg' ? 'kg' : 'lb', value, 0)[0],
+                note: `${formulas}. These formulas ignore muscle, so treat them as a rough guide.`
+            });
+        } else {
+            metrics.push({
+                title: 'Ideal Weight',
+                value: '--',
+                note: 'The Devine, Robinson and Miller formulas only work from 5 ft (152 cm) up, so there is no estimate for your height. Use your BMI as a guide instead.'
+            });
+        }
+
+        const [average, athletic, veryHigh] = this.ffmiRanges[gender];
+        metrics.push({
+            title: 'Lean Body Mass',
+            value: formatWeight(composition.leanMass),
+            labels: ['Low', 'Average', 'Athletic', 'Very High'],
+            classes: ['underweight', 'normal', 'normal', 'overweight'],
+            thresholds: [average, athletic, veryHigh],
+            current: composition.ffmi,
+            format: value => `${value}`,
+            note: `Fat-free mass index ${composition.ffmi.toFixed(1)} for ${people}, from the ${composition.leanMassSource}.`
+        });
+
+        this.composition.innerHTML = metrics.map(metric => this.renderMetric(metric)).join('');
+    }
+
+    // Reuses the BMI chart bars: four bands split by three thresholds, the current one active
+    renderMetric(metric) {
+        let chart = '';
+        if (metric.thresholds) {
+            const classes = metric.classes || ['underweight', 'normal', 'overweight', 'obese'];
+            const [low, mid, high] = metric.thresholds.map(metric.format);
+            const ranges = [`&lt;${low}`, `${low}-${mid}`, `${mid}-${high}`, `≥${high}`];
+            const activeIndex = this.getBandIndex(metric.current, metric.thresholds);
+            chart = `
+                <div class="bmi-chart">
+                    ${metric.labels.map((label, index) => `
+                        <div class="chart-bar ${classes[index]}${index === activeIndex ? ' active' : ''}">
+                            <span>${label}</span>
+                            <span>${ranges[index]}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="composition-metric">
+                <div class="composition-header">
+                    <h4>${metric.title}</h4>
+                    <span class="composition-value">${metric.value}</span>
+                </div>
+                ${chart}
+                <p class="composition-note">${metric.note}</p>
+            </div>
+        `;
+    }
+
+    getInterpretation(bmi, age, gender, composition) {
+        const notes = [];
+
+        if (age < 20) {
+            notes.push('Adult BMI categories do not apply under 20; growth charts use BMI-for-age percentiles instead.');
+        } else if (age >= 65) {
+            notes.push('Over 65, a BMI between 23 and 27 is linked with the best health outcomes, so a slightly higher reading is less of a concern.');
+        }
+
+        const bodyFat = composition.bodyFat;
+        if (bodyFat !== undefined && bodyFat !== null) {
+            const [, healthy, overweight] = this.getBodyFatBand(age, gender);
+            if (bmi >= 25 && bodyFat < overweight) {
+                notes.push('Your BMI reads high but your body fat is in range, which usually means extra muscle rather than extra fat.');
+            } else if (bmi < 25 && bodyFat >= overweight) {
+                notes.push('Your BMI is in range but your body fat is high; strength training can shift that balance without changing your weight much.');
+            } else if (bodyFat < healthy) {
+                notes.push(`Body fat below ${healthy}% can affect hormones and recovery${gender === 'female' ? ', including your cycle' : ''}.`);
+            }
+        }
+
+        if (composition.waistToHeight !== undefined && composition.waistToHeight >= composition.waistLimit) {
+            notes.push('Fat carried around the waist is the strongest predictor of heart and metabolic risk, so reducing your waist is worth prioritising.');
+        }
+        return notes;
+    }
+
+    formatWeight(kg, unit) {
+        return window.unitConverter.format(kg, unit, unit === 'kg' ? 1 : 0);
+    }
+}
+
+// Booking Store
+// Keeps bookings in localStorage. An optional remote adapter mirrors every change and
+// must implement fetchAll(), create(booking) and update(booking), each returning a Promise.
+class BookingStore {
+    constructor(storageKey = 'fitzone-bookings', remoteAdapter = null) {
+        this.storageKey = storageKey;
+        this.remoteAdapter = remoteAdapter;
+        // Length assumed for bookings saved before durations were recorded
+        this.defaultDuration = 60;
+        this.bookings = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            console.error('Booking Store: Could not read saved bookings', e);
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.bookings));
+    }
+
+    setRemoteAdapter(adapter) {
+        this.remoteAdapter = adapter;
+        return this.syncFromRemote();
+    }
+
+    syncFromRemote() {
+        if (!this.remoteAdapter) return Promise.resolve(this.bookings);
+
+        return this.remoteAdapter.fetchAll()
+            .then(remoteBookings => {
+                // Remote copies win for any booking both sides know about
+                const bookingsById = new Map(this.bookings.map(booking => [booking.id, booking]));
+                remoteBookings.forEach(booking => bookingsById.set(booking.id, booking));
+                this.bookings = Array.from(bookingsById.values());
+                this.save();
+                return this.bookings;
+            })
+            .catch(error => {
+                console.error('Booking Store: Remote sync failed', error);
+                return this.bookings;
+            });
+    }
+
+    pushToRemote(action, booking) {
+        if (!this.remoteAdapter) return;
+
+        this.remoteAdapter[action](booking).catch(error => {
+            console.error(`Booking Store: Remote ${action} failed`, error);
+        });
+    }
+
+    getSlotKey({ service, trainer, className, date, time }) {
+        switch (service) {
+            case 'group-class':
+                return `class:${className}:${date}:${time}`;
+            case 'personal-training':
+                return `trainer:${trainer}:${date}:${time}`;
+            default:
+                return `${service}:${date}:${time}`;
+        }
+    }
+
+    getActiveBookings(slotKey) {
+        return this.bookings
+            .filter(booking => booking.slotKey === slotKey && booking.status !== 'cancelled')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    getConfirmedCount(slotKey) {
+        return this.getActiveBookings(slotKey).filter(booking => booking.status === 'confirmed').length;
+    }
+
+    getWaitlist(slotKey) {
+        return this.getActiveBookings(slotKey).filter(booking => booking.status === 'waitlisted');
+    }
+
+    getWaitlistPosition(booking) {
+        return this.getWaitlist(booking.slotKey).findIndex(entry => entry.id === booking.id) + 1;
+    }
+
+    getBooking(id) {
+        return this.bookings.find(booking => booking.id === id) || null;
+    }
+
+    getUpcomingBookings(email, now = new Date()) {
+        const normalizedEmail = email.trim().toLowerCase();
+
+        return this.bookings
+            .filter(booking =>
+                booking.status !== 'cancelled' &&
+                booking.email.trim().toLowerCase() === normalizedEmail &&
+                new Date(`${booking.date}T${booking.time}`) >= now
+            )
+            .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+    }
+
+    findMemberConflict(email, date, time, duration, excludeId = null) {
+        const normalizedEmail = email.trim().toLowerCase();
+
+        return this.bookings.find(booking =>
+            booking.id !== excludeId &&
+            booking.status !== 'cancelled' &&
+            booking.email.trim().toLowerCase() === normalizedEmail &&
+            this.overlaps(booking, date, time, duration)
+        ) || null;
+    }
+
+    // Any live personal training session with the trainer that overlaps the requested time
+    findTrainerConflict(trainer, date, time, duration, excludeId = null) {
+        return this.bookings.find(booking =>
+            booking.id !== excludeId &&
+            booking.status !== 'cancelled' &&
+            booking.service === 'personal-training' &&
+            booking.trainer === trainer &&
+            this.overlaps(booking, date, time, duration)
+        ) || null;
+    }
+
+    overlaps(booking, date, time, duration) {
+        if (booking.date !== date) return false;
+
+        const start = this.toMinutes(time);
+        const bookingStart = this.toMinutes(booking.time);
+        const bookingEnd = bookingStart + (booking.duration || this.defaultDuration);
+        return start < bookingEnd && bookingStart < start + duration;
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    book(details, capacity) {
+        const slotKey = this.getSlotKey(details);
+        const status = this.getConfirmedCount(slotKey) < capacity ? 'confirmed' : 'waitlisted';
+        const booking = {
+            ...details,
+            id: this.generateId(),
+            slotKey,
+            capacity,
+            status,
+            createdAt: new Date().toISOString()
+        };
+
+        this.bookings.push(booking);
+        this.save();
+        this.pushToRemote('create', booking);
+        return booking;
+    }
+
+    cancel(id) {
+        const booking = this.getBooking(id);
+        if (!booking || booking.status === 'cancelled') return null;
+
+        const wasConfirmed = booking.status === 'confirmed';
+        booking.status = 'cancelled';
+        booking.cancelledAt = new Date().toISOString();
+
+        // A freed confirmed spot goes to the longest-waiting member
+        const promoted = wasConfirmed ? this.promoteFromWaitlist(booking.slotKey) : null;
+
+        this.save();
+        this.pushToRemote('update', booking);
+        return { booking, promoted };
+    }
+
+    reschedule(id, details, capacity) {
+        const existing = this.getBooking(id);
+        if (!existing || existing.status === 'cancelled') return null;
+
+        // Same slot: update in place so the member keeps their spot
+        if (this.getSlotKey(details) === existing.slotKey) {
+            Object.assign(existing, details, { updatedAt: new Date().toISOString() });
+            this.save();
+            this.pushToRemote('update', existing);
+            return { booking: existing, promoted: null };
+        }
+
+        // A confirmed member is never traded down to a waitlist: refuse before giving up their spot
+        if (existing.status === 'confirmed' && this.getConfirmedCount(this.getSlotKey(details)) >= capacity) {
+            return { booking: existing, promoted: null, full: true };
+        }
+
+        const { promoted } = this.cancel(id);
+        const booking = this.book({ ...details, rescheduledFrom: id }, capacity);
+        existing.rescheduledTo = booking.id;
+        this.save();
+        return { booking, promoted };
+    }
+
+    promoteFromWaitlist(slotKey) {
+        const [next] = this.getWaitlist(slotKey);
+        if (!next) return null;
+
+        next.status = 'confirmed';
+        next.promotedAt = new Date().toISOString();
+        this.pushToRemote('update', next);
+        return next;
+    }
+
+    generateId() {
+        return `bk-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Remote Booking Adapter (REST backend for BookingStore)
+class RemoteBookingAdapter {
+    constructor(endpoint) {
+        this.endpoint = endpoint.replace(/\/$/, '');
+    }
+
+    request(path, options = {}) {
+        return fetch(`${this.endpoint}${path}`, {
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    fetchAll() {
+        return this.request('/bookings');
+    }
+
+    create(booking) {
+        return this.request('/bookings', { method: 'POST', body: JSON.stringify(booking) });
+    }
+
+    update(booking) {
+        return this.request(`/bookings/${booking.id}`, { method: 'PUT', body: JSON.stringify(booking) });
+    }
 }
 
 // Trainer Booking Manager
 class TrainerBooking {
     constructor() {
         this.modal = document.getElementById('booking-modal');
+        this.form = document.getElementById('booking-form');
+        this.store = new BookingStore();
+        this.memberEmailKey = 'fitzone-member-email';
+        this.cancellationCutoffHours = 12;
+        this.reschedulingId = null;
+        this.sessionLength = 60; // minutes, for personal training and consultations
+        this.trainerAvailability = {
+            'Alex Johnson': { days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], start: '06:00', end: '20:00' },
+            'Sarah Martinez': { days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'], start: '06:00', end: '18:00' },
+            'Mike Thompson': { days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'sunday'], start: '07:00', end: '21:00' }
+        };
         this.init();
     }
 
     init() {
         if (!this.modal) return;
         this.bindEvents();
+        this.updateServiceFields();
+
+        // Optional settings configured in the markup
+        if (this.modal.dataset.cancelCutoffHours) {
+            this.cancellationCutoffHours = parseFloat(this.modal.dataset.cancelCutoffHours);
+        }
+        if (this.modal.dataset.bookingEndpoint) {
+            this.store.setRemoteAdapter(new RemoteBookingAdapter(this.modal.dataset.bookingEndpoint));
+        }
     }
 
     bindEvents() {
@@ -828,16 +2061,6 @@ class TrainerBooking {
             });
         });
 
-        // Class booking buttons
-        document.querySelectorAll('.class-item .btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const classItem = e.target.closest('.class-item');
-                const className = classItem.querySelector('h4').textContent;
-                const classTime = classItem.querySelector('.class-time').textContent;
-                this.openBookingModal(null, className, classTime);
-            });
-        });
-
         // Modal close events
         document.getElementById('booking-close').addEventListener('click', () => {
             this.closeBookingModal();
@@ -847,26 +2070,75 @@ class TrainerBooking {
             this.closeBookingModal();
         });
 
+        // Show trainer or class pickers for the chosen service
+        document.getElementById('booking-service').addEventListener('change', () => {
+            this.updateServiceFields();
+        });
+
+        document.getElementById('booking-class').addEventListener('change', () => {
+            this.applyClassSelection();
+        });
+
         // Form submission
-        document.getElementById('booking-form').addEventListener('submit', (e) => {
+        this.form.addEventListener('submit', (e) => {
             e.preventDefault();
             this.handleBookingSubmission();
         });
     }
 
-    openBookingModal(trainerName = null, className = null, classTime = null) {
+    openBookingModal(trainerName = null, className = null, classTime = null, day = null) {
         const serviceSelect = document.getElementById('booking-service');
-        
+        this.populateClassOptions();
+
         if (trainerName) {
             serviceSelect.value = 'personal-training';
-            // You could also pre-fill trainer preference
+            document.getElementById('booking-trainer').value = trainerName;
         } else if (className) {
             serviceSelect.value = 'group-class';
+            const classItem = window.scheduleManager && window.scheduleManager.findClass(className, classTime, day);
+            if (classItem) {
+                document.getElementById('booking-class').value = this.getClassOptionValue(classItem);
+                this.applyClassSelection();
+            }
             // Pre-fill class details in message
             const messageField = document.getElementById('booking-message');
             messageField.value = `I'd like to book the ${className} class at ${classTime}.`;
         }
 
+        this.updateServiceFields();
+        this.modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    openRescheduleModal(booking) {
+        if (!this.canModify(booking)) {
+            this.showErrorMessage(`Bookings can only be changed more than ${this.cancellationCutoffHours} hours in advance.`);
+            return;
+        }
+
+        this.populateClassOptions();
+        this.reschedulingId = booking.id;
+
+        document.getElementById('booking-name').value = booking.name;
+        document.getElementById('booking-email').value = booking.email;
+        document.getElementById('booking-phone').value = booking.phone;
+        document.getElementById('booking-service').value = booking.service;
+        document.getElementById('booking-trainer').value = booking.trainer || '';
+        document.getElementById('booking-message').value = booking.message || '';
+
+        if (booking.service === 'group-class' && window.scheduleManager) {
+            const classItem = window.scheduleManager.findClass(booking.className, null, booking.classDay);
+            if (classItem) {
+                document.getElementById('booking-class').value = this.getClassOptionValue(classItem);
+            }
+        }
+
+        document.getElementById('booking-date').value = booking.date;
+        this.setTimeValue(booking.time, this.formatTime(booking.time));
+
+        this.modal.querySelector('h3').textContent = 'Reschedule Booking';
+        this.form.querySelector('.btn').textContent = 'Update Booking';
+        this.updateServiceFields();
         this.modal.classList.add('active');
         document.body.style.overflow = 'hidden';
     }
@@ -874,1400 +2146,6948 @@ class TrainerBooking {
     closeBookingModal() {
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
-        document.getElementById('booking-form').reset();
+        this.form.reset();
+        this.updateServiceFields();
+
+        if (this.reschedulingId) {
+            this.reschedulingId = null;
+            this.modal.querySelector('h3').textContent = 'Book a Session';
+            this.form.querySelector('.btn').textContent = 'Book Session';
+        }
     }
 
-    handleBookingSubmission() {
-        const formData = new FormData(document.getElementById('booking-form'));
-        const bookingData = Object.fromEntries(formData);
+    canModify(booking, now = new Date()) {
+        const hoursUntilStart = (new Date(`${booking.date}T${booking.time}`) - now) / (60 * 60 * 1000);
+        return hoursUntilStart >= this.cancellationCutoffHours;
+    }
 
-        // Simulate booking submission
-        const submitBtn = document.querySelector('#booking-form .btn');
-        const originalText = submitBtn.textContent;
-        
-        submitBtn.textContent = 'Booking...';
-        submitBtn.disabled = true;
+    cancelBooking(id) {
+        const booking = this.store.getBooking(id);
+        if (!booking) return null;
 
-        setTimeout(() => {
-            submitBtn.textContent = 'Booked Successfully!';
-            submitBtn.style.background = '#28a745';
-            
-            setTimeout(() => {
-                this.closeBookingModal();
-                submitBtn.textContent = originalText;
-                submitBtn.disabled = false;
-                submitBtn.style.background = '';
-                
-                // Show success message
-                this.showSuccessMessage('Booking confirmed! We\'ll contact you soon.');
-            }, 2000);
-        }, 1500);
+        if (!this.canModify(booking)) {
+            this.showErrorMessage(`Bookings can only be cancelled more than ${this.cancellationCutoffHours} hours in advance.`);
+            return null;
+        }
 
-        console.log('Booking submitted:', bookingData);
+        const result = this.store.cancel(id);
+        if (result) {
+            this.showSuccessMessage(result.promoted
+                ? 'Your booking has been cancelled and your spot has gone to the next member on the waitlist.'
+                : 'Your booking has been cancelled.');
+        }
+        return result;
     }
 
-    showSuccessMessage(message) {
-        const successDiv = document.createElement('div');
-        successDiv.className = 'success-message';
-        successDiv.innerHTML = `
-            <div class="success-content">
-                <i class="fas fa-check-circle"></i>
-                <p>${message}</p>
-            </div>
-        `;
-        successDiv.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #28a745;
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: 8px;
-            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-            z-index: 3000;
-            animation: slideInRight 0.3s ease;
-        `;
-
-        document.body.appendChild(successDiv);
+    updateServiceFields() {
+        const service = document.getElementById('booking-service').value;
+        const trainerGroup = document.getElementById('booking-trainer-group');
+        const classGroup = document.getElementById('booking-class-group');
 
-        setTimeout(() => {
-            successDiv.remove();
-        }, 5000);
+        trainerGroup.style.display = service === 'personal-training' ? '' : 'none';
+        classGroup.style.display = service === 'group-class' ? '' : 'none';
+        document.getElementById('booking-trainer').required = service === 'personal-training';
+        document.getElementById('booking-class').required = service === 'group-class';
     }
-}
 
-// Schedule Manager
-class ScheduleManager {
-    constructor() {
-        this.tabs = document.querySelectorAll('.tab-btn');
-        this.schedules = document.querySelectorAll('.day-schedule');
-        this.init();
+    getClassOptionValue(classItem) {
+        return `${classItem.day}|${classItem.time}|${classItem.class}`;
     }
 
-    init() {
-        if (this.tabs.length === 0) return;
-        this.bindEvents();
-        this.populateScheduleData();
-    }
+    populateClassOptions() {
+        const classSelect = document.getElementById('booking-class');
+        const schedule = window.scheduleManager;
+        if (!schedule || classSelect.options.length > 1) return;
 
-    bindEvents() {
-        this.tabs.forEach(tab => {
-            tab.addEventListener('click', (e) => {
-                const day = e.target.dataset.day;
-                this.switchDay(day);
+        schedule.days.forEach(day => {
+            schedule.getClassesForDay(day).forEach(classItem => {
+                const option = document.createElement('option');
+                option.value = this.getClassOptionValue({ ...classItem, day });
+                option.textContent = `${classItem.class} (${this.capitalizeFirst(day)} ${classItem.time})`;
+                classSelect.appendChild(option);
             });
         });
     }
 
-    switchDay(day) {
-        // Update active tab
-        this.tabs.forEach(tab => tab.classList.remove('active'));
-        document.querySelector(`[data-day="${day}"]`).classList.add('active');
+    applyClassSelection() {
+        const value = document.getElementById('booking-class').value;
+        if (!value || !window.scheduleManager) return;
 
-        // Update active schedule
-        this.schedules.forEach(schedule => schedule.classList.remove('active'));
-        const targetSchedule = document.getElementById(day);
-        if (targetSchedule) {
-            targetSchedule.classList.add('active');
+        // Classes run at a fixed weekly slot, so date and time follow the class
+        const [day, classTime] = value.split('|');
+        const timeValue = window.scheduleManager.toTimeValue(classTime);
+        document.getElementById('booking-date').value = window.scheduleManager.getNextDateForDay(day, timeValue);
+        this.setTimeValue(timeValue, classTime);
+    }
+
+    setTimeValue(timeValue, label) {
+        const timeSelect = document.getElementById('booking-time');
+        if (!Array.from(timeSelect.options).some(option => option.value === timeValue)) {
+            const option = document.createElement('option');
+            option.value = timeValue;
+            option.textContent = label;
+            timeSelect.appendChild(option);
         }
+        timeSelect.value = timeValue;
     }
 
-    populateScheduleData() {
-        const scheduleData = {
-            wednesday: [
-                { time: '6:30 AM', class: 'Morning Stretch', trainer: 'Sarah Martinez', location: 'Studio A', duration: '45 min', difficulty: 'beginner' },
-                { time: '9:00 AM', class: 'Strength Circuit', trainer: 'Alex Johnson', location: 'Weight Room', duration: '60 min', difficulty: 'intermediate' },
-                { time: '6:00 PM', class: 'HIIT Express', trainer: 'Mike Thompson', location: 'Main Floor', duration: '30 min', difficulty: 'advanced' }
-            ],
-            thursday: [
-                { time: '7:00 AM', class: 'Yoga Flow', trainer: 'Sarah Martinez', location: 'Studio B', duration: '60 min', difficulty: 'beginner' },
-                { time: '12:30 PM', class: 'Lunch Pump', trainer: 'Alex Johnson', location: 'Weight Room', duration: '45 min', difficulty: 'intermediate' },
-                { time: '7:30 PM', class: 'Cardio Blast', trainer: 'Mike Thompson', location: 'Cardio Zone', duration: '45 min', difficulty: 'advanced' }
-            ],
-            friday: [
-                { time: '6:00 AM', class: 'Power Yoga', trainer: 'Sarah Martinez', location: 'Studio A', duration: '60 min', difficulty: 'intermediate' },
-                { time: '8:30 AM', class: 'Functional Training', trainer: 'Alex Johnson', location: 'Functional Area', duration: '50 min', difficulty: 'intermediate' },
-                { time: '6:30 PM', class: 'Friday Night Burn', trainer: 'Mike Thompson', location: 'Main Floor', duration: '60 min', difficulty: 'advanced' }
-            ],
-            saturday: [
-                { time: '8:00 AM', class: 'Weekend Warrior', trainer: 'Alex Johnson', location: 'CrossFit Box', duration: '75 min', difficulty: 'advanced' },
-                { time: '10:00 AM', class: 'Family Yoga', trainer: 'Sarah Martinez', location: 'Studio A', duration: '45 min', difficulty: 'beginner' },
-                { time: '4:00 PM', class: 'Saturday Sweat', trainer: 'Mike Thompson', location: 'Main Floor', duration: '60 min', difficulty: 'intermediate' }
-            ],
-            sunday: [
-                { time: '9:00 AM', class: 'Sunday Stretch', trainer: 'Sarah Martinez', location: 'Studio B', duration: '60 min', difficulty: 'beginner' },
-                { time: '11:00 AM', class: 'Recovery Session', trainer: 'Alex Johnson', location: 'Recovery Room', duration: '45 min', difficulty: 'beginner' },
-                { time: '5:00 PM', class: 'Sunday Strength', trainer: 'Mike Thompson', location: 'Weight Room', duration: '50 min', difficulty: 'intermediate' }
-            ]
+    getFormData() {
+        const classValue = document.getElementById('booking-class').value;
+        const service = document.getElementById('booking-service').value;
+
+        return {
+            name: document.getElementById('booking-name').value.trim(),
+            email: document.getElementById('booking-email').value.trim(),
+            phone: document.getElementById('booking-phone').value.trim(),
+            service,
+            trainer: service === 'personal-training' ? document.getElementById('booking-trainer').value : null,
+            className: service === 'group-class' && classValue ? classValue.split('|')[2] : null,
+            classDay: service === 'group-class' && classValue ? classValue.split('|')[0] : null,
+            date: document.getElementById('booking-date').value,
+            time: document.getElementById('booking-time').value,
+            message: document.getElementById('booking-message').value.trim()
         };
+    }
 
-        // Populate missing days
-        Object.keys(scheduleData).forEach(day => {
-            const dayElement = document.getElementById(day);
-            if (dayElement && scheduleData[day]) {
-                dayElement.innerHTML = scheduleData[day].map(classItem => `
-                    <div class="class-item">
-                        <div class="class-time">${classItem.time}</div>
-                        <div class="class-info">
-                            <h4>${classItem.class}</h4>
-                            <p>${classItem.trainer} • ${classItem.location} • ${classItem.duration}</p>
-                            <span class="difficulty ${classItem.difficulty}">${classItem.difficulty}</span>
-                        </div>
-                        <button class="btn btn-sm btn-primary">Book Now</button>
-                    </div>
-                `).join('');
-
-                // Re-bind booking events for new elements
-                dayElement.querySelectorAll('.btn').forEach(btn => {
-                    btn.addEventListener('click', (e) => {
-                        const classItem = e.target.closest('.class-item');
-                        const className = classItem.querySelector('h4').textContent;
-                        const classTime = classItem.querySelector('.class-time').textContent;
-                        window.trainerBooking.openBookingModal(null, className, classTime);
-                    });
-                });
+    validateBooking(details) {
+        const schedule = window.scheduleManager;
+
+        if (!details.name || !details.email || !details.phone || !details.service || !details.date || !details.time) {
+            return { error: 'Please fill in all required fields.' };
+        }
+
+        if (new Date(`${details.date}T${details.time}`) < new Date()) {
+            return { error: 'Please choose a date and time in the future.' };
+        }
+
+        let capacity = 1;
+
+        if (details.service === 'group-class') {
+            const classItem = schedule && schedule.findClass(details.className, null, details.classDay);
+            if (!classItem) {
+                return { error: 'Please choose a class from the schedule.' };
+            }
+            if (schedule.getDayName(details.date) !== classItem.day) {
+                return { error: `${classItem.class} runs on ${this.capitalizeFirst(classItem.day)}s. Please pick a ${this.capitalizeFirst(classItem.day)}.` };
             }
+            details.time = schedule.toTimeValue(classItem.time);
+            details.trainer = classItem.trainer;
+            details.location = classItem.location;
+            details.duration = parseInt(classItem.duration);
+            capacity = schedule.getCapacity(classItem);
+        } else {
+            details.duration = this.sessionLength;
+        }
+
+        if (details.service === 'personal-training') {
+            if (!details.trainer) {
+                return { error: 'Please choose a trainer.' };
+            }
+            const conflict = this.getTrainerConflict(details.trainer, details.date, details.time);
+            if (conflict) {
+                return { error: conflict };
+            }
+        }
+
+        const memberConflict = this.store.findMemberConflict(details.email, details.date, details.time, details.duration, this.reschedulingId);
+        if (memberConflict) {
+            return { error: `You already have a booking on ${memberConflict.date} at ${this.formatTime(memberConflict.time)}.` };
+        }
+
+        return { capacity };
+    }
+
+    getTrainerConflict(trainer, date, time) {
+        const schedule = window.scheduleManager;
+        const availability = this.trainerAvailability[trainer];
+        if (!availability) {
+            return `${trainer} is not taking personal training bookings.`;
+        }
+
+        const day = schedule.getDayName(date);
+        if (!availability.days.includes(day)) {
+            return `${trainer} is not available on ${this.capitalizeFirst(day)}s.`;
+        }
+
+        const start = schedule.toMinutes(time);
+        const end = start + this.sessionLength;
+        if (start < schedule.toMinutes(availability.start) || end > schedule.toMinutes(availability.end)) {
+            return `${trainer} takes sessions between ${this.formatTime(availability.start)} and ${this.formatTime(availability.end)}.`;
+        }
+
+        // Trainers cannot run a private session while teaching a class
+        const clash = schedule.getTrainerClasses(trainer, day).find(classItem => {
+            const classStart = schedule.toMinutes(classItem.time);
+            const classEnd = classStart + parseInt(classItem.duration);
+            return start < classEnd && classStart < end;
         });
+        if (clash) {
+            return `${trainer} is teaching ${clash.class} at ${clash.time} that day.`;
+        }
+
+        // Trainers only take one client at a time; the member's own booking is ignored when rescheduling
+        const booked = this.store.findTrainerConflict(trainer, date, time, this.sessionLength, this.reschedulingId);
+        if (booked) {
+            return `${trainer} already has a session booked at ${this.formatTime(booked.time)} that day. Please choose another time.`;
+        }
+
+        return null;
+    }
+
+    handleBookingSubmission() {
+        const details = this.getFormData();
+        const validation = this.validateBooking(details);
+
+        if (validation.error) {
+            this.showErrorMessage(validation.error);
+            return;
+        }
+
+        const isReschedule = Boolean(this.reschedulingId);
+        let booking;
+        if (isReschedule) {
+            const result = this.store.reschedule(this.reschedulingId, details, validation.capacity);
+            if (!result) {
+                this.showErrorMessage('This booking has already been cancelled, so it cannot be moved. Please make a new booking instead.');
+                return;
+            }
+            if (result.full) {
+                this.showErrorMessage('That session is full. Your current booking has been kept; please choose another time.');
+                return;
+            }
+            booking = result.booking;
+        } else {
+            booking = this.store.book(details, validation.capacity);
+        }
+        const submitBtn = this.form.querySelector('.btn');
+        const isConfirmed = booking.status === 'confirmed';
+
+        localStorage.setItem(this.memberEmailKey, booking.email);
+
+        submitBtn.textContent = isConfirmed ? (isReschedule ? 'Booking Updated!' : 'Booked Successfully!') : 'Added to Waitlist';
+        submitBtn.style.background = isConfirmed ? '#28a745' : '#ffa500';
+        submitBtn.disabled = true;
+
+        setTimeout(() => {
+            this.closeBookingModal();
+            submitBtn.textContent = 'Book Session';
+            submitBtn.disabled = false;
+            submitBtn.style.background = '';
+
+            if (window.myBookings) {
+                window.myBookings.render();
+            }
+
+            const calendarAction = window.calendarExporter ? {
+                label: 'Add to Calendar',
+                onClick: () => window.calendarExporter.downloadBooking(booking)
+            } : null;
+
+            if (isConfirmed) {
+                this.showSuccessMessage(isReschedule ? 'Your booking has been moved.' : 'Booking confirmed! We\'ll contact you soon.', calendarAction);
+            } else {
+                const position = this.store.getWaitlistPosition(booking);
+                this.showSuccessMessage(`This session is full. You're #${position} on the waitlist and will be confirmed automatically if a spot opens.`, calendarAction);
+            }
+        }, 2000);
+    }
+
+    formatTime(timeValue) {
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        const period = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${minutes.toString().padStart(2, '0')} ${period}`;
+    }
+
+    capitalizeFirst(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    showSuccessMessage(message, action = null) {
+        this.showNotification(message, '#28a745', 'fa-check-circle', action);
+    }
+
+    showErrorMessage(message) {
+        this.showNotification(message, '#dc3545', 'fa-exclamation-circle');
+    }
+
+    showNotification(message, background, icon, action = null) {
+        const notification = document.createElement('div');
+        notification.className = 'success-message';
+        notification.innerHTML = `
+            <div class="success-content">
+                <i class="fas ${icon}"></i>
+                <p>${message}</p>
+                ${action ? `<button class="btn btn-sm btn-outline notification-action">${action.label}</button>` : ''}
+            </div>
+        `;
+        if (action) {
+            notification.querySelector('.notification-action').addEventListener('click', action.onClick);
+        }
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: ${background};
+            color: white;
+            padding: 1rem 1.5rem;
+            border-radius: 8px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+            z-index: 3000;
+            animation: slideInRight 0.3s ease;
+        `;
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 5000);
     }
 }
 
-// Gallery Manager
-class GalleryManager {
+// My Bookings Manager
+class MyBookings {
     constructor() {
-        this.filterBtns = document.querySelectorAll('.filter-btn');
-        this.galleryItems = document.querySelectorAll('.gallery-item');
-        this.modal = document.getElementById('gallery-modal');
-        this.currentImageIndex = 0;
-        this.images = [];
+        this.modal = document.getElementById('my-bookings-modal');
+        this.toggleBtn = document.getElementById('my-bookings-toggle');
+        this.list = document.getElementById('my-bookings-list');
+        this.lookupForm = document.getElementById('my-bookings-lookup');
+        this.emailInput = document.getElementById('my-bookings-email');
         this.init();
     }
 
     init() {
-        if (this.filterBtns.length === 0) return;
+        if (!this.modal || !this.toggleBtn) return;
         this.bindEvents();
-        this.collectImages();
-        this.setupCheckboxes();
     }
 
-    setupCheckboxes() {
-        // Ensure all checkboxes are clickable
-        const checkboxLabels = document.querySelectorAll('.checkbox-label');
-        
-        checkboxLabels.forEach(label => {
-            label.addEventListener('click', (e) => {
-                const checkbox = label.querySelector('input[type="checkbox"]');
-                if (checkbox && e.target !== checkbox) {
-                    e.preventDefault();
-                    checkbox.checked = !checkbox.checked;
-                    checkbox.dispatchEvent(new Event('change'));
-                }
-            });
+    bindEvents() {
+        this.toggleBtn.addEventListener('click', () => {
+            this.open();
         });
 
-        // Style checked checkboxes
-        const checkboxes = document.querySelectorAll('input[type="checkbox"]');
-        checkboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                const label = checkbox.closest('.checkbox-label');
-                if (label) {
-                    if (checkbox.checked) {
-                        label.classList.add('checked');
-                    } else {
-                        label.classList.remove('checked');
-                    }
-                }
-            });
+        document.getElementById('my-bookings-close').addEventListener('click', () => {
+            this.close();
         });
-    }
 
-    bindEvents() {
-        // Filter buttons
-        this.filterBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const filter = e.target.dataset.filter;
-                this.filterGallery(filter);
-                this.updateActiveFilter(e.target);
-            });
+        this.modal.querySelector('.modal-overlay').addEventListener('click', () => {
+            this.close();
         });
 
-        // Gallery items
-        this.galleryItems.forEach((item, index) => {
-            item.addEventListener('click', () => {
-                this.openModal(index);
-            });
+        this.lookupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            localStorage.setItem(window.trainerBooking.memberEmailKey, this.emailInput.value.trim());
+            this.render();
         });
 
-        // Modal controls
-        if (this.modal) {
-            document.getElementById('modal-close').addEventListener('click', () => {
-                this.closeModal();
-            });
-
-            document.getElementById('modal-overlay').addEventListener('click', () => {
-                this.closeModal();
-            });
-
-            document.getElementById('modal-prev').addEventListener('click', () => {
-                this.previousImage();
-            });
-
-            document.getElementById('modal-next').addEventListener('click', () => {
-                this.nextImage();
-            });
+        // Delegate actions for the rendered booking entries
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
 
-            // Keyboard navigation
-            document.addEventListener('keydown', (e) => {
-                if (!this.modal.classList.contains('active')) return;
-                
-                if (e.key === 'Escape') this.closeModal();
-                if (e.key === 'ArrowLeft') this.previousImage();
-                if (e.key === 'ArrowRight') this.nextImage();
-            });
-        }
-    }
+            const booking = window.trainerBooking.store.getBooking(button.dataset.id);
+            if (!booking) return;
 
-    collectImages() {
-        this.images = Array.from(this.galleryItems).map(item => {
-            const img = item.querySelector('img');
-            const btn = item.querySelector('.gallery-btn');
-            return {
-                src: btn ? btn.dataset.image : img.src,
-                alt: img.alt,
-                element: item
-            };
+            if (button.dataset.action === 'cancel') {
+                if (window.confirm(`Cancel your ${this.getBookingTitle(booking)} booking on ${booking.date}?`)) {
+                    window.trainerBooking.cancelBooking(booking.id);
+                    this.render();
+                }
+            } else if (button.dataset.action === 'reschedule') {
+                this.close();
+                window.trainerBooking.openRescheduleModal(booking);
+            } else if (button.dataset.action === 'calendar') {
+                window.calendarExporter.downloadBooking(booking);
+            }
         });
-    }
 
-    filterGallery(filter) {
-        this.galleryItems.forEach(item => {
-            const category = item.dataset.category;
-            const shouldShow = filter === 'all' || category === filter;
-            
-            item.style.display = shouldShow ? 'block' : 'none';
-            
-            // Add animation
-            if (shouldShow) {
-                item.style.opacity = '0';
-                item.style.transform = 'scale(0.8)';
-                setTimeout(() => {
-                    item.style.opacity = '1';
-                    item.style.transform = 'scale(1)';
-                }, 100);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('active')) {
+                this.close();
             }
         });
-
-        // Update visible images array
-        this.collectImages();
-        this.images = this.images.filter(img => 
-            img.element.style.display !== 'none'
-        );
-    }
-
-    updateActiveFilter(activeBtn) {
-        this.filterBtns.forEach(btn => btn.classList.remove('active'));
-        activeBtn.classList.add('active');
     }
 
-    openModal(index) {
-        this.currentImageIndex = index;
-        this.updateModalImage();
+    open() {
+        this.emailInput.value = localStorage.getItem(window.trainerBooking.memberEmailKey) || '';
+        this.render();
         this.modal.classList.add('active');
         document.body.style.overflow = 'hidden';
     }
 
-    closeModal() {
+    close() {
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
     }
 
-    updateModalImage() {
-        const modalImage = document.getElementById('modal-image');
-        const currentImage = this.images[this.currentImageIndex];
-        
-        if (currentImage) {
-            modalImage.src = currentImage.src;
-            modalImage.alt = currentImage.alt;
+    render() {
+        if (!this.list) return;
+
+        const booking = window.trainerBooking;
+        const email = localStorage.getItem(booking.memberEmailKey);
+        if (!email) {
+            this.list.innerHTML = '<p class="my-bookings-empty">Enter the email you booked with to see your upcoming sessions.</p>';
+            return;
         }
+
+        const upcoming = booking.store.getUpcomingBookings(email);
+        if (upcoming.length === 0) {
+            this.list.innerHTML = '<p class="my-bookings-empty">You have no upcoming bookings.</p>';
+            return;
+        }
+
+        this.list.innerHTML = upcoming.map(entry => {
+            const canModify = booking.canModify(entry);
+            const status = entry.status === 'waitlisted'
+                ? `Waitlist #${booking.store.getWaitlistPosition(entry)}`
+                : 'Confirmed';
+            // Bookings can come back from the remote adapter, so nothing from them is trusted as markup
+            const id = Utils.escapeHtml(entry.id);
+
+            return `
+                <div class="booking-entry">
+                    <div class="booking-entry-info">
+                        <h4>${Utils.escapeHtml(this.getBookingTitle(entry))}</h4>
+                        <p>${this.formatDate(entry.date)} • ${booking.formatTime(entry.time)}${entry.trainer ? ` • ${Utils.escapeHtml(entry.trainer)}` : ''}${entry.location ? ` • ${Utils.escapeHtml(entry.location)}` : ''}</p>
+                        <span class="booking-status ${entry.status === 'waitlisted' ? 'waitlisted' : 'confirmed'}">${status}</span>
+                    </div>
+                    <div class="booking-entry-actions">
+                        <button class="btn btn-sm btn-outline" data-action="calendar" data-id="${id}">
+                            <i class="fas fa-calendar-plus"></i> .ics
+                        </button>
+                        ${canModify ? `
+                            <button class="btn btn-sm btn-outline" data-action="reschedule" data-id="${id}">Reschedule</button>
+                            <button class="btn btn-sm btn-secondary" data-action="cancel" data-id="${id}">Cancel</button>
+                        ` : `
+                            <span class="booking-cutoff-note">Changes close ${booking.cancellationCutoffHours}h before start</span>
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
-    previousImage() {
-        this.currentImageIndex = (this.currentImageIndex - 1 + this.images.length) % this.images.length;
-        this.updateModalImage();
+    getBookingTitle(booking) {
+        const titles = {
+            'personal-training': 'Personal Training',
+            'nutrition-consultation': 'Nutrition Consultation'
+        };
+        return booking.className || titles[booking.service] || 'Session';
     }
 
-    nextImage() {
-        this.currentImageIndex = (this.currentImageIndex + 1) % this.images.length;
-        this.updateModalImage();
+    formatDate(dateString) {
+        return new Date(`${dateString}T00:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
     }
 }
 
-// Progress Tracker Manager
-class ProgressTracker {
+// Schedule Manager
+class ScheduleManager {
     constructor() {
-        this.canvas = document.getElementById('progress-chart-canvas');
-        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
-        this.stats = {
-            caloriesBurned: document.getElementById('calories-burned'),
-            workoutsCompleted: document.getElementById('workouts-completed'),
-            totalTime: document.getElementById('total-time'),
-            achievements: document.getElementById('achievements')
-        };
+        this.container = document.querySelector('.schedule-container');
+        this.content = document.querySelector('.schedule-content');
+        this.tabs = document.querySelectorAll('.tab-btn');
+        this.schedules = document.querySelectorAll('.day-schedule');
+        this.days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+        this.difficulties = ['beginner', 'intermediate', 'advanced'];
+        this.scheduleUrl = 'data/schedule.json';
+        this.roomCapacities = {};
+        this.defaultCapacity = 15;
+        this.scheduleData = {};
+        this.loaded = Promise.resolve(this.scheduleData);
         this.init();
     }
 
     init() {
-        if (!this.canvas) return;
-        this.animateStats();
-        this.drawChart();
+        if (this.tabs.length === 0) return;
+        if (this.container && this.container.dataset.scheduleSrc) {
+            this.scheduleUrl = this.container.dataset.scheduleSrc;
+        }
+        this.bindEvents();
+        this.switchDay(this.getToday());
+        this.loaded = this.loadSchedule();
     }
 
-    animateStats() {
-        const targetValues = {
-            caloriesBurned: 2450,
-            workoutsCompleted: 12,
-            totalTime: 18,
-            achievements: 5
-        };
+    bindEvents() {
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', (e) => {
+                const day = e.target.dataset.day;
+                this.switchDay(day);
+            });
+        });
+    }
 
-        Object.keys(targetValues).forEach(key => {
-            if (this.stats[key]) {
-                this.animateNumber(this.stats[key], targetValues[key], 2000);
+    switchDay(day) {
+        // Update active tab
+        this.tabs.forEach(tab => tab.classList.remove('active'));
+        document.querySelector(`[data-day="${day}"]`).classList.add('active');
+
+        // Update active schedule
+        this.schedules.forEach(schedule => schedule.classList.remove('active'));
+        const targetSchedule = document.getElementById(day);
+        if (targetSchedule) {
+            targetSchedule.classList.add('active');
+        }
+    }
+
+    getToday() {
+        return this.days[(new Date().getDay() + 6) % 7];
+    }
+
+    loadSchedule() {
+        return fetch(this.scheduleUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${this.scheduleUrl} (status ${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const errors = this.validateSchedule(data);
+                if (errors.length > 0) {
+                    this.renderError('The class schedule file is malformed.', errors);
+                    return this.scheduleData;
+                }
+
+                this.roomCapacities = data.rooms || {};
+                this.scheduleData = data.days;
+                this.populateScheduleData();
+                return this.scheduleData;
+            })
+            .catch(error => {
+                console.error('Schedule Manager:', error);
+                this.renderError('The class schedule could not be loaded. Please try again later.', [error.message]);
+                return this.scheduleData;
+            });
+    }
+
+    validateSchedule(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['Schedule must be a JSON object with a "days" property.'];
+        }
+
+        if (data.rooms !== undefined) {
+            if (!data.rooms || typeof data.rooms !== 'object' || Array.isArray(data.rooms)) {
+                errors.push('"rooms" must be an object mapping room names to capacities.');
+            } else {
+                Object.entries(data.rooms).forEach(([room, capacity]) => {
+                    if (!Number.isInteger(capacity) || capacity <= 0) {
+                        errors.push(`rooms["${room}"]: capacity must be a positive whole number.`);
+                    }
+                });
+            }
+        }
+
+        if (!data.days || typeof data.days !== 'object' || Array.isArray(data.days)) {
+            errors.push('"days" must be an object keyed by weekday.');
+            return errors;
+        }
+
+        Object.keys(data.days).forEach(day => {
+            if (!this.days.includes(day)) {
+                errors.push(`days["${day}"]: unknown day; expected one of ${this.days.join(', ')}.`);
             }
         });
+
+        this.days.forEach(day => {
+            const classes = data.days[day];
+            if (!Array.isArray(classes)) {
+                errors.push(`days.${day}: missing or not a list of classes.`);
+                return;
+            }
+
+            classes.forEach((classItem, index) => {
+                const path = `days.${day}[${index}]`;
+                if (!classItem || typeof classItem !== 'object') {
+                    errors.push(`${path}: must be an object.`);
+                    return;
+                }
+                if (typeof classItem.time !== 'string' || !/^(1[0-2]|[1-9]):[0-5]\d (AM|PM)$/.test(classItem.time)) {
+                    errors.push(`${path}.time: expected a time like "6:30 PM".`);
+                }
+                ['class', 'trainer', 'location'].forEach(field => {
+                    if (typeof classItem[field] !== 'string' || classItem[field].trim() === '') {
+                        errors.push(`${path}.${field}: required text is missing.`);
+                    }
+                });
+                if (typeof classItem.duration !== 'string' || !/^\d+ min$/.test(classItem.duration)) {
+                    errors.push(`${path}.duration: expected minutes like "45 min".`);
+                }
+                if (!this.difficulties.includes(classItem.difficulty)) {
+                    errors.push(`${path}.difficulty: must be one of ${this.difficulties.join(', ')}.`);
+                }
+                if (classItem.capacity !== undefined && (!Number.isInteger(classItem.capacity) || classItem.capacity <= 0)) {
+                    errors.push(`${path}.capacity: must be a positive whole number.`);
+                }
+            });
+        });
+
+        return errors;
     }
 
-    animateNumber(element, target, duration) {
-        const start = 0;
-        const startTime = performance.now();
+    renderError(message, details = []) {
+        if (!this.content) return;
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Easing function
-            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-            const current = Math.floor(start + (target - start) * easeOutQuart);
-            
-            element.textContent = current;
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                element.textContent = target;
+        this.content.innerHTML = `
+            <div class="schedule-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <h4>Schedule Unavailable</h4>
+                <p>${message}</p>
+                ${details.length > 0 ? `
+                    <ul>
+                        ${details.map(detail => `<li>${Utils.escapeHtml(detail)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    getClassesForDay(day) {
+        return this.scheduleData[day] || [];
+    }
+
+    findClass(className, classTime, day = null) {
+        const days = day ? [day] : this.days;
+
+        for (const scheduleDay of days) {
+            const match = this.getClassesForDay(scheduleDay).find(classItem =>
+                classItem.class === className && (!classTime || classItem.time === classTime)
+            );
+            if (match) {
+                return { ...match, day: scheduleDay };
             }
-        };
+        }
+        return null;
+    }
 
-        requestAnimationFrame(animate);
+    getCapacity(classItem) {
+        if (!classItem) return this.defaultCapacity;
+        return classItem.capacity || this.roomCapacities[classItem.location] || this.defaultCapacity;
     }
 
-    drawChart() {
-        if (!this.ctx) return;
+    getTrainerClasses(trainer, day) {
+        return this.getClassesForDay(day).filter(classItem => classItem.trainer === trainer);
+    }
 
-        const data = [65, 78, 82, 88, 92, 85, 90]; // Weekly progress data
-        const labels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-        
-        const canvas = this.canvas;
-        const ctx = this.ctx;
-        
-        // Set canvas size
-        canvas.width = 400;
-        canvas.height = 200;
-        
-        // Chart dimensions
-        const padding = 40;
-        const chartWidth = canvas.width - padding * 2;
-        const chartHeight = canvas.height - padding * 2;
-        
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Set styles
-        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim() + '20';
-        ctx.lineWidth = 3;
-        ctx.font = '12px Poppins, sans-serif';
-        ctx.textAlign = 'center';
-        
-        // Draw grid lines
-        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
-        ctx.lineWidth = 1;
-        
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (chartHeight / 5) * i;
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(canvas.width - padding, y);
-            ctx.stroke();
+    toTimeValue(timeLabel) {
+        // '6:30 PM' -> '18:30'
+        const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec(timeLabel.trim());
+        if (!match) return timeLabel;
+
+        let hours = parseInt(match[1]) % 12;
+        if (match[3].toUpperCase() === 'PM') hours += 12;
+        return `${hours.toString().padStart(2, '0')}:${match[2]}`;
+    }
+
+    toMinutes(timeValue) {
+        const [hours, minutes] = this.toTimeValue(timeValue).split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    getDayName(dateString) {
+        // Dates are local 'YYYY-MM-DD' strings from the booking form
+        const date = new Date(`${dateString}T00:00:00`);
+        return this.days[(date.getDay() + 6) % 7];
+    }
+
+    getNextDateForDay(day, time = null, fromDate = new Date()) {
+        const target = (this.days.indexOf(day) + 1) % 7;
+        const date = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+        date.setDate(date.getDate() + ((target - date.getDay() + 7) % 7));
+
+        // Today only counts if the class has not started yet
+        const minutesNow = fromDate.getHours() * 60 + fromDate.getMinutes();
+        if (time && date.getDate() === fromDate.getDate() && this.toMinutes(time) <= minutesNow) {
+            date.setDate(date.getDate() + 7);
         }
-        
-        // Draw chart line
-        ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
-        ctx.lineWidth = 3;
-        ctx.beginPath();
-        
-        data.forEach((value, index) => {
-            const x = padding + (chartWidth / (data.length - 1)) * index;
-            const y = padding + chartHeight - (value / 100) * chartHeight;
-            
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+        return Utils.toDateValue(date);
+    }
+
+    populateScheduleData() {
+        this.days.forEach(day => {
+            const dayElement = document.getElementById(day);
+            if (!dayElement) return;
+
+            const classes = this.getClassesForDay(day);
+            if (classes.length === 0) {
+                dayElement.innerHTML = '<p class="schedule-empty">No classes scheduled.</p>';
+                return;
             }
+
+            dayElement.innerHTML = this.renderClassItems(classes, day);
+            this.bindClassItems(dayElement);
         });
-        
-        ctx.stroke();
-        
-        // Draw data points
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
-        data.forEach((value, index) => {
-            const x = padding + (chartWidth / (data.length - 1)) * index;
-            const y = padding + chartHeight - (value / 100) * chartHeight;
-            
-            ctx.beginPath();
-            ctx.arc(x, y, 4, 0, Math.PI * 2);
-            ctx.fill();
-        });
-        
-        // Draw labels
-        ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary').trim();
-        labels.forEach((label, index) => {
-            const x = padding + (chartWidth / (data.length - 1)) * index;
-            const y = canvas.height - 10;
-            ctx.fillText(label, x, y);
+    }
+
+    renderClassItems(classes, day) {
+        return classes.map(classItem => `
+            <div class="class-item" data-day="${day}" data-index="${this.getClassesForDay(day).indexOf(classItem)}">
+                <div class="class-time">${classItem.time}</div>
+                <div class="class-info">
+                    <h4>${classItem.class}</h4>
+                    <p>${classItem.trainer} • ${classItem.location} • ${classItem.duration}</p>
+                    <span class="difficulty ${classItem.difficulty}">${classItem.difficulty}</span>
+                </div>
+                <button class="calendar-btn" title="Add to calendar" aria-label="Add ${classItem.class} to calendar">
+                    <i class="fas fa-calendar-plus"></i>
+                </button>
+                <button class="btn btn-sm btn-primary">Book Now</button>
+            </div>
+        `).join('');
+    }
+
+    bindClassItems(container) {
+        container.querySelectorAll('.class-item .btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const classItem = e.target.closest('.class-item');
+                const className = classItem.querySelector('h4').textContent;
+                const classTime = classItem.querySelector('.class-time').textContent;
+                window.trainerBooking.openBookingModal(null, className, classTime, classItem.dataset.day);
+            });
         });
     }
+
+    getClassFromElement(element) {
+        const classItem = element.closest('.class-item');
+        if (!classItem) return null;
+
+        const scheduledClass = this.getClassesForDay(classItem.dataset.day)[parseInt(classItem.dataset.index)];
+        return scheduledClass ? { ...scheduledClass, day: classItem.dataset.day } : null;
+    }
 }
 
-// Chat Widget Manager
-class ChatWidget {
+// Schedule Grid Manager
+class ScheduleGrid {
     constructor() {
-        this.widget = document.getElementById('chat-widget');
-        this.toggle = document.getElementById('chat-toggle');
-        this.window = document.getElementById('chat-window');
-        this.messages = document.getElementById('chat-messages');
-        this.input = document.getElementById('chat-input');
-        this.sendBtn = document.getElementById('chat-send');
-        this.closeBtn = document.getElementById('chat-close');
-        this.notification = document.getElementById('chat-notification');
-        this.isOpen = false;
+        this.container = document.getElementById('schedule-grid');
+        this.pixelsPerMinute = 1;
+        this.minBlockHeight = 36;
         this.init();
     }
 
     init() {
-        if (!this.widget) return;
+        if (!this.container) return;
         this.bindEvents();
-        this.setupBotResponses();
     }
 
     bindEvents() {
-        this.toggle.addEventListener('click', () => {
-            this.toggleChat();
-        });
+        this.container.addEventListener('click', (e) => {
+            const block = e.target.closest('.grid-block');
+            if (!block) return;
 
-        this.closeBtn.addEventListener('click', () => {
-            this.closeChat();
+            window.trainerBooking.openBookingModal(null, block.dataset.class, block.dataset.time, block.dataset.day);
         });
 
-        this.sendBtn.addEventListener('click', () => {
-            this.sendMessage();
+        this.container.addEventListener('keydown', (e) => {
+            const block = e.target.closest('.grid-block');
+            if (block && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                block.click();
+            }
         });
+    }
 
-        this.input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.sendMessage();
+    render(filter = () => true) {
+        const schedule = window.scheduleManager;
+        const eventsByDay = schedule.days.map(day => ({
+            day,
+            events: this.layoutDay(schedule.getClassesForDay(day)
+                .filter(classItem => filter({ ...classItem, day }))
+                .map(classItem => {
+                    const start = schedule.toMinutes(classItem.time);
+                    return { ...classItem, day, start, end: start + parseInt(classItem.duration) };
+                }))
+        }));
+
+        const allEvents = eventsByDay.flatMap(group => group.events);
+        if (allEvents.length === 0) {
+            this.container.innerHTML = '<p class="schedule-empty">No classes this week match your filters.</p>';
+            return;
+        }
+
+        // Show whole hours around the earliest and latest classes
+        const rangeStart = Math.floor(Math.min(...allEvents.map(event => event.start)) / 60) * 60;
+        const rangeEnd = Math.ceil(Math.max(...allEvents.map(event => event.end)) / 60) * 60;
+        const height = (rangeEnd - rangeStart) * this.pixelsPerMinute;
+        const hours = [];
+        for (let minutes = rangeStart; minutes < rangeEnd; minutes += 60) {
+            hours.push(minutes);
+        }
+
+        this.container.innerHTML = `
+            <div class="grid-inner">
+                <div class="grid-header">
+                    <div class="grid-corner"></div>
+                    ${eventsByDay.map(group => `<div class="grid-day-label">${group.day.slice(0, 3)}</div>`).join('')}
+                </div>
+                <div class="grid-body" style="height: ${height}px; background-size: 100% ${60 * this.pixelsPerMinute}px;">
+                    <div class="grid-times">
+                        ${hours.map(minutes => `
+                            <span class="grid-time-label" style="top: ${(minutes - rangeStart) * this.pixelsPerMinute}px;">${this.formatHour(minutes)}</span>
+                        `).join('')}
+                    </div>
+                    ${eventsByDay.map(group => `
+                        <div class="grid-day-column">
+                            ${group.events.map(event => this.renderBlock(event, rangeStart)).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderBlock(event, rangeStart) {
+        const top = (event.start - rangeStart) * this.pixelsPerMinute;
+        const height = Math.max((event.end - event.start) * this.pixelsPerMinute, this.minBlockHeight);
+        const width = 100 / event.columns;
+
+        return `
+            <div class="grid-block ${event.difficulty}" role="button" tabindex="0"
+                data-class="${event.class}" data-time="${event.time}" data-day="${event.day}"
+                title="${event.class} with ${event.trainer} (${event.location}, ${event.duration})"
+                style="top: ${top}px; height: ${height}px; left: ${event.column * width}%; width: calc(${width}% - 4px);">
+                <span class="grid-block-time">${event.time}</span>
+                <span class="grid-block-name">${event.class}</span>
+                <span class="grid-block-meta">${event.trainer} • ${event.location}</span>
+            </div>
+        `;
+    }
+
+    layoutDay(events) {
+        // Overlapping classes share the column width; each cluster of overlaps is laid out independently
+        const sorted = [...events].sort((a, b) => a.start - b.start || b.end - a.end);
+        let cluster = [];
+        let columnEnds = [];
+        let clusterEnd = -1;
+
+        const closeCluster = () => {
+            cluster.forEach(event => {
+                event.columns = columnEnds.length;
+            });
+            cluster = [];
+            columnEnds = [];
+        };
+
+        sorted.forEach(event => {
+            if (event.start >= clusterEnd) {
+                closeCluster();
             }
-        });
 
-        this.input.addEventListener('input', () => {
-            this.sendBtn.style.opacity = this.input.value.trim() ? '1' : '0.5';
+            let column = columnEnds.findIndex(end => end <= event.start);
+            if (column === -1) {
+                column = columnEnds.length;
+                columnEnds.push(event.end);
+            } else {
+                columnEnds[column] = event.end;
+            }
+
+            event.column = column;
+            cluster.push(event);
+            clusterEnd = Math.max(clusterEnd, event.end);
         });
+        closeCluster();
+
+        return sorted;
     }
 
-    toggleChat() {
-        if (this.isOpen) {
-            this.closeChat();
-        } else {
-            this.openChat();
-        }
+    formatHour(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return `${hours % 12 || 12} ${hours >= 12 ? 'PM' : 'AM'}`;
     }
+}
 
-    openChat() {
-        this.window.classList.add('active');
-        this.isOpen = true;
-        this.notification.style.display = 'none';
-        this.input.focus();
-        
-        // Scroll to bottom
-        setTimeout(() => {
-            this.messages.scrollTop = this.messages.scrollHeight;
-        }, 100);
+// Schedule Filter Manager
+class ScheduleFilter {
+    constructor() {
+        this.filterBar = document.getElementById('schedule-filters');
+        this.searchInput = document.getElementById('schedule-search');
+        this.selects = {
+            trainer: document.getElementById('schedule-filter-trainer'),
+            difficulty: document.getElementById('schedule-filter-difficulty'),
+            location: document.getElementById('schedule-filter-location'),
+            duration: document.getElementById('schedule-filter-duration'),
+            time: document.getElementById('schedule-filter-time')
+        };
+        this.viewBtns = document.querySelectorAll('.schedule-view-btn');
+        this.clearBtn = document.getElementById('schedule-filter-clear');
+        this.tabsContainer = document.querySelector('.schedule-tabs');
+        this.dayContent = document.querySelector('.schedule-content');
+        this.weekContainer = document.getElementById('schedule-week');
+        this.gridContainer = document.getElementById('schedule-grid');
+        this.filterKeys = ['q', 'trainer', 'difficulty', 'location', 'duration', 'time', 'view'];
+        this.state = this.getDefaultState();
+        this.init();
     }
 
-    closeChat() {
-        this.window.classList.remove('active');
-        this.isOpen = false;
+    init() {
+        if (!this.filterBar || !window.scheduleManager) return;
+        this.bindEvents();
+
+        window.scheduleManager.loaded.then(() => {
+            this.populateOptions();
+            this.state = this.readStateFromUrl();
+            this.syncControls();
+            this.applyFilters();
+        });
     }
 
-    sendMessage() {
-        const message = this.input.value.trim();
-        if (!message) return;
+    bindEvents() {
+        Object.entries(this.selects).forEach(([key, select]) => {
+            select.addEventListener('change', () => {
+                this.updateState({ [key]: select.value });
+            });
+        });
 
-        this.addMessage(message, 'user');
-        this.input.value = '';
-        this.sendBtn.style.opacity = '0.5';
+        let searchTimeout;
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.updateState({ q: this.searchInput.value.trim() });
+            }, 200);
+        });
 
-        // Simulate bot response
-        setTimeout(() => {
-            this.generateBotResponse(message);
-        }, 1000);
+        this.viewBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.updateState({ view: btn.dataset.view });
+            });
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            this.state = { ...this.getDefaultState(), view: this.state.view };
+            this.syncControls();
+            this.applyFilters();
+            this.writeStateToUrl();
+        });
     }
 
-    addMessage(text, sender) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${sender}-message`;
-        
-        const avatar = document.createElement('div');
-        avatar.className = 'message-avatar';
-        avatar.innerHTML = sender === 'user' ? '<i class="fas fa-user"></i>' : '<i class="fas fa-robot"></i>';
-        
-        const content = document.createElement('div');
-        content.className = 'message-content';
-        content.innerHTML = `
-            <p>${text}</p>
-            <span class="message-time">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
-        `;
-        
-        messageDiv.appendChild(avatar);
-        messageDiv.appendChild(content);
-        this.messages.appendChild(messageDiv);
-        
-        // Scroll to bottom
-        this.messages.scrollTop = this.messages.scrollHeight;
+    getDefaultState() {
+        return { q: '', trainer: '', difficulty: '', location: '', duration: '', time: '', view: 'day' };
     }
 
-    setupBotResponses() {
-        this.responses = {
-            greetings: [
-                "Hello! How can I help you with your fitness journey today?",
-                "Hi there! What questions do you have about our gym services?",
-                "Welcome to FitZone! I'm here to assist you."
-            ],
-            membership: [
-                "We have three membership tiers: Basic ($29/month), Premium ($59/month), and Elite ($99/month). Which would you like to know more about?",
-                "Our Premium membership is most popular - it includes 24/7 access, unlimited classes, and 2 personal training sessions per month!"
-            ],
-            classes: [
-                "We offer various classes including HIIT, Yoga, Pilates, Strength Training, and more! Check our schedule section for times.",
-                "Our group classes are led by certified trainers and suitable for all fitness levels. Would you like to book a class?"
-            ],
-            trainers: [
-                "Our expert trainers specialize in different areas: Alex (Strength & Conditioning), Sarah (Yoga & Pilates), and Mike (HIIT & Cardio).",
-                "All our trainers are certified professionals with years of experience. Would you like to book a session?"
-            ],
-            hours: [
-                "We're open Monday-Sunday, 5AM-11PM. Premium and Elite members get 24/7 access!",
-                "Our peak hours are 6-9AM and 5-8PM. Off-peak times are great for a less crowded experience."
-            ],
-            default: [
-                "That's a great question! For detailed information, I'd recommend speaking with our staff. You can call us at (555) 123-4567.",
-                "I'd be happy to help! Could you be more specific about what you're looking for?",
-                "For the best assistance with that, please contact our front desk or book a consultation with one of our trainers."
-            ]
-        };
+    updateState(changes) {
+        this.state = { ...this.state, ...changes };
+        this.syncControls();
+        this.applyFilters();
+        this.writeStateToUrl();
     }
 
-    generateBotResponse(userMessage) {
-        const message = userMessage.toLowerCase();
-        let responses;
-
-        if (message.includes('hello') || message.includes('hi') || message.includes('hey')) {
-            responses = this.responses.greetings;
-        } else if (message.includes('membership') || message.includes('price') || message.includes('cost')) {
-            responses = this.responses.membership;
-        } else if (message.includes('class') || message.includes('schedule') || message.includes('yoga') || message.includes('hiit')) {
-            responses = this.responses.classes;
-        } else if (message.includes('trainer') || message.includes('personal') || message.includes('coach')) {
-            responses = this.responses.trainers;
-        } else if (message.includes('hours') || message.includes('open') || message.includes('time')) {
-            responses = this.responses.hours;
-        } else {
-            responses = this.responses.default;
-        }
+    populateOptions() {
+        const classes = this.getAllClasses();
+        const unique = (field) => [...new Set(classes.map(classItem => classItem[field]))].sort();
 
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-        this.addMessage(randomResponse, 'bot');
+        [['trainer', 'All Trainers'], ['location', 'All Locations']].forEach(([key, label]) => {
+            this.selects[key].innerHTML = `<option value="">${label}</option>` +
+                unique(key).map(value => `<option value="${value}">${value}</option>`).join('');
+        });
     }
-}
 
-// Workout Generator Manager
-class WorkoutGenerator {
-    constructor() {
-        this.form = document.getElementById('workout-form');
-        this.result = document.getElementById('workout-result');
-        this.workoutDatabase = this.initializeWorkoutDatabase();
-        this.init();
+    getAllClasses() {
+        const schedule = window.scheduleManager;
+        return schedule.days.flatMap(day =>
+            schedule.getClassesForDay(day).map((classItem, index) => ({ ...classItem, day, index }))
+        );
     }
 
-    init() {
-        if (!this.form) return;
-        this.bindEvents();
-        this.setupCheckboxes();
-    }
+    readStateFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const state = this.getDefaultState();
 
-    setupCheckboxes() {
-        // Ensure all checkboxes in workout generator are clickable
-        const workoutCheckboxLabels = document.querySelectorAll('#workout-generator .checkbox-label');
-        
-        workoutCheckboxLabels.forEach(label => {
-            label.addEventListener('click', (e) => {
-                const checkbox = label.querySelector('input[type="checkbox"]');
-                if (checkbox && e.target !== checkbox) {
-                    e.preventDefault();
-                    checkbox.checked = !checkbox.checked;
-                    checkbox.dispatchEvent(new Event('change'));
-                    
-                    // Update visual state
-                    if (checkbox.checked) {
-                        label.classList.add('checked');
-                    } else {
-                        label.classList.remove('checked');
-                    }
-                }
-            });
+        this.filterKeys.forEach(key => {
+            if (params.has(key)) state[key] = params.get(key);
         });
 
-        // Handle direct checkbox clicks
-        const workoutCheckboxes = document.querySelectorAll('#workout-generator input[type="checkbox"]');
-        workoutCheckboxes.forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                const label = checkbox.closest('.checkbox-label');
-                if (label) {
-                    if (checkbox.checked) {
-                        label.classList.add('checked');
-                    } else {
-                        label.classList.remove('checked');
-                    }
-                }
-            });
+        // Ignore values that no longer exist in the schedule
+        Object.entries(this.selects).forEach(([key, select]) => {
+            if (state[key] && !Array.from(select.options).some(option => option.value === state[key])) {
+                state[key] = '';
+            }
         });
-    }
+        if (!['day', 'week', 'grid'].includes(state.view)) state.view = 'day';
 
-    bindEvents() {
-        this.form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.generateWorkout();
-        });
+        return state;
     }
 
-    initializeWorkoutDatabase() {
-        return {
-            beginner: {
-                'weight-loss': {
-                    none: [
-                        { name: 'Jumping Jacks', description: 'Full body cardio exercise', reps: '30 seconds', rest: '30s rest' },
-                        { name: 'Bodyweight Squats', description: 'Lower body strength', reps: '15 reps', rest: '45s rest' },
-                        { name: 'Push-ups (Modified)', description: 'Upper body strength', reps: '8-12 reps', rest: '60s rest' },
-                        { name: 'Mountain Climbers', description: 'Core and cardio', reps: '20 seconds', rest: '40s rest' },
-                        { name: 'Plank Hold', description: 'Core stability', reps: '20-30 seconds', rest: '60s rest' }
-                    ],
-                    basic: [
-                        { name: 'Dumbbell Squats', description: 'Lower body with resistance', reps: '12-15 reps', rest: '60s rest' },
-                        { name: 'Resistance Band Rows', description: 'Back and biceps', reps: '12-15 reps', rest: '45s rest' },
-                        { name: 'Dumbbell Press', description: 'Chest and shoulders', reps: '10-12 reps', rest: '60s rest' },
-                        { name: 'Band Pull-Aparts', description: 'Rear delts and upper back', reps: '15-20 reps', rest: '30s rest' },
-                        { name: 'Dumbbell Deadlifts', description: 'Posterior chain', reps: '10-12 reps', rest: '60s rest' }
-                    ],
-                    full: [
-                        { name: 'Treadmill Walk/Jog', description: 'Cardio warm-up', reps: '5 minutes', rest: '2min rest' },
-                        { name: 'Leg Press', description: 'Lower body strength', reps: '12-15 reps', rest: '90s rest' },
-                        { name: 'Chest Press Machine', description: 'Upper body push', reps: '10-12 reps', rest: '60s rest' },
-                        { name: 'Lat Pulldown', description: 'Back and biceps', reps: '12-15 reps', rest: '60s rest' },
-                        { name: 'Stationary Bike', description: 'Low-impact cardio', reps: '10 minutes', rest: 'Cool down' }
-                    ]
-                },
-                'muscle-gain': {
-                    none: [
-                        { name: 'Push-ups', description: 'Chest, shoulders, triceps', reps: '8-12 reps', rest: '60s rest' },
-                        { name: 'Bodyweight Squats', description: 'Legs and glutes', reps: '15-20 reps', rest: '60s rest' },
-                        { name: 'Pike Push-ups', description: 'Shoulders and triceps', reps: '6-10 reps', rest: '60s rest' },
-                        { name: 'Lunges', description: 'Legs and glutes', reps: '10 each leg', rest: '60s rest' },
-                        { name: 'Plank to Push-up', description: 'Core and upper body', reps: '5-8 reps', rest: '90s rest' }
-                    ],
-                    basic: [
-                        { name: 'Dumbbell Bench Press', description: 'Chest development', reps: '8-12 reps', rest: '90s rest' },
-                        { name: 'Dumbbell Rows', description: 'Back thickness', reps: '10-12 reps', rest: '60s rest' },
-                        { name: 'Goblet Squats', description: 'Leg development', reps: '12-15 reps', rest: '90s rest' },
-                        { name: 'Dumbbell Shoulder Press', description: 'Shoulder development', reps: '8-12 reps', rest: '60s rest' },
-                        { name: 'Dumbbell Curls', description: 'Bicep development', reps: '12-15 reps', rest: '45s rest' }
-                    ],
-                    full: [
-                        { name: 'Barbell Squats', description: 'Compound leg movement', reps: '8-12 reps', rest: '2-3min rest' },
-                        { name: 'Bench Press', description: 'Chest development', reps: '8-12 reps', rest: '2-3min rest' },
-                        { name: 'Bent-over Rows', description: 'Back development', reps: '10-12 reps', rest: '90s rest' },
-                        { name: 'Overhead Press', description: 'Shoulder development', reps: '8-10 reps', rest: '90s rest' },
-                        { name: 'Deadlifts', description: 'Full body strength', reps: '5-8 reps', rest: '3min rest' }
-                    ]
-                }
-            },
-            intermediate: {
-                'weight-loss': {
-                    none: [
-                        { name: 'Burpees', description: 'Full body HIIT', reps: '8-12 reps', rest: '45s rest' },
-                        { name: 'Jump Squats', description: 'Explosive lower body', reps: '15-20 reps', rest: '60s rest' },
-                        { name: 'Push-up to T', description: 'Upper body + core', reps: '10-12 reps', rest: '60s rest' },
-                        { name: 'High Knees', description: 'Cardio intensity', reps: '45 seconds', rest: '30s rest' },
-                        { name: 'Plank Jacks', description: 'Core + cardio', reps: '20-30 reps', rest: '45s rest' }
-                    ],
-                    basic: [
-                        { name: 'Dumbbell Thrusters', description: 'Full body compound', reps: '12-15 reps', rest: '60s rest' },
-                        { name: 'Renegade Rows', description: 'Core + back', reps: '8-10 each arm', rest: '90s rest' },
-                        { name: 'Bulgarian Split Squats', description: 'Single leg strength', reps: '10-12 each leg', rest: '60s rest' },
-                        { name: 'Band-Assisted Pull-ups', description: 'Back and biceps', reps: '6-10 reps', rest: '90s rest' },
-                        { name: 'Dumbbell Swings', description: 'Posterior chain power', reps: '15-20 reps', rest: '60s rest' }
-                    ],
-                    full: [
-                        { name: 'HIIT Treadmill', description: 'Interval cardio', reps: '20min intervals', rest: '2min rest' },
-                        { name: 'Barbell Squats', description: 'Lower body strength', reps: '12-15 reps', rest: '90s rest' },
-                        { name: 'Cable Rows', description: 'Back development', reps: '12-15 reps', rest: '60s rest' },
-                        { name: 'Incline Dumbbell Press', description: 'Upper chest', reps: '10-12 reps', rest: '90s rest' },
-                        { name: 'Battle Ropes', description: 'HIIT finisher', reps: '30 seconds', rest: '30s rest' }
-                    ]
-                }
-            },
-            advanced: {
-                'strength': {
-                    full: [
-                        { name: 'Barbell Back Squats', description: 'Heavy compound movement', reps: '5-6 reps', rest: '3-4min rest' },
-                        { name: 'Deadlifts', description: 'Posterior chain strength', reps: '3-5 reps', rest: '4-5min rest' },
-                        { name: 'Bench Press', description: 'Upper body power', reps: '5-6 reps', rest: '3-4min rest' },
-                        { name: 'Weighted Pull-ups', description: 'Back and bicep strength', reps: '6-8 reps', rest: '3min rest' },
-                        { name: 'Overhead Press', description: 'Shoulder strength', reps: '5-8 reps', rest: '3min rest' }
-                    ]
-                }
+    writeStateToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const defaults = this.getDefaultState();
+
+        this.filterKeys.forEach(key => {
+            if (this.state[key] && this.state[key] !== defaults[key]) {
+                params.set(key, this.state[key]);
+            } else {
+                params.delete(key);
             }
-        };
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
     }
 
-    generateWorkout() {
-        const formData = new FormData(this.form);
-        const level = formData.get('fitness-level');
-        const goal = formData.get('workout-goal');
-        const duration = parseInt(formData.get('workout-duration'));
-        const equipment = formData.get('equipment');
-        const targetAreas = formData.getAll('target-areas');
+    syncControls() {
+        this.searchInput.value = this.state.q;
+        Object.entries(this.selects).forEach(([key, select]) => {
+            select.value = this.state[key];
+        });
+        this.viewBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.state.view);
+        });
+    }
 
-        // Get exercises based on criteria
-        let exercises = this.getExercises(level, goal, equipment, targetAreas);
-        
-        // Adjust for duration
-        exercises = this.adjustForDuration(exercises, duration);
+    getTimeOfDay(classItem) {
+        const minutes = window.scheduleManager.toMinutes(classItem.time);
+        if (minutes < 12 * 60) return 'morning';
+        if (minutes < 17 * 60) return 'afternoon';
+        return 'evening';
+    }
 
-        this.displayWorkout(exercises, level, goal, duration, equipment);
+    getDurationBucket(classItem) {
+        const minutes = parseInt(classItem.duration);
+        if (minutes <= 30) return 'short';
+        if (minutes <= 45) return 'medium';
+        if (minutes <= 60) return 'long';
+        return 'extended';
     }
 
-    getExercises(level, goal, equipment, targetAreas) {
-        const levelData = this.workoutDatabase[level];
-        if (!levelData || !levelData[goal] || !levelData[goal][equipment]) {
-            // Fallback to basic exercises
-            return this.workoutDatabase.beginner['weight-loss']['none'].slice(0, 5);
+    matches(classItem) {
+        const { q, trainer, difficulty, location, duration, time } = this.state;
+
+        if (trainer && classItem.trainer !== trainer) return false;
+        if (difficulty && classItem.difficulty !== difficulty) return false;
+        if (location && classItem.location !== location) return false;
+        if (duration && this.getDurationBucket(classItem) !== duration) return false;
+        if (time && this.getTimeOfDay(classItem) !== time) return false;
+
+        if (q) {
+            const haystack = [classItem.class, classItem.trainer, classItem.location, classItem.difficulty, classItem.day]
+                .join(' ')
+                .toLowerCase();
+            return q.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
         }
-        
-        return levelData[goal][equipment];
+
+        return true;
     }
 
-    adjustForDuration(exercises, duration) {
-        const baseExercises = [...exercises];
-        
-        if (duration <= 15) {
-            return baseExercises.slice(0, 3);
-        } else if (duration <= 30) {
-            return baseExercises.slice(0, 5);
-        } else if (duration <= 45) {
-            return baseExercises.slice(0, 7);
-        } else if (duration <= 60) {
-            return baseExercises;
+    applyFilters() {
+        const view = this.state.view;
+        this.tabsContainer.style.display = view === 'day' ? '' : 'none';
+        this.dayContent.style.display = view === 'day' ? '' : 'none';
+        this.weekContainer.style.display = view === 'week' ? '' : 'none';
+        this.gridContainer.style.display = view === 'grid' ? '' : 'none';
+
+        if (view === 'week') {
+            this.renderWeekView();
+        } else if (view === 'grid') {
+            window.scheduleGrid.render(classItem => this.matches(classItem));
         } else {
-            // Add extra exercises or rounds for longer workouts
-            return [...baseExercises, ...baseExercises.slice(0, 3)];
+            this.filterDayView();
         }
     }
 
-    displayWorkout(exercises, level, goal, duration, equipment) {
-        const resultDiv = this.result;
-        
-        resultDiv.innerHTML = `
-            <div class="workout-plan active">
-                <div class="workout-header">
-                    <h3>${this.capitalizeFirst(level)} ${this.capitalizeFirst(goal.replace('-', ' '))} Workout</h3>
-                    <div class="workout-meta">
-                        <div class="meta-item">
-                            <span class="meta-value">${duration}</span>
-                            <span class="meta-label">Minutes</span>
-                        </div>
-                        <div class="meta-item">
-                            <span class="meta-value">${exercises.length}</span>
-                            <span class="meta-label">Exercises</span>
-                        </div>
-                        <div class="meta-item">
-                            <span class="meta-value">${this.capitalizeFirst(equipment === 'none' ? 'Bodyweight' : equipment)}</span>
-                            <span class="meta-label">Equipment</span>
-                        </div>
-                    </div>
-                </div>
-                <ul class="exercise-list">
-                    ${exercises.map((exercise, index) => `
-                        <li class="exercise-item">
-                            <div class="exercise-number">${index + 1}</div>
-                            <div class="exercise-details">
-                                <h4>${exercise.name}</h4>
-                                <p>${exercise.description}</p>
-                            </div>
-                            <div class="exercise-reps">
-                                <span class="reps">${exercise.reps}</span>
-                                <span class="rest">${exercise.rest}</span>
-                            </div>
-                        </li>
-                    `).join('')}
-                </ul>
-                <div style="text-align: center; margin-top: 2rem;">
-                    <button class="btn btn-primary" onclick="window.trainerBooking.openBookingModal()">
-                        Book Personal Training
-                    </button>
-                </div>
-            </div>
-        `;
+    filterDayView() {
+        const schedule = window.scheduleManager;
 
-        // Animate the result
-        resultDiv.style.opacity = '0';
-        setTimeout(() => {
-            resultDiv.style.opacity = '1';
-        }, 100);
+        schedule.days.forEach(day => {
+            const dayElement = document.getElementById(day);
+            if (!dayElement) return;
+
+            let visibleCount = 0;
+            dayElement.querySelectorAll('.class-item').forEach(item => {
+                const classItem = schedule.getClassFromElement(item);
+                const isMatch = classItem && this.matches(classItem);
+                item.style.display = isMatch ? '' : 'none';
+                if (isMatch) visibleCount++;
+            });
+
+            let noMatch = dayElement.querySelector('.schedule-no-match');
+            const hasClasses = dayElement.querySelector('.class-item') !== null;
+            if (hasClasses && visibleCount === 0) {
+                if (!noMatch) {
+                    noMatch = document.createElement('p');
+                    noMatch.className = 'schedule-empty schedule-no-match';
+                    noMatch.textContent = 'No classes on this day match your filters.';
+                    dayElement.appendChild(noMatch);
+                }
+            } else if (noMatch) {
+                noMatch.remove();
+            }
+
+            const tab = document.querySelector(`.tab-btn[data-day="${day}"]`);
+            if (tab) tab.classList.toggle('no-matches', hasClasses && visibleCount === 0);
+        });
     }
 
-    capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    renderWeekView() {
+        const schedule = window.scheduleManager;
+        const matchesByDay = schedule.days
+            .map(day => ({ day, classes: schedule.getClassesForDay(day).filter(classItem => this.matches({ ...classItem, day })) }))
+            .filter(group => group.classes.length > 0);
+
+        if (matchesByDay.length === 0) {
+            this.weekContainer.innerHTML = '<p class="schedule-empty">No classes this week match your filters.</p>';
+            return;
+        }
+
+        this.weekContainer.innerHTML = matchesByDay.map(group => `
+            <div class="week-day-group">
+                <h4 class="week-day-heading">${group.day.charAt(0).toUpperCase() + group.day.slice(1)}</h4>
+                ${schedule.renderClassItems(group.classes, group.day)}
+            </div>
+        `).join('');
+        schedule.bindClassItems(this.weekContainer);
     }
 }
 
-// Nutrition Calculator Manager
-class NutritionCalculator {
+// Calendar Export Manager
+class CalendarExporter {
     constructor() {
-        this.form = document.getElementById('nutrition-form');
-        this.result = document.getElementById('nutrition-result');
+        this.scheduleContainer = document.querySelector('.schedule-container');
+        this.downloadBtn = document.getElementById('download-schedule-ics');
+        this.subscribeLink = document.getElementById('subscribe-schedule');
+        this.timeZone = 'America/New_York';
+        this.gymName = 'FitZone';
+        this.gymAddress = '123 Fitness Street, Gym City, GC 12345';
+        this.dayCodes = {
+            monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH',
+            friday: 'FR', saturday: 'SA', sunday: 'SU'
+        };
+        // VTIMEZONE blocks so calendar apps place events in the gym's local time
+        this.timeZoneDefinitions = {
+            'America/New_York': [
+                'BEGIN:VTIMEZONE',
+                'TZID:America/New_York',
+                'BEGIN:DAYLIGHT',
+                'TZOFFSETFROM:-0500',
+                'TZOFFSETTO:-0400',
+                'TZNAME:EDT',
+                'DTSTART:19700308T020000',
+                'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+                'END:DAYLIGHT',
+                'BEGIN:STANDARD',
+                'TZOFFSETFROM:-0400',
+                'TZOFFSETTO:-0500',
+                'TZNAME:EST',
+                'DTSTART:19701101T020000',
+                'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+                'END:STANDARD',
+                'END:VTIMEZONE'
+            ]
+        };
         this.init();
     }
 
     init() {
-        if (!this.form) return;
+        if (!this.scheduleContainer) return;
+
+        if (this.scheduleContainer.dataset.timeZone && this.timeZoneDefinitions[this.scheduleContainer.dataset.timeZone]) {
+            this.timeZone = this.scheduleContainer.dataset.timeZone;
+        }
+
+        this.setupSubscribeLink();
         this.bindEvents();
     }
 
     bindEvents() {
-        this.form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.calculateNutrition();
+        if (this.downloadBtn) {
+            this.downloadBtn.addEventListener('click', () => {
+                this.downloadSchedule();
+            });
+        }
+
+        // Delegate "Add to calendar" clicks on class items, including re-rendered days
+        this.scheduleContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.calendar-btn');
+            if (!button) return;
+
+            const scheduledClass = window.scheduleManager.getClassFromElement(button);
+
+            if (scheduledClass) {
+                this.downloadClass(scheduledClass);
+            }
         });
     }
 
-    calculateNutrition() {
-        const formData = new FormData(this.form);
-        const age = parseInt(formData.get('n-age'));
-        const gender = formData.get('n-gender');
-        const height = parseInt(formData.get('n-height'));
-        const weight = parseInt(formData.get('n-weight'));
-        const activityLevel = parseFloat(formData.get('activity-level'));
-        const goal = formData.get('nutrition-goal');
-
-        // Calculate BMR using Mifflin-St Jeor Equation
-        let bmr;
-        if (gender === 'male') {
-            bmr = 10 * weight + 6.25 * height - 5 * age + 5;
+    setupSubscribeLink() {
+        // A hosted feed URL (data-calendar-feed) is needed for calendar apps to poll for updates
+        const feedUrl = this.scheduleContainer.dataset.calendarFeed;
+        if (!this.subscribeLink) return;
+
+        if (feedUrl) {
+            // Calendar apps need an absolute address, so resolve relative feeds against the page
+            this.subscribeLink.href = new URL(feedUrl, window.location.href).href.replace(/^https?:/, 'webcal:');
+            this.subscribeLink.style.display = '';
         } else {
-            bmr = 10 * weight + 6.25 * height - 5 * age - 161;
+            this.subscribeLink.style.display = 'none';
         }
+    }
 
-        // Calculate TDEE
-        const tdee = bmr * activityLevel;
+    downloadSchedule() {
+        this.download('fitzone-class-schedule.ics', this.buildScheduleCalendar());
+    }
 
-        // Adjust for goal
-        let targetCalories = tdee;
-        if (goal === 'lose') {
-            targetCalories = tdee - 500;
-        } else if (goal === 'gain') {
-            targetCalories = tdee + 500;
-        }
+    // The whole weekly timetable; scripts/build-calendar-feed.js writes the same to data/schedule.ics
+    buildScheduleCalendar() {
+        const schedule = window.scheduleManager;
+        const events = [];
 
-        // Calculate macros (40% carbs, 30% protein, 30% fat)
-        const protein = Math.round((targetCalories * 0.30) / 4); // 4 cal per gram
-        const carbs = Math.round((targetCalories * 0.40) / 4); // 4 cal per gram
-        const fat = Math.round((targetCalories * 0.30) / 9); // 9 cal per gram
+        schedule.days.forEach(day => {
+            schedule.getClassesForDay(day).forEach(classItem => {
+                events.push(this.buildClassEvent({ ...classItem, day }));
+            });
+        });
 
-        this.displayNutritionPlan(targetCalories, protein, carbs, fat, goal, gender);
+        return this.buildCalendar(events, 'FitZone Class Schedule');
     }
 
-    displayNutritionPlan(calories, protein, carbs, fat, goal, gender) {
-        const tips = this.getNutritionTips(goal, gender);
-        
-        this.result.innerHTML = `
-            <div class="nutrition-plan active">
-                <div class="nutrition-summary">
-                    <div class="calorie-display">${Math.round(calories)}</div>
-                    <div class="calorie-label">Daily Calories</div>
-                </div>
-                <div class="macro-breakdown">
-                    <div class="macro-item">
-                        <h4>Protein</h4>
-                        <span class="macro-amount">${protein}g</span>
-                        <span class="macro-percentage">30%</span>
-                    </div>
-                    <div class="macro-item">
-                        <h4>Carbs</h4>
-                        <span class="macro-amount">${carbs}g</span>
-                        <span class="macro-percentage">40%</span>
-                    </div>
-                    <div class="macro-item">
-                        <h4>Fat</h4>
-                        <span class="macro-amount">${fat}g</span>
-                        <span class="macro-percentage">30%</span>
-                    </div>
-                </div>
-                <div class="nutrition-tips">
-                    <h4>Nutrition Tips</h4>
-                    <ul>
+    downloadClass(classItem) {
+        const content = this.buildCalendar([this.buildClassEvent(classItem)], `FitZone ${classItem.class}`);
+        this.download(`${this.slugify(classItem.class)}-${classItem.day}.ics`, content);
+    }
+
+    downloadBooking(booking) {
+        const content = this.buildCalendar([this.buildBookingEvent(booking)], 'FitZone Booking');
+        this.download(`fitzone-booking-${booking.date}.ics`, content);
+    }
+
+    downloadProgram(program) {
+        const events = program.schedule.flatMap(week => week.days.map(day => this.buildProgramEvent(program, week, day)));
+        const content = this.buildCalendar(events, program.title);
+        this.download(`${this.slugify(program.title)}.ics`, content);
+    }
+
+    buildCalendar(events, calendarName) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//FitZone//Class Schedule//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(calendarName)}`,
+            `X-WR-TIMEZONE:${this.timeZone}`,
+            'REFRESH-INTERVAL;VALUE=DURATION:P1D',
+            'X-PUBLISHED-TTL:P1D',
+            ...this.timeZoneDefinitions[this.timeZone],
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    buildClassEvent(classItem) {
+        const schedule = window.scheduleManager;
+        const startDate = schedule.getNextDateForDay(classItem.day);
+        const startTime = schedule.toTimeValue(classItem.time);
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${this.slugify(classItem.class)}-${classItem.day}-${startTime.replace(':', '')}@fitzone`,
+            `DTSTAMP:${this.formatUtcStamp(new Date())}`,
+            `DTSTART;TZID=${this.timeZone}:${this.formatLocalDateTime(startDate, startTime)}`,
+            `DURATION:PT${parseInt(classItem.duration)}M`,
+            `RRULE:FREQ=WEEKLY;BYDAY=${this.dayCodes[classItem.day]}`,
+            `SUMMARY:${this.escapeText(classItem.class)}`,
+            `LOCATION:${this.escapeText(`${classItem.location}, ${this.gymName}, ${this.gymAddress}`)}`,
+            `DESCRIPTION:${this.escapeText(`${this.capitalizeFirst(classItem.difficulty)} class with ${classItem.trainer}.`)}`,
+            'END:VEVENT'
+        ];
+    }
+
+    buildBookingEvent(booking) {
+        const titles = {
+            'group-class': booking.className,
+            'personal-training': `Personal Training with ${booking.trainer}`,
+            'nutrition-consultation': 'Nutrition Consultation'
+        };
+        let duration = window.trainerBooking.sessionLength;
+
+        if (booking.service === 'group-class') {
+            const classItem = window.scheduleManager.findClass(booking.className, null, booking.classDay);
+            if (classItem) duration = parseInt(classItem.duration);
+        }
+
+        const details = [
+            booking.status === 'waitlisted' ? 'Waitlisted: you will be notified if a spot opens.' : 'Confirmed booking.',
+            booking.trainer ? `Trainer: ${booking.trainer}` : '',
+            booking.message ? `Notes: ${booking.message}` : ''
+        ].filter(Boolean).join('\n');
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${booking.id}@fitzone`,
+            `DTSTAMP:${this.formatUtcStamp(new Date())}`,
+            `DTSTART;TZID=${this.timeZone}:${this.formatLocalDateTime(booking.date, booking.time)}`,
+            `DURATION:PT${duration}M`,
+            `SUMMARY:${this.escapeText(titles[booking.service] || 'FitZone Session')}`,
+            `LOCATION:${this.escapeText([booking.location, this.gymName, this.gymAddress].filter(Boolean).join(', '))}`,
+            `DESCRIPTION:${this.escapeText(details)}`,
+            `STATUS:${booking.status === 'waitlisted' ? 'TENTATIVE' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        ];
+    }
+
+    buildProgramEvent(program, week, day) {
+        // Training days have no fixed time, so they are all-day events
+        const end = new Date(`${day.date}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        const endValue = `${end.getFullYear()}${String(end.getMonth() + 1).padStart(2, '0')}${String(end.getDate()).padStart(2, '0')}`;
+        const details = day.exercises
+            .map(exercise => `${exercise.name}: ${window.workoutGenerator.formatPrescription(exercise)}, ${exercise.rest}${exercise.note ? ` (${exercise.note})` : ''}`)
+            .join('\n');
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${this.slugify(program.title)}-${program.startDate}-w${week.number}-${day.date}@fitzone`,
+            `DTSTAMP:${this.formatUtcStamp(new Date())}`,
+            `DTSTART;VALUE=DATE:${day.date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${endValue}`,
+            `SUMMARY:${this.escapeText(`Week ${week.number}${week.deload ? ' (deload)' : ''}: ${day.name}`)}`,
+            `DESCRIPTION:${this.escapeText(details)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ];
+    }
+
+    formatLocalDateTime(dateString, timeValue) {
+        return `${dateString.replace(/-/g, '')}T${timeValue.replace(':', '')}00`;
+    }
+
+    formatUtcStamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    foldLine(line) {
+        // RFC 5545: lines longer than 75 octets continue on the next line after a space. Octets are
+        // counted in UTF-8 and iterating by code point keeps multi-byte characters in one piece.
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines give up one octet to their leading space
+            const limit = parts.length === 0 ? 75 : 74;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    download(filename, content) {
+        Utils.downloadFile(filename, content, 'text/calendar;charset=utf-8');
+    }
+
+    slugify(str) {
+        return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    capitalizeFirst(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+}
+
+// Gallery Manager
+class GalleryManager {
+    constructor() {
+        this.filterBtns = document.querySelectorAll('.filter-btn');
+        this.galleryItems = document.querySelectorAll('.gallery-item');
+        this.modal = document.getElementById('gallery-modal');
+        this.currentImageIndex = 0;
+        this.images = [];
+        this.init();
+    }
+
+    init() {
+        if (this.filterBtns.length === 0) return;
+        this.bindEvents();
+        this.collectImages();
+        this.setupCheckboxes();
+    }
+
+    setupCheckboxes() {
+        // Ensure all checkboxes are clickable
+        const checkboxLabels = document.querySelectorAll('.checkbox-label');
+        
+        checkboxLabels.forEach(label => {
+            label.addEventListener('click', (e) => {
+                const checkbox = label.querySelector('input[type="checkbox"]');
+                if (checkbox && e.target !== checkbox) {
+                    e.preventDefault();
+                    checkbox.checked = !checkbox.checked;
+                    checkbox.dispatchEvent(new Event('change'));
+                }
+            });
+        });
+
+        // Style checked checkboxes
+        const checkboxes = document.querySelectorAll('input[type="checkbox"]');
+        checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const label = checkbox.closest('.checkbox-label');
+                if (label) {
+                    if (checkbox.checked) {
+                        label.classList.add('checked');
+                    } else {
+                        label.classList.remove('checked');
+                    }
+                }
+            });
+        });
+    }
+
+    bindEvents() {
+        // Filter buttons
+        this.filterBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const filter = e.target.dataset.filter;
+                this.filterGallery(filter);
+                this.updateActiveFilter(e.target);
+            });
+        });
+
+        // Gallery items
+        this.galleryItems.forEach((item, index) => {
+            item.addEventListener('click', () => {
+                this.openModal(index);
+            });
+        });
+
+        // Modal controls
+        if (this.modal) {
+            document.getElementById('modal-close').addEventListener('click', () => {
+                this.closeModal();
+            });
+
+            document.getElementById('modal-overlay').addEventListener('click', () => {
+                this.closeModal();
+            });
+
+            document.getElementById('modal-prev').addEventListener('click', () => {
+                this.previousImage();
+            });
+
+            document.getElementById('modal-next').addEventListener('click', () => {
+                this.nextImage();
+            });
+
+            // Keyboard navigation
+            document.addEventListener('keydown', (e) => {
+                if (!this.modal.classList.contains('active')) return;
+                
+                if (e.key === 'Escape') this.closeModal();
+                if (e.key === 'ArrowLeft') this.previousImage();
+                if (e.key === 'ArrowRight') this.nextImage();
+            });
+        }
+    }
+
+    collectImages() {
+        this.images = Array.from(this.galleryItems).map(item => {
+            const img = item.querySelector('img');
+            const btn = item.querySelector('.gallery-btn');
+            return {
+                src: btn ? btn.dataset.image : img.src,
+                alt: img.alt,
+                element: item
+            };
+        });
+    }
+
+    filterGallery(filter) {
+        this.galleryItems.forEach(item => {
+            const category = item.dataset.category;
+            const shouldShow = filter === 'all' || category === filter;
+            
+            item.style.display = shouldShow ? 'block' : 'none';
+            
+            // Add animation
+            if (shouldShow) {
+                item.style.opacity = '0';
+                item.style.transform = 'scale(0.8)';
+                setTimeout(() => {
+                    item.style.opacity = '1';
+                    item.style.transform = 'scale(1)';
+                }, 100);
+            }
+        });
+
+        // Update visible images array
+        this.collectImages();
+        this.images = this.images.filter(img => 
+            img.element.style.display !== 'none'
+        );
+    }
+
+    updateActiveFilter(activeBtn) {
+        this.filterBtns.forEach(btn => btn.classList.remove('active'));
+        activeBtn.classList.add('active');
+    }
+
+    openModal(index) {
+        this.currentImageIndex = index;
+        this.updateModalImage();
+        this.modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeModal() {
+        this.modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+
+    updateModalImage() {
+        const modalImage = document.getElementById('modal-image');
+        const currentImage = this.images[this.currentImageIndex];
+        
+        if (currentImage) {
+            modalImage.src = currentImage.src;
+            modalImage.alt = currentImage.alt;
+        }
+    }
+
+    previousImage() {
+        this.currentImageIndex = (this.currentImageIndex - 1 + this.images.length) % this.images.length;
+        this.updateModalImage();
+    }
+
+    nextImage() {
+        this.currentImageIndex = (this.currentImageIndex + 1) % this.images.length;
+        this.updateModalImage();
+    }
+}
+
+// Progress Tracker Manager
+class ProgressTracker {
+    constructor(journal = window.workoutJournal) {
+        this.journal = journal;
+        this.canvas = document.getElementById('progress-chart-canvas');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.tooltip = document.getElementById('progress-chart-tooltip');
+        this.emptyMessage = document.getElementById('progress-chart-empty');
+        this.chartTitle = document.getElementById('progress-chart-title');
+        this.metricSelect = document.getElementById('progress-metric');
+        this.rangeButtons = document.querySelectorAll('.progress-range-btn');
+        this.stats = {
+            caloriesBurned: document.getElementById('calories-burned'),
+            workoutsCompleted: document.getElementById('workouts-completed'),
+            totalTime: document.getElementById('progress-total-time'),
+            activeDays: document.getElementById('active-days')
+        };
+        this.range = 'week';
+        this.metric = 'sessions';
+        this.entries = [];
+        this.points = [];
+        this.activeIndex = null;
+        this.chartHeight = 240;
+        // Used for calorie estimates until a member profile provides a body weight
+        this.defaultBodyWeight = 70;
+        this.bodyWeight = this.getBodyWeight();
+        this.metrics = {
+            sessions: { label: 'Sessions', unit: '' },
+            minutes: { label: 'Minutes', unit: 'min' },
+            calories: { label: 'Calories', unit: 'kcal' },
+            volume: { label: 'Volume', unit: 'kg' }
+        };
+        this.init();
+    }
+
+    init() {
+        if (!this.canvas) return;
+        this.bindEvents();
+        if (this.journal) {
+            this.journal.subscribe(() => this.refresh());
+        }
+        if (window.memberProfile) {
+            window.memberProfile.subscribe((profile, changes) => {
+                // Calorie estimates depend on the member's weight
+                const bodyWeight = this.getBodyWeight();
+                if (changes.unitsChanged || bodyWeight !== this.bodyWeight) {
+                    this.bodyWeight = bodyWeight;
+                    this.update();
+                }
+            });
+        }
+        this.refresh();
+    }
+
+    bindEvents() {
+        this.rangeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.range = button.dataset.range;
+                this.rangeButtons.forEach(btn => btn.classList.toggle('active', btn === button));
+                this.update();
+            });
+        });
+
+        this.metricSelect.addEventListener('change', () => {
+            this.metric = this.metricSelect.value;
+            this.update();
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.canvas.addEventListener('mouseleave', () => this.hideTooltip());
+
+        // Redraw at the new size and with the new theme colours
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => this.drawChart(), 150);
+        });
+        document.addEventListener('themechange', () => this.drawChart());
+    }
+
+    refresh() {
+        if (!this.journal) {
+            this.update();
+            return Promise.resolve();
+        }
+
+        return this.journal.getAll()
+            .then(entries => {
+                this.entries = entries;
+                this.update();
+            })
+            .catch(error => console.error('Progress Tracker:', error));
+    }
+
+    update() {
+        this.buckets = this.getBuckets(this.range);
+        this.series = this.getSeries(this.buckets, this.metric);
+        this.chartTitle.textContent = `${this.metrics[this.metric].label} per ${this.range === 'year' ? 'month' : 'day'}`;
+        this.animateStats();
+        this.drawChart();
+    }
+
+    getEntriesInRange(range = this.range) {
+        const buckets = this.getBuckets(range);
+        const start = buckets[0].start.getTime();
+        const end = buckets[buckets.length - 1].end.getTime();
+        return this.entries.filter(entry => {
+            const time = new Date(entry.date).getTime();
+            return time >= start && time < end;
+        });
+    }
+
+    getBuckets(range, now = new Date()) {
+        const buckets = [];
+
+        if (range === 'year') {
+            for (let i = 11; i >= 0; i--) {
+                const start = new Date(now.getFullYear(), now.getMonth() - i, 1);
+                buckets.push({
+                    start,
+                    end: new Date(now.getFullYear(), now.getMonth() - i + 1, 1),
+                    label: start.toLocaleDateString([], { month: 'short' }),
+                    title: start.toLocaleDateString([], { month: 'long', year: 'numeric' })
+                });
+            }
+            return buckets;
+        }
+
+        const days = range === 'month' ? 30 : 7;
+        for (let i = days - 1; i >= 0; i--) {
+            const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+            buckets.push({
+                start,
+                end: new Date(now.getFullYear(), now.getMonth(), now.getDate() - i + 1),
+                label: range === 'week' ? start.toLocaleDateString([], { weekday: 'short' }) : `${start.getDate()}`,
+                title: start.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })
+            });
+        }
+        return buckets;
+    }
+
+    getSeries(buckets, metric) {
+        return buckets.map(bucket => this.entries
+            .filter(entry => {
+                const date = new Date(entry.date);
+                return date >= bucket.start && date < bucket.end;
+            })
+            .reduce((total, entry) => total + this.getMetricValue(entry, metric), 0));
+    }
+
+    getMetricValue(entry, metric) {
+        switch (metric) {
+            case 'sessions':
+                return 1;
+            case 'minutes':
+                return entry.duration / 60;
+            case 'calories':
+                return this.estimateCalories(entry);
+            case 'volume':
+                return window.unitConverter.fromMetric(this.getVolumeUnit(), this.getVolume(entry), 3)[0];
+            default:
+                return 0;
+        }
+    }
+
+    estimateCalories(entry) {
+        if (entry.calories) return entry.calories;
+
+        // MET values: interval timer sessions count as HIIT, generated workouts by goal
+        const goalMets = {
+            'weight-loss': 8,
+            'muscle-gain': 6,
+            'strength': 6,
+            'endurance': 7,
+            'flexibility': 3
+        };
+        const met = entry.source === 'timer' ? 8 : (goalMets[entry.details && entry.details.goal] || 6);
+        return met * 3.5 * this.bodyWeight / 200 * (entry.duration / 60);
+    }
+
+    getBodyWeight() {
+        const profile = window.memberProfile ? window.memberProfile.get() : null;
+        return (profile && profile.weightKg) || this.defaultBodyWeight;
+    }
+
+    getVolume(entry) {
+        // Logged sessions store their volume, which leaves out timed and distance sets
+        if (entry.volume !== undefined) return entry.volume;
+
+        return entry.exercises.reduce((total, exercise) => total + (exercise.sets || [])
+            .reduce((sum, set) => sum + (set.weight || 0) * (set.reps || 0), 0), 0);
+    }
+
+    animateStats() {
+        const entries = this.getEntriesInRange();
+        const activeDays = new Set(entries.map(entry => new Date(entry.date).toDateString()));
+        const targetValues = {
+            caloriesBurned: Math.round(entries.reduce((total, entry) => total + this.estimateCalories(entry), 0)),
+            workoutsCompleted: entries.length,
+            totalTime: Math.round(entries.reduce((total, entry) => total + entry.duration, 0) / 60),
+            activeDays: activeDays.size
+        };
+
+        Object.keys(targetValues).forEach(key => {
+            if (this.stats[key]) {
+                this.animateNumber(this.stats[key], targetValues[key], 1000);
+            }
+        });
+    }
+
+    animateNumber(element, target, duration) {
+        const start = parseInt(element.textContent) || 0;
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            
+            // Easing function
+            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+            const current = Math.floor(start + (target - start) * easeOutQuart);
+            
+            element.textContent = current;
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                element.textContent = target;
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    getNiceMax(value) {
+        // Session counts stay on whole-number gridlines
+        if (this.metric === 'sessions') return Math.max(4, Math.ceil(value / 4) * 4);
+        if (value <= 0) return 10;
+
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value);
+        return step * magnitude;
+    }
+
+    getVolumeUnit() {
+        return window.unitConverter.preferred().weight === 'kg' ? 'kg' : 'lb';
+    }
+
+    formatValue(value) {
+        const unit = this.metric === 'volume' ? this.getVolumeUnit() : this.metrics[this.metric].unit;
+        const rounded = value >= 100 || this.metric === 'sessions' ? Math.round(value) : Math.round(value * 10) / 10;
+        return unit ? `${rounded.toLocaleString()} ${unit}` : `${rounded}`;
+    }
+
+    drawChart() {
+        if (!this.ctx || !this.series) return;
+
+        const canvas = this.canvas;
+        const ctx = this.ctx;
+        const styles = getComputedStyle(document.documentElement);
+        const primaryColor = styles.getPropertyValue('--primary-color').trim();
+        const borderColor = styles.getPropertyValue('--border-color').trim();
+        const textColor = styles.getPropertyValue('--text-secondary').trim();
+        
+        // Size the canvas to its container and scale for high-density screens
+        const width = canvas.parentElement.clientWidth || 400;
+        const height = this.chartHeight;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        
+        // Chart dimensions
+        const padding = { top: 20, right: 20, bottom: 36, left: 48 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const maxValue = this.getNiceMax(Math.max(...this.series));
+        const step = this.series.length > 1 ? chartWidth / (this.series.length - 1) : 0;
+        
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px Poppins, sans-serif';
+        
+        // Draw grid lines with value labels
+        ctx.strokeStyle = borderColor;
+        ctx.fillStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (chartHeight / 4) * i;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(`${Math.round((maxValue - (maxValue / 4) * i) * 10) / 10}`, padding.left - 8, y + 4);
+        }
+        
+        this.points = this.series.map((value, index) => ({
+            x: padding.left + step * index,
+            y: padding.top + chartHeight - (value / maxValue) * chartHeight,
+            value,
+            bucket: this.buckets[index]
+        }));
+        
+        // Fill the area under the line
+        ctx.beginPath();
+        ctx.moveTo(this.points[0].x, padding.top + chartHeight);
+        this.points.forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.lineTo(this.points[this.points.length - 1].x, padding.top + chartHeight);
+        ctx.closePath();
+        ctx.fillStyle = primaryColor + '20';
+        ctx.fill();
+        
+        // Draw chart line
+        ctx.strokeStyle = primaryColor;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        this.points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.stroke();
+        
+        // Draw data points, enlarging the hovered one
+        ctx.fillStyle = primaryColor;
+        this.points.forEach((point, index) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, index === this.activeIndex ? 7 : (this.points.length > 12 ? 3 : 4), 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Draw labels, thinning them out when they would overlap
+        const labelEvery = Math.max(1, Math.ceil(this.points.length / Math.max(1, Math.floor(chartWidth / 48))));
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'center';
+        this.points.forEach((point, index) => {
+            if (index % labelEvery === 0 || index === this.points.length - 1) {
+                ctx.fillText(point.bucket.label, point.x, height - 12);
+            }
+        });
+
+        const hasData = this.series.some(value => value > 0);
+        this.emptyMessage.hidden = hasData;
+        this.emptyMessage.textContent = this.metric === 'volume'
+            ? 'Log sets with weights to see your training volume here.'
+            : 'No workouts logged in this period yet.';
+    }
+
+    handleHover(e) {
+        if (this.points.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const nearest = this.points.reduce((best, point, index) =>
+            Math.abs(point.x - x) < Math.abs(this.points[best].x - x) ? index : best, 0);
+
+        if (nearest !== this.activeIndex) {
+            this.activeIndex = nearest;
+            this.drawChart();
+        }
+
+        const point = this.points[nearest];
+        this.tooltip.innerHTML = `<strong>${point.bucket.title}</strong><span>${this.formatValue(point.value)}</span>`;
+        this.tooltip.style.left = `${point.x}px`;
+        this.tooltip.style.top = `${point.y}px`;
+        this.tooltip.hidden = false;
+    }
+
+    hideTooltip() {
+        this.tooltip.hidden = true;
+        if (this.activeIndex !== null) {
+            this.activeIndex = null;
+            this.drawChart();
+        }
+    }
+}
+
+// Measurement Tracker Manager
+// Dated body measurements kept in localStorage, one entry per day. Values are stored in
+// metric; the chart smooths them with a time-aware exponential moving average so a single
+// heavy or light day does not hide the real trend.
+class MeasurementTracker {
+    constructor(converter = window.unitConverter) {
+        this.converter = converter;
+        this.storageKey = 'fitzone-measurements';
+        this.goalKey = 'fitzone-goal-weight';
+        this.form = document.getElementById('measurement-form');
+        this.message = document.getElementById('measurement-message');
+        this.goalForm = document.getElementById('goal-weight-form');
+        this.canvas = document.getElementById('measurement-chart-canvas');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.tooltip = document.getElementById('measurement-chart-tooltip');
+        this.emptyMessage = document.getElementById('measurement-chart-empty');
+        this.chartTitle = document.getElementById('measurement-chart-title');
+        this.metricSelect = document.getElementById('measurement-metric');
+        this.summary = document.getElementById('measurement-summary');
+        this.projection = document.getElementById('measurement-projection');
+        this.list = document.getElementById('measurement-list');
+        this.metrics = {
+            weight: { label: 'Weight', id: 'measurement-weight', quantity: 'weight', range: [20, 500] },
+            bodyFat: { label: 'Body Fat', id: 'measurement-body-fat', unit: '%', range: [2, 70] },
+            waist: { label: 'Waist', id: 'measurement-waist', quantity: 'girth', range: [40, 250] },
+            chest: { label: 'Chest', id: 'measurement-chest', quantity: 'girth', range: [40, 250] },
+            arms: { label: 'Arms', id: 'measurement-arms', quantity: 'girth', range: [10, 100] },
+            thighs: { label: 'Thighs', id: 'measurement-thighs', quantity: 'girth', range: [20, 150] }
+        };
+        // Share of the gap to a new reading the trend closes per day
+        this.smoothing = 0.1;
+        // The weekly rate is fitted to the trend over this many recent days
+        this.rateWindowDays = 28;
+        this.metric = 'weight';
+        this.chartHeight = 260;
+        this.points = [];
+        this.activeIndex = null;
+        this.entries = this.load();
+        this.goalWeight = parseFloat(localStorage.getItem(this.goalKey)) || null;
+        this.init();
+    }
+
+    init() {
+        if (!this.form || !this.canvas) return;
+        this.bindEvents();
+        document.getElementById('measurement-date').value = Utils.toDateValue(new Date());
+        if (this.goalWeight) {
+            this.converter.writeField(document.getElementById('goal-weight-field'), this.goalWeight);
+        }
+        if (window.memberProfile) {
+            window.memberProfile.subscribe((profile, changes) => {
+                if (changes.unitsChanged) this.render();
+            });
+        }
+        this.render();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.logEntry();
+        });
+
+        this.goalForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.setGoal(this.converter.readField(document.getElementById('goal-weight-field')));
+        });
+
+        document.getElementById('goal-weight-clear').addEventListener('click', () => {
+            this.converter.clearField(document.getElementById('goal-weight-field'));
+            this.setGoal(null);
+        });
+
+        this.metricSelect.addEventListener('change', () => {
+            this.metric = this.metricSelect.value;
+            this.activeIndex = null;
+            this.render();
+        });
+
+        // Delegate deletes for the rendered entries
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delete-date]');
+            if (!button) return;
+
+            const date = button.dataset.deleteDate;
+            if (window.confirm(`Delete your measurements from ${this.formatDate(date)}?`)) {
+                this.entries = this.entries.filter(entry => entry.date !== date);
+                this.save();
+                this.render();
+            }
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.canvas.addEventListener('mouseleave', () => this.hideTooltip());
+
+        // Redraw at the new size and with the new theme colours
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => this.drawChart(), 150);
+        });
+        document.addEventListener('themechange', () => this.drawChart());
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved.filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry.date)) : [];
+        } catch (e) {
+            console.error('Measurement Tracker: Could not read saved measurements', e);
+            return [];
+        }
+    }
+
+    save() {
+        this.entries.sort((a, b) => a.date.localeCompare(b.date));
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    logEntry() {
+        const date = document.getElementById('measurement-date').value;
+        if (!date) {
+            this.showMessage('Please choose the date these measurements were taken.', true);
+            return;
+        }
+
+        const values = {};
+        for (const [key, metric] of Object.entries(this.metrics)) {
+            const value = this.readMetricInput(key);
+            if (isNaN(value)) continue;
+
+            const [min, max] = metric.range;
+            if (value < min || value > max) {
+                this.showMessage(`Please enter a ${metric.label.toLowerCase()} between ${this.formatValue(min, key, 0)} and ${this.formatValue(max, key, 0)}.`, true);
+                return;
+            }
+            values[key] = value;
+        }
+
+        if (Object.keys(values).length === 0) {
+            this.showMessage('Enter at least one measurement to log.', true);
+            return;
+        }
+
+        // One entry per day: logging the same date again fills in or corrects that day
+        const existing = this.entries.find(entry => entry.date === date);
+        if (existing) {
+            Object.assign(existing, values);
+        } else {
+            this.entries.push({ date, ...values });
+        }
+        this.save();
+
+        // The newest weigh-in becomes the weight every calculator starts from
+        const latest = this.entries[this.entries.length - 1];
+        if (values.weight && latest.date === date && window.memberProfile) {
+            window.memberProfile.update({ weightKg: values.weight }, 'tracker');
+        }
+
+        Object.values(this.metrics).forEach(metric => {
+            if (metric.quantity) {
+                this.converter.clearField(document.getElementById(`${metric.id}-field`));
+            } else {
+                document.getElementById(metric.id).value = '';
+            }
+        });
+        this.showMessage(`${existing ? 'Updated' : 'Logged'} measurements for ${this.formatDate(date)}.`);
+        this.render();
+    }
+
+    readMetricInput(key) {
+        const metric = this.metrics[key];
+        if (metric.quantity) return this.converter.readField(document.getElementById(`${metric.id}-field`));
+
+        const input = document.getElementById(metric.id);
+        return input.value !== '' ? parseFloat(input.value) : NaN;
+    }
+
+    setGoal(weightKg) {
+        if (weightKg !== null && !(weightKg >= 20 && weightKg <= 500)) {
+            this.showMessage(`Please enter a goal weight between ${this.formatValue(20, 'weight', 0)} and ${this.formatValue(500, 'weight', 0)}.`, true);
+            return;
+        }
+
+        this.goalWeight = weightKg;
+        if (weightKg === null) {
+            localStorage.removeItem(this.goalKey);
+        } else {
+            localStorage.setItem(this.goalKey, String(weightKg));
+        }
+        this.render();
+    }
+
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('error', isError);
+    }
+
+    getSeries(metric = this.metric) {
+        let trend = null;
+        let lastTime = null;
+
+        return this.entries
+            .filter(entry => typeof entry[metric] === 'number')
+            .map(entry => {
+                const time = this.toTime(entry.date);
+                const value = entry[metric];
+                if (trend === null) {
+                    trend = value;
+                } else {
+                    // Days without a reading still count, so the trend moves more after a gap
+                    const days = Math.max(1, Math.round((time - lastTime) / 86400000));
+                    trend += (1 - Math.pow(1 - this.smoothing, days)) * (value - trend);
+                }
+                lastTime = time;
+                return { date: entry.date, time, value, trend };
+            });
+    }
+
+    // Least-squares slope of the trend over the recent window, per week
+    getWeeklyRate(series) {
+        if (series.length < 2) return null;
+
+        const end = series[series.length - 1].time;
+        const recent = series.filter(point => end - point.time <= this.rateWindowDays * 86400000);
+        const spanDays = (end - recent[0].time) / 86400000;
+        if (recent.length < 2 || spanDays < 6) return null;
+
+        const days = recent.map(point => (point.time - recent[0].time) / 86400000);
+        const meanDay = days.reduce((sum, day) => sum + day, 0) / days.length;
+        const meanTrend = recent.reduce((sum, point) => sum + point.trend, 0) / recent.length;
+        const covariance = recent.reduce((sum, point, index) => sum + (days[index] - meanDay) * (point.trend - meanTrend), 0);
+        const variance = days.reduce((sum, day) => sum + Math.pow(day - meanDay, 2), 0);
+        return variance > 0 ? (covariance / variance) * 7 : null;
+    }
+
+    // The recent weight trend, for planners that adapt to how the member is actually changing
+    getWeightChange() {
+        const series = this.getSeries('weight');
+        const weeklyRate = this.getWeeklyRate(series);
+        if (weeklyRate === null) return null;
+
+        const end = series[series.length - 1].time;
+        const recent = series.filter(point => end - point.time <= this.rateWindowDays * 86400000);
+        return {
+            weeklyRate,
+            days: Math.round((end - recent[0].time) / 86400000),
+            readings: recent.length
+        };
+    }
+
+    getProjection(series, weeklyRate) {
+        if (!this.goalWeight || series.length === 0) return null;
+
+        const last = series[series.length - 1];
+        const remaining = this.goalWeight - last.trend;
+        if (Math.abs(remaining) < 0.25) return { reached: true };
+        if (weeklyRate === null) return { pending: true };
+        if (Math.abs(weeklyRate) < 0.01 || Math.sign(weeklyRate) !== Math.sign(remaining)) return { away: true };
+
+        const weeks = remaining / weeklyRate;
+        const date = new Date(last.time);
+        date.setDate(date.getDate() + Math.round(weeks * 7));
+        return { weeks, date };
+    }
+
+    render() {
+        this.series = this.getSeries();
+        const metric = this.metrics[this.metric];
+        this.chartTitle.textContent = `${metric.label} trend`;
+        this.renderSummary();
+        this.renderList();
+        this.drawChart();
+    }
+
+    renderSummary() {
+        const series = this.series;
+        if (series.length === 0) {
+            this.summary.innerHTML = '';
+            this.projection.textContent = '';
+            return;
+        }
+
+        const first = series[0];
+        const last = series[series.length - 1];
+        const weeklyRate = this.getWeeklyRate(series);
+        const stats = [
+            { label: 'Current Trend', value: this.formatValue(last.trend, this.metric) },
+            { label: 'Per Week', value: weeklyRate === null ? '--' : this.formatChange(weeklyRate, this.metric) },
+            { label: `Since ${this.formatDate(first.date)}`, value: this.formatChange(last.trend - first.value, this.metric) }
+        ];
+
+        this.summary.innerHTML = stats.map(stat => `
+            <div class="history-stat">
+                <span class="history-stat-value">${stat.value}</span>
+                <span class="history-stat-label">${stat.label}</span>
+            </div>
+        `).join('');
+
+        if (this.metric !== 'weight') {
+            this.projection.textContent = weeklyRate === null ? 'Log at least a week of entries to see your weekly rate of change.' : '';
+            return;
+        }
+
+        const projection = this.getProjection(series, weeklyRate);
+        const goal = this.goalWeight ? this.formatValue(this.goalWeight, 'weight') : '';
+        if (!projection) {
+            this.projection.textContent = 'Set a goal weight to see when your trend should reach it.';
+        } else if (projection.reached) {
+            this.projection.textContent = `Your trend is at your ${goal} goal. Nice work!`;
+        } else if (projection.pending) {
+            this.projection.textContent = `Log at least a week of weigh-ins to project when you will reach ${goal}.`;
+        } else if (projection.away) {
+            this.projection.textContent = `Your trend is not moving toward your ${goal} goal yet. Your nutrition targets may need adjusting.`;
+        } else if (projection.weeks > 104) {
+            this.projection.textContent = `At ${this.formatChange(weeklyRate, 'weight')} a week, ${goal} is more than two years away.`;
+        } else {
+            const weeks = Math.max(1, Math.round(projection.weeks));
+            this.projection.textContent = `At ${this.formatChange(weeklyRate, 'weight')} a week you should reach ${goal} around ${projection.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })} (about ${weeks} week${weeks === 1 ? '' : 's'}).`;
+        }
+    }
+
+    renderList() {
+        if (this.entries.length === 0) {
+            this.list.innerHTML = '<p class="history-empty">No measurements logged yet.</p>';
+            return;
+        }
+
+        this.list.innerHTML = this.entries.slice().reverse().map(entry => {
+            const values = Object.keys(this.metrics)
+                .filter(key => typeof entry[key] === 'number')
+                .map(key => `<li>${this.metrics[key].label} <span>${this.formatValue(entry[key], key)}</span></li>`)
+                .join('');
+
+            return `
+                <div class="history-entry measurement-entry">
+                    <div class="history-entry-header">
+                        <h4>${this.formatDate(entry.date)}</h4>
+                        <button type="button" class="btn btn-sm btn-secondary" data-delete-date="${entry.date}" aria-label="Delete measurements from ${this.formatDate(entry.date)}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                    <ul class="history-exercises">${values}</ul>
+                </div>
+            `;
+        }).join('');
+    }
+
+    drawChart() {
+        if (!this.ctx || !this.series) return;
+
+        const canvas = this.canvas;
+        const ctx = this.ctx;
+        const styles = getComputedStyle(document.documentElement);
+        const primaryColor = styles.getPropertyValue('--primary-color').trim();
+        const borderColor = styles.getPropertyValue('--border-color').trim();
+        const textColor = styles.getPropertyValue('--text-secondary').trim();
+        const mutedColor = styles.getPropertyValue('--text-muted').trim();
+
+        // Size the canvas to its container and scale for high-density screens
+        const width = canvas.parentElement.clientWidth || 400;
+        const height = this.chartHeight;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        this.emptyMessage.hidden = this.series.length > 0;
+        this.points = [];
+        if (this.series.length === 0) {
+            this.emptyMessage.textContent = `Log your ${this.metrics[this.metric].label.toLowerCase()} to start a trend line.`;
+            return;
+        }
+
+        // Values are plotted in the member's units
+        const toDisplay = value => this.toDisplay(value, this.metric);
+        const goal = this.metric === 'weight' && this.goalWeight ? toDisplay(this.goalWeight) : null;
+        const values = this.series.flatMap(point => [toDisplay(point.value), toDisplay(point.trend)]);
+        if (goal !== null) values.push(goal);
+        const spread = Math.max(Math.max(...values) - Math.min(...values), 1);
+        const minValue = Math.min(...values) - spread * 0.1;
+        const maxValue = Math.max(...values) + spread * 0.1;
+
+        const padding = { top: 20, right: 20, bottom: 36, left: 52 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const firstTime = this.series[0].time;
+        const timeSpan = this.series[this.series.length - 1].time - firstTime;
+        const toX = time => padding.left + (timeSpan > 0 ? (time - firstTime) / timeSpan * chartWidth : chartWidth / 2);
+        const toY = value => padding.top + chartHeight - (value - minValue) / (maxValue - minValue) * chartHeight;
+
+        ctx.font = '12px Poppins, sans-serif';
+
+        // Draw grid lines with value labels
+        ctx.strokeStyle = borderColor;
+        ctx.fillStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (chartHeight / 4) * i;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(`${Math.round((maxValue - ((maxValue - minValue) / 4) * i) * 10) / 10}`, padding.left - 8, y + 4);
+        }
+
+        // Goal weight as a dashed line
+        if (goal !== null) {
+            ctx.save();
+            ctx.setLineDash([6, 6]);
+            ctx.strokeStyle = textColor;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, toY(goal));
+            ctx.lineTo(width - padding.right, toY(goal));
+            ctx.stroke();
+            ctx.restore();
+            ctx.textAlign = 'left';
+            ctx.fillText('Goal', padding.left + 4, toY(goal) - 6);
+        }
+
+        this.points = this.series.map(point => ({
+            x: toX(point.time),
+            y: toY(toDisplay(point.value)),
+            trendY: toY(toDisplay(point.trend)),
+            point
+        }));
+
+        // Raw readings as small dots, enlarging the hovered one
+        ctx.fillStyle = mutedColor;
+        this.points.forEach((point, index) => {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, index === this.activeIndex ? 6 : 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Smoothed trend line
+        ctx.strokeStyle = primaryColor;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        this.points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.trendY);
+            } else {
+                ctx.lineTo(point.x, point.trendY);
+            }
+        });
+        ctx.stroke();
+
+        // Date labels at both ends and the middle
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'center';
+        const labelled = [...new Set([0, Math.floor((this.points.length - 1) / 2), this.points.length - 1])];
+        labelled.forEach(index => {
+            const point = this.points[index];
+            ctx.fillText(this.formatDate(point.point.date, false), point.x, height - 12);
+        });
+    }
+
+    handleHover(e) {
+        if (this.points.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const nearest = this.points.reduce((best, point, index) =>
+            Math.abs(point.x - x) < Math.abs(this.points[best].x - x) ? index : best, 0);
+
+        if (nearest !== this.activeIndex) {
+            this.activeIndex = nearest;
+            this.drawChart();
+        }
+
+        const { point } = this.points[nearest];
+        this.tooltip.innerHTML = `
+            <strong>${this.formatDate(point.date)}</strong>
+            <span>${this.formatValue(point.value, this.metric)} logged</span>
+            <span>${this.formatValue(point.trend, this.metric)} trend</span>
+        `;
+        this.tooltip.style.left = `${this.points[nearest].x}px`;
+        this.tooltip.style.top = `${Math.min(this.points[nearest].y, this.points[nearest].trendY)}px`;
+        this.tooltip.hidden = false;
+    }
+
+    hideTooltip() {
+        this.tooltip.hidden = true;
+        if (this.activeIndex !== null) {
+            this.activeIndex = null;
+            this.drawChart();
+        }
+    }
+
+    getUnit(metric) {
+        const { quantity, unit } = this.metrics[metric];
+        if (!quantity) return unit;
+
+        const preferred = this.converter.preferred()[quantity];
+        // Stones read well as a label but not on an axis, so charts use pounds instead
+        return preferred === 'st' ? 'lb' : preferred;
+    }
+
+    toDisplay(value, metric) {
+        return this.metrics[metric].quantity ? this.converter.fromMetric(this.getUnit(metric), value, 3)[0] : value;
+    }
+
+    formatValue(value, metric, decimals = 1) {
+        const { quantity, unit } = this.metrics[metric];
+        if (!quantity) return `${this.converter.round(value, decimals)}${unit}`;
+        return this.converter.format(value, this.converter.preferred()[quantity], decimals);
+    }
+
+    formatChange(change, metric) {
+        const value = this.converter.round(this.toDisplay(Math.abs(change), metric), 1);
+        const unit = this.getUnit(metric);
+        return `${change < 0 ? '−' : '+'}${value}${unit === '%' ? '%' : ` ${unit}`}`;
+    }
+
+    toTime(dateValue) {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return new Date(year, month - 1, day).getTime();
+    }
+
+    formatDate(dateValue, withWeekday = true) {
+        const options = withWeekday ? { weekday: 'short', month: 'short', day: 'numeric' } : { month: 'short', day: 'numeric' };
+        return new Date(this.toTime(dateValue)).toLocaleDateString('en-US', options);
+    }
+}
+
+// Chat Widget Manager
+class ChatWidget {
+    constructor() {
+        this.widget = document.getElementById('chat-widget');
+        this.toggle = document.getElementById('chat-toggle');
+        this.window = document.getElementById('chat-window');
+        this.messages = document.getElementById('chat-messages');
+        this.input = document.getElementById('chat-input');
+        this.sendBtn = document.getElementById('chat-send');
+        this.closeBtn = document.getElementById('chat-close');
+        this.notification = document.getElementById('chat-notification');
+        this.isOpen = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.widget) return;
+        this.bindEvents();
+        this.setupBotResponses();
+    }
+
+    bindEvents() {
+        this.toggle.addEventListener('click', () => {
+            this.toggleChat();
+        });
+
+        this.closeBtn.addEventListener('click', () => {
+            this.closeChat();
+        });
+
+        this.sendBtn.addEventListener('click', () => {
+            this.sendMessage();
+        });
+
+        this.input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.sendMessage();
+            }
+        });
+
+        this.input.addEventListener('input', () => {
+            this.sendBtn.style.opacity = this.input.value.trim() ? '1' : '0.5';
+        });
+    }
+
+    toggleChat() {
+        if (this.isOpen) {
+            this.closeChat();
+        } else {
+            this.openChat();
+        }
+    }
+
+    openChat() {
+        this.window.classList.add('active');
+        this.isOpen = true;
+        this.notification.style.display = 'none';
+        this.input.focus();
+        
+        // Scroll to bottom
+        setTimeout(() => {
+            this.messages.scrollTop = this.messages.scrollHeight;
+        }, 100);
+    }
+
+    closeChat() {
+        this.window.classList.remove('active');
+        this.isOpen = false;
+    }
+
+    sendMessage() {
+        const message = this.input.value.trim();
+        if (!message) return;
+
+        this.addMessage(message, 'user');
+        this.input.value = '';
+        this.sendBtn.style.opacity = '0.5';
+
+        // Simulate bot response
+        setTimeout(() => {
+            this.generateBotResponse(message);
+        }, 1000);
+    }
+
+    addMessage(text, sender) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${sender}-message`;
+        
+        const avatar = document.createElement('div');
+        avatar.className = 'message-avatar';
+        avatar.innerHTML = sender === 'user' ? '<i class="fas fa-user"></i>' : '<i class="fas fa-robot"></i>';
+        
+        const content = document.createElement('div');
+        content.className = 'message-content';
+        content.innerHTML = `
+            <p>${text}</p>
+            <span class="message-time">${new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+        `;
+        
+        messageDiv.appendChild(avatar);
+        messageDiv.appendChild(content);
+        this.messages.appendChild(messageDiv);
+        
+        // Scroll to bottom
+        this.messages.scrollTop = this.messages.scrollHeight;
+    }
+
+    setupBotResponses() {
+        this.responses = {
+            greetings: [
+                "Hello! How can I help you with your fitness journey today?",
+                "Hi there! What questions do you have about our gym services?",
+                "Welcome to FitZone! I'm here to assist you."
+            ],
+            membership: [
+                "We have three membership tiers: Basic ($29/month), Premium ($59/month), and Elite ($99/month). Which would you like to know more about?",
+                "Our Premium membership is most popular - it includes 24/7 access, unlimited classes, and 2 personal training sessions per month!"
+            ],
+            classes: [
+                "We offer various classes including HIIT, Yoga, Pilates, Strength Training, and more! Check our schedule section for times.",
+                "Our group classes are led by certified trainers and suitable for all fitness levels. Would you like to book a class?"
+            ],
+            trainers: [
+                "Our expert trainers specialize in different areas: Alex (Strength & Conditioning), Sarah (Yoga & Pilates), and Mike (HIIT & Cardio).",
+                "All our trainers are certified professionals with years of experience. Would you like to book a session?"
+            ],
+            hours: [
+                "We're open Monday-Sunday, 5AM-11PM. Premium and Elite members get 24/7 access!",
+                "Our peak hours are 6-9AM and 5-8PM. Off-peak times are great for a less crowded experience."
+            ],
+            default: [
+                "That's a great question! For detailed information, I'd recommend speaking with our staff. You can call us at (555) 123-4567.",
+                "I'd be happy to help! Could you be more specific about what you're looking for?",
+                "For the best assistance with that, please contact our front desk or book a consultation with one of our trainers."
+            ]
+        };
+    }
+
+    generateBotResponse(userMessage) {
+        const message = userMessage.toLowerCase();
+        let responses;
+
+        if (message.includes('hello') || message.includes('hi') || message.includes('hey')) {
+            responses = this.responses.greetings;
+        } else if (message.includes('membership') || message.includes('price') || message.includes('cost')) {
+            responses = this.responses.membership;
+        } else if (message.includes('class') || message.includes('schedule') || message.includes('yoga') || message.includes('hiit')) {
+            responses = this.responses.classes;
+        } else if (message.includes('trainer') || message.includes('personal') || message.includes('coach')) {
+            responses = this.responses.trainers;
+        } else if (message.includes('hours') || message.includes('open') || message.includes('time')) {
+            responses = this.responses.hours;
+        } else {
+            responses = this.responses.default;
+        }
+
+        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+        this.addMessage(randomResponse, 'bot');
+    }
+}
+
+// Workout Generator Manager
+class WorkoutGenerator {
+    constructor() {
+        this.form = document.getElementById('workout-form');
+        this.result = document.getElementById('workout-result');
+        this.libraryUrl = 'data/exercises.json';
+        this.workoutDatabase = {};
+        this.exerciseTags = {};
+        this.warmupDrills = [];
+        this.cooldownDrills = [];
+        this.missingCombinations = [];
+        this.loaded = Promise.resolve(this.workoutDatabase);
+        this.muscleGroups = [
+            'chest', 'lats', 'upper-back', 'lower-back', 'shoulders', 'biceps', 'triceps', 'forearms',
+            'quads', 'hamstrings', 'glutes', 'calves', 'adductors', 'hip-flexors', 'core', 'obliques', 'cardio'
+        ];
+        this.movementPatterns = {
+            'squat': 'squat',
+            'hinge': 'hip hinge',
+            'lunge': 'lunge',
+            'push-horizontal': 'horizontal push',
+            'push-vertical': 'vertical push',
+            'pull-horizontal': 'horizontal pull',
+            'pull-vertical': 'vertical pull',
+            'carry': 'carry',
+            'core': 'core',
+            'cardio': 'cardio',
+            'plyometric': 'plyometric',
+            'isolation': 'isolation',
+            'mobility': 'mobility'
+        };
+        // Target-area checkboxes map onto the muscle groups used to tag exercises
+        this.areaMuscles = {
+            chest: ['chest'],
+            back: ['lats', 'upper-back', 'lower-back'],
+            arms: ['biceps', 'triceps', 'forearms', 'shoulders'],
+            legs: ['quads', 'hamstrings', 'glutes', 'calves', 'adductors'],
+            core: ['core', 'obliques'],
+            cardio: ['cardio']
+        };
+        // Time estimates used to fit a plan to the selected duration
+        this.setsByGoal = {
+            'strength': 5,
+            'muscle-gain': 4,
+            'endurance': 3,
+            'weight-loss': 3,
+            'flexibility': 2
+        };
+        this.secondsPerRep = 3;
+        this.secondsPerMetre = 0.25;
+        // Injury profile: exercises tagged with an active limitation are never prescribed
+        this.limitationLabels = {
+            'knees': 'knees',
+            'lower-back': 'lower back',
+            'shoulders': 'shoulders'
+        };
+        this.limitationsKey = 'fitzone-limitations';
+        this.limitations = [];
+        this.equipmentLevels = ['none', 'basic', 'full'];
+        this.levels = ['beginner', 'intermediate', 'advanced'];
+        // Shapes of the reps and rest strings in the exercise library; shared links must match them
+        this.repsFormat = /^\d+(?:\s?[-+]\s?\d+)*\s?(?:reps(?: each)?|each (?:arm|leg|side)|seconds(?: each (?:side|leg))?|minutes|min intervals|m(?: x \d+)?)$/;
+        this.restFormat = /^(?:\d+(?:-\d+)?(?:s|min) rest|Cool down)$/;
+        this.maxSharedSets = 10;
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+        if (this.form.dataset.exerciseSrc) {
+            this.libraryUrl = this.form.dataset.exerciseSrc;
+        }
+        this.bindEvents();
+        this.setupCheckboxes();
+        this.restoreLimitations();
+        this.loaded = this.loadLibrary();
+        this.loaded.then(() => this.openSharedWorkout());
+        if (window.memberProfile) {
+            window.memberProfile.subscribe((profile, changes) => {
+                if (changes.unitsChanged) this.refreshUnits();
+            });
+        }
+    }
+
+    // Re-renders whatever plan is on screen so distances follow the unit preference
+    refreshUnits() {
+        if (window.workoutSession && window.workoutSession.session) {
+            window.workoutSession.render();
+        } else if (this.currentWorkout) {
+            const { level, goal, duration, equipment, targetAreas } = this.currentWorkout;
+            this.displayWorkout(this.currentWorkout, level, goal, duration, equipment, targetAreas);
+        } else if (window.programPlanner && window.programPlanner.program) {
+            window.programPlanner.render();
+        }
+    }
+
+    restoreLimitations() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.limitationsKey));
+            this.limitations = Array.isArray(saved) ? saved.filter(limitation => this.limitationLabels[limitation]) : [];
+        } catch (error) {
+            this.limitations = [];
+        }
+
+        document.querySelectorAll('#workout-form input[name="limitations"]').forEach(checkbox => {
+            checkbox.checked = this.limitations.includes(checkbox.value);
+            const label = checkbox.closest('.checkbox-label');
+            if (label) {
+                label.classList.toggle('checked', checkbox.checked);
+            }
+        });
+    }
+
+    saveLimitations(limitations) {
+        this.limitations = limitations.filter(limitation => this.limitationLabels[limitation]);
+        localStorage.setItem(this.limitationsKey, JSON.stringify(this.limitations));
+    }
+
+    setupCheckboxes() {
+        // Ensure all checkboxes in workout generator are clickable
+        const workoutCheckboxLabels = document.querySelectorAll('#workout-generator .checkbox-label');
+        
+        workoutCheckboxLabels.forEach(label => {
+            label.addEventListener('click', (e) => {
+                const checkbox = label.querySelector('input[type="checkbox"]');
+                if (checkbox && e.target !== checkbox) {
+                    e.preventDefault();
+                    checkbox.checked = !checkbox.checked;
+                    checkbox.dispatchEvent(new Event('change'));
+                    
+                    // Update visual state
+                    if (checkbox.checked) {
+                        label.classList.add('checked');
+                    } else {
+                        label.classList.remove('checked');
+                    }
+                }
+            });
+        });
+
+        // Handle direct checkbox clicks
+        const workoutCheckboxes = document.querySelectorAll('#workout-generator input[type="checkbox"]');
+        workoutCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const label = checkbox.closest('.checkbox-label');
+                if (label) {
+                    if (checkbox.checked) {
+                        label.classList.add('checked');
+                    } else {
+                        label.classList.remove('checked');
+                    }
+                }
+            });
+        });
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generateWorkout();
+        });
+
+        // Swap controls live inside the re-rendered plan, so delegate from the result
+        this.result.addEventListener('click', (e) => {
+            const swapButton = e.target.closest('[data-swap-index]');
+            if (swapButton) {
+                this.toggleSwapOptions(parseInt(swapButton.dataset.swapIndex));
+                return;
+            }
+
+            const choice = e.target.closest('[data-swap-choice]');
+            if (choice) {
+                this.applySwap(parseInt(choice.dataset.swapFor), choice.dataset.swapChoice);
+                return;
+            }
+
+            const shareButton = e.target.closest('[data-share-action]');
+            if (shareButton && this.currentWorkout) {
+                this.handleShareAction(shareButton.dataset.shareAction, shareButton);
+            }
+        });
+    }
+
+    loadLibrary() {
+        return fetch(this.libraryUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${this.libraryUrl} (status ${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const { errors, missing } = this.validateLibrary(data);
+                if (errors.length > 0) {
+                    console.error('Workout Generator: The exercise library is malformed.', errors);
+                    this.showError('The exercise library is malformed.', errors);
+                    return this.workoutDatabase;
+                }
+
+                this.workoutDatabase = data.workouts;
+                this.exerciseTags = data.exercises;
+                this.warmupDrills = data.warmup;
+                this.cooldownDrills = data.cooldown;
+                this.missingCombinations = missing;
+                if (missing.length > 0) {
+                    console.error(`Workout Generator: The exercise library has no exercises for ${missing.length} form combination(s).`, missing);
+                    this.showError('Some workout combinations are not in the exercise library yet.', missing);
+                }
+                return this.workoutDatabase;
+            })
+            .catch(error => {
+                console.error('Workout Generator:', error);
+                this.showError('The exercise library could not be loaded. Please try again later.', [error.message]);
+                return this.workoutDatabase;
+            });
+    }
+
+    getFormOptions(selectId) {
+        return Array.from(document.querySelectorAll(`#${selectId} option`))
+            .map(option => option.value)
+            .filter(value => value !== '');
+    }
+
+    validateLibrary(data) {
+        const errors = [];
+        const missing = [];
+
+        if (!data || typeof data !== 'object' || !data.workouts || typeof data.workouts !== 'object') {
+            return { errors: ['Library must be a JSON object with a "workouts" property.'], missing };
+        }
+        if (!data.exercises || typeof data.exercises !== 'object') {
+            return { errors: ['Library must have an "exercises" catalogue of muscle and movement tags.'], missing };
+        }
+
+        // Every option offered by the form must have a non-empty exercise list
+        const levels = this.getFormOptions('fitness-level');
+        const goals = this.getFormOptions('workout-goal');
+        const equipmentOptions = this.getFormOptions('equipment');
+
+        levels.forEach(level => {
+            goals.forEach(goal => {
+                equipmentOptions.forEach(equipment => {
+                    const exercises = ((data.workouts[level] || {})[goal] || {})[equipment];
+                    if (!Array.isArray(exercises) || exercises.length === 0) {
+                        missing.push(`${level} / ${goal} / ${equipment}`);
+                    }
+                });
+            });
+        });
+
+        Object.entries(data.workouts).forEach(([level, goalsData]) => {
+            Object.entries(goalsData || {}).forEach(([goal, equipmentData]) => {
+                Object.entries(equipmentData || {}).forEach(([equipment, exercises]) => {
+                    const path = `workouts.${level}.${goal}.${equipment}`;
+                    if (!Array.isArray(exercises)) {
+                        errors.push(`${path}: must be a list of exercises.`);
+                        return;
+                    }
+
+                    exercises.forEach((exercise, index) => {
+                        ['name', 'description', 'reps', 'rest'].forEach(field => {
+                            if (!exercise || typeof exercise[field] !== 'string' || exercise[field].trim() === '') {
+                                errors.push(`${path}[${index}].${field}: required text is missing.`);
+                            }
+                        });
+                        if (exercise && typeof exercise.name === 'string' && !data.exercises[exercise.name]) {
+                            errors.push(`${path}[${index}]: "${exercise.name}" has no entry in the exercises catalogue.`);
+                        }
+                    });
+                });
+            });
+        });
+
+        ['warmup', 'cooldown'].forEach(block => {
+            if (!Array.isArray(data[block]) || data[block].length === 0) {
+                errors.push(`${block}: must be a non-empty list of drills.`);
+                return;
+            }
+            data[block].forEach((drill, index) => {
+                ['name', 'description'].forEach(field => {
+                    if (!drill || typeof drill[field] !== 'string' || drill[field].trim() === '') {
+                        errors.push(`${block}[${index}].${field}: required text is missing.`);
+                    }
+                });
+                if (!drill || !Number.isFinite(drill.seconds) || drill.seconds <= 0) {
+                    errors.push(`${block}[${index}].seconds: must be a positive number.`);
+                }
+            });
+        });
+
+        Object.entries(data.exercises).forEach(([name, tags]) => {
+            const path = `exercises.${name}`;
+            if (!tags || !Array.isArray(tags.primary) || tags.primary.length === 0) {
+                errors.push(`${path}.primary: at least one muscle group is required.`);
+                return;
+            }
+            if (!Array.isArray(tags.secondary)) {
+                errors.push(`${path}.secondary: must be a list of muscle groups.`);
+                return;
+            }
+            [...tags.primary, ...tags.secondary].forEach(muscle => {
+                if (!this.muscleGroups.includes(muscle)) {
+                    errors.push(`${path}: unknown muscle group "${muscle}".`);
+                }
+            });
+            if (!this.movementPatterns[tags.pattern]) {
+                errors.push(`${path}.pattern: unknown movement pattern "${tags.pattern}".`);
+            }
+            if (tags.avoid !== undefined && (!Array.isArray(tags.avoid) || tags.avoid.some(limitation => !this.limitationLabels[limitation]))) {
+                errors.push(`${path}.avoid: must list only ${Object.keys(this.limitationLabels).join(', ')}.`);
+            }
+        });
+
+        return { errors, missing };
+    }
+
+    showLimitationsError(level, goal) {
+        const joints = this.formatList(this.limitations.map(limitation => this.limitationLabels[limitation]));
+        this.showError(`Every ${level} ${goal.replace('-', ' ')} exercise for this equipment is hard on your ${joints}. Try another goal or more equipment.`);
+    }
+
+    showError(message, details = []) {
+        this.result.innerHTML = `
+            <div class="workout-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>${Utils.escapeHtml(message)}</p>
+                ${details.length > 0 ? `
+                    <ul>
+                        ${details.slice(0, 10).map(detail => `<li>${Utils.escapeHtml(detail)}</li>`).join('')}
+                        ${details.length > 10 ? `<li>…and ${details.length - 10} more</li>` : ''}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    generateWorkout() {
+        const formData = new FormData(this.form);
+        const level = formData.get('fitness-level');
+        const goal = formData.get('workout-goal');
+        const duration = parseInt(formData.get('workout-duration'));
+        const equipment = formData.get('equipment');
+        const targetAreas = formData.getAll('target-areas');
+        this.saveLimitations(formData.getAll('limitations'));
+
+        this.loaded.then(() => {
+            if (window.programPlanner && window.programPlanner.isActive()) {
+                window.programPlanner.generate({ level, goal, duration, equipment, targetAreas });
+                return;
+            }
+
+            // Get exercises based on criteria
+            const exercises = this.getExercises(level, goal, equipment, targetAreas);
+            if (!exercises) {
+                this.showError(`There are no ${level} ${goal.replace('-', ' ')} exercises for this equipment in the library yet.`);
+                return;
+            }
+            if (exercises.length === 0) {
+                this.showLimitationsError(level, goal);
+                return;
+            }
+
+            const fillers = this.getFillerExercises(level, goal, equipment, exercises, duration);
+            const plan = this.composeWorkout(exercises, goal, duration, fillers);
+            this.displayWorkout(plan, level, goal, duration, equipment, targetAreas);
+        });
+    }
+
+    getExercises(level, goal, equipment, targetAreas = []) {
+        const levelData = this.workoutDatabase[level];
+        if (!levelData || !levelData[goal] || !levelData[goal][equipment] || levelData[goal][equipment].length === 0) {
+            return null;
+        }
+
+        // Contraindicated exercises are replaced by the closest safe alternative, or dropped
+        const pool = [];
+        levelData[goal][equipment].map(exercise => this.tagExercise(exercise)).forEach(exercise => {
+            if (this.isAllowed(exercise)) {
+                pool.push(exercise);
+                return;
+            }
+            const exclude = [...levelData[goal][equipment].map(item => item.name), ...pool.map(item => item.name)];
+            const [alternative] = this.findAlternatives(exercise, { level, goal, equipment, exclude });
+            if (alternative) {
+                pool.push({ ...alternative, replaces: exercise.name, replacedFor: exercise.avoid.filter(limitation => this.limitations.includes(limitation)) });
+            }
+        });
+        const candidates = [...pool, ...this.borrowForAreas(pool, level, goal, equipment, targetAreas)];
+        return this.buildBalancedSession(candidates, candidates.length, goal, targetAreas);
+    }
+
+    tagExercise(exercise, borrowedFrom = null) {
+        const tags = this.exerciseTags[exercise.name] || { primary: [], secondary: [], pattern: 'isolation' };
+        return {
+            ...exercise,
+            primary: tags.primary,
+            secondary: tags.secondary,
+            pattern: tags.pattern,
+            avoid: tags.avoid || [],
+            borrowedFrom
+        };
+    }
+
+    isAllowed(exercise) {
+        return !exercise.avoid.some(limitation => this.limitations.includes(limitation));
+    }
+
+    getLibraryEntries() {
+        const entries = [];
+        Object.entries(this.workoutDatabase).forEach(([level, goalsData]) => {
+            Object.entries(goalsData).forEach(([goal, equipmentData]) => {
+                Object.entries(equipmentData).forEach(([equipment, exercises]) => {
+                    exercises.forEach(exercise => entries.push({ exercise, level, goal, equipment }));
+                });
+            });
+        });
+        return entries;
+    }
+
+    findAlternatives(original, { level, goal, equipment, exclude = [] }) {
+        // Anything at or below the member's level and usable with the selected equipment that shares
+        // a primary muscle, ranked by how closely it matches the original's muscles, movement, level and goal
+        const usable = this.equipmentLevels.slice(0, this.equipmentLevels.indexOf(equipment) + 1);
+        const maxLevel = this.levels.indexOf(level);
+        const best = {};
+
+        this.getLibraryEntries().forEach(entry => {
+            const candidate = this.tagExercise(entry.exercise, entry.goal === goal ? null : entry.goal);
+            if (candidate.name === original.name || exclude.includes(candidate.name)) return;
+            if (!usable.includes(entry.equipment) || !this.isAllowed(candidate)) return;
+            if (this.levels.indexOf(entry.level) > maxLevel) return;
+            if ((candidate.pattern === 'mobility') !== (original.pattern === 'mobility')) return;
+
+            const shared = candidate.primary.filter(muscle => original.primary.includes(muscle));
+            if (shared.length === 0) return;
+
+            let score = shared.length * 2;
+            if (candidate.primary[0] === original.primary[0]) score += 3;
+            if (candidate.pattern === original.pattern) score += 3;
+            score += candidate.secondary.filter(muscle => original.secondary.includes(muscle)).length * 0.5;
+            if (entry.level === level) score += 2;
+            if (entry.goal === goal) score += 2;
+            if (entry.equipment === equipment) score += 1;
+
+            if (!best[candidate.name] || best[candidate.name].score < score) {
+                const why = [
+                    candidate.pattern === original.pattern ? `same ${this.movementPatterns[candidate.pattern]} pattern` : '',
+                    `trains ${this.formatList(shared.map(muscle => this.formatMuscle(muscle).toLowerCase()))}`,
+                    entry.equipment !== equipment ? (entry.equipment === 'none' ? 'bodyweight' : `${entry.equipment} equipment`) : ''
+                ].filter(Boolean).join(', ');
+                best[candidate.name] = { ...candidate, score, why };
+            }
+        });
+
+        return Object.values(best).sort((a, b) => b.score - a.score);
+    }
+
+    getAreasFor(muscles) {
+        return Object.keys(this.areaMuscles).filter(area =>
+            this.areaMuscles[area].some(muscle => muscles.includes(muscle)));
+    }
+
+    borrowForAreas(pool, level, goal, equipment, targetAreas) {
+        // A selected area the goal's list never trains gets up to two exercises from the
+        // same level and equipment under another goal. Flexibility only borrows mobility work.
+        const borrowed = [];
+        const names = new Set(pool.map(exercise => exercise.name));
+
+        targetAreas.forEach(area => {
+            if (pool.some(exercise => this.getAreasFor(exercise.primary).includes(area))) return;
+
+            let added = 0;
+            Object.entries(this.workoutDatabase[level] || {}).forEach(([otherGoal, equipmentData]) => {
+                if (otherGoal === goal || (goal !== 'flexibility' && otherGoal === 'flexibility')) return;
+
+                (equipmentData[equipment] || []).forEach(exercise => {
+                    if (added >= 2 || names.has(exercise.name)) return;
+                    const tagged = this.tagExercise(exercise, otherGoal);
+                    if ((tagged.pattern === 'mobility') !== (goal === 'flexibility') || !this.isAllowed(tagged)) return;
+                    if (!this.getAreasFor(tagged.primary).includes(area)) return;
+
+                    borrowed.push(tagged);
+                    names.add(exercise.name);
+                    added++;
+                });
+            });
+        });
+
+        return borrowed;
+    }
+
+    getFillerExercises(level, goal, equipment, exercises, duration) {
+        // Long sessions can outgrow one goal's list. Extra work comes from the other goals at
+        // the same level; mobility only lives under flexibility, so flexibility sessions borrow
+        // from the nearest other levels instead.
+        const names = new Set(exercises.map(exercise => exercise.name));
+        const levels = Object.keys(this.workoutDatabase);
+        const sources = goal === 'flexibility'
+            ? levels
+                .filter(other => other !== level)
+                .sort((a, b) => Math.abs(levels.indexOf(a) - levels.indexOf(level)) - Math.abs(levels.indexOf(b) - levels.indexOf(level)))
+                .map(other => ({ level: other, goal, label: `${other} flexibility` }))
+            : Object.keys(this.workoutDatabase[level] || {})
+                .filter(other => other !== goal && other !== 'flexibility')
+                .map(other => ({ level, goal: other, label: other.replace('-', ' ') }));
+        const fillers = [];
+
+        sources.forEach(source => {
+            const list = ((this.workoutDatabase[source.level] || {})[source.goal] || {})[equipment] || [];
+            list.forEach(exercise => {
+                if (names.has(exercise.name)) return;
+                const tagged = this.tagExercise(exercise, source.goal);
+                if ((tagged.pattern === 'mobility') !== (goal === 'flexibility') || !this.isAllowed(tagged)) return;
+
+                tagged.reason = `Added from the ${source.label} library to fill out your ${duration}-minute session.`;
+                fillers.push(tagged);
+                names.add(exercise.name);
+            });
+        });
+
+        return fillers;
+    }
+
+    buildBalancedSession(candidates, count, goal, targetAreas) {
+        // Greedy pick: favour uncovered selected areas, spread movement patterns and
+        // never follow a pattern with itself while another one is still available.
+        // Without a selection every area counts, so the session stays balanced.
+        const areas = targetAreas.length > 0 ? targetAreas : Object.keys(this.areaMuscles);
+        const primaryWeight = targetAreas.length > 0 ? 3 : 1;
+        const secondaryWeight = targetAreas.length > 0 ? 1 : 0.5;
+        const coverage = {};
+        const patternCounts = {};
+        const remaining = candidates.map((exercise, index) => ({ exercise, index }));
+        const session = [];
+
+        const score = ({ exercise, index }) => {
+            const primaryAreas = this.getAreasFor(exercise.primary);
+            let value = 0;
+            primaryAreas.forEach(area => {
+                if (areas.includes(area)) value += primaryWeight / (1 + (coverage[area] || 0));
+            });
+            this.getAreasFor(exercise.secondary).forEach(area => {
+                if (areas.includes(area) && !primaryAreas.includes(area)) {
+                    value += secondaryWeight / (1 + (coverage[area] || 0));
+                }
+            });
+            value -= (patternCounts[exercise.pattern] || 0) * 0.5;
+            if (exercise.borrowedFrom) value -= 1;
+            // Library order breaks ties
+            return value - index * 0.001;
+        };
+
+        const best = items => items.reduce((top, item) => (score(item) > score(top) ? item : top));
+
+        while (session.length < count && remaining.length > 0) {
+            const previous = session[session.length - 1];
+            const options = remaining.filter(item => !previous || item.exercise.pattern !== previous.pattern);
+            const pick = best(options.length > 0 ? options : remaining);
+            const avoidedRepeat = pick !== best(remaining);
+
+            const exercise = {
+                ...pick.exercise,
+                reason: this.explainChoice(pick.exercise, previous, goal, targetAreas, coverage, avoidedRepeat)
+            };
+            this.getAreasFor(exercise.primary).forEach(area => {
+                coverage[area] = (coverage[area] || 0) + 1;
+            });
+            patternCounts[exercise.pattern] = (patternCounts[exercise.pattern] || 0) + 1;
+            session.push(exercise);
+            remaining.splice(remaining.indexOf(pick), 1);
+        }
+
+        return session;
+    }
+
+    explainChoice(exercise, previous, goal, targetAreas, coverage, avoidedRepeat) {
+        const goalLabel = goal.replace('-', ' ');
+        const primaryAreas = this.getAreasFor(exercise.primary).filter(area => targetAreas.includes(area));
+        const secondaryAreas = this.getAreasFor(exercise.secondary)
+            .filter(area => targetAreas.includes(area) && !primaryAreas.includes(area));
+        const parts = [];
+
+        if (exercise.borrowedFrom) {
+            parts.push(`Added from the ${exercise.borrowedFrom.replace('-', ' ')} library because your ${goalLabel} plan had no ${this.formatList(primaryAreas, 'or')} work`);
+        } else if (primaryAreas.length > 0) {
+            const fresh = primaryAreas.some(area => !coverage[area]);
+            parts.push(`${fresh ? 'Targets' : 'Adds more volume for'} your ${this.formatList(primaryAreas)} focus`);
+        } else if (secondaryAreas.length > 0) {
+            parts.push(`Works your ${this.formatList(secondaryAreas)} focus as a secondary mover`);
+        } else {
+            const muscles = exercise.primary.map(muscle => this.formatMuscle(muscle).toLowerCase());
+            parts.push(`Trains ${this.formatList(muscles)} to round out a balanced ${goalLabel} session`);
+        }
+
+        if (avoidedRepeat) {
+            parts.push(`placed here so two ${this.movementPatterns[previous.pattern]} movements don't run back-to-back`);
+        }
+
+        if (exercise.replaces) {
+            const joints = this.formatList(exercise.replacedFor.map(limitation => this.limitationLabels[limitation]));
+            return `Stands in for ${exercise.replaces} to spare your ${joints}. ${parts.join('; ')}.`;
+        }
+        return `${parts.join('; ')}.`;
+    }
+
+    formatList(items, conjunction = 'and') {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+    }
+
+    formatMuscle(muscle) {
+        return this.capitalizeFirst(muscle.replace('-', ' '));
+    }
+
+    composeWorkout(exercises, goal, duration, fillers = []) {
+        // Warm-up and cool-down come off the top, then exercises are added in priority
+        // order and sets are filled or trimmed until the main block fits what is left.
+        // Fillers are only used once every exercise is at its set limit.
+        const totalSeconds = duration * 60;
+        const warmup = this.buildBlock(this.warmupDrills, Math.min(Math.max(totalSeconds * 0.12, 180), 600));
+        const cooldown = this.buildBlock(this.cooldownDrills, Math.min(Math.max(totalSeconds * 0.08, 120), 420));
+        const budget = totalSeconds - this.getBlockSeconds(warmup) - this.getBlockSeconds(cooldown);
+        const baseSets = this.setsByGoal[goal] || 3;
+        const minSets = Math.min(2, baseSets - 1);
+        const maxSets = Math.max(baseSets + 2, 6);
+
+        const plan = (list, sets) => list.map(exercise => {
+            const timing = this.estimateExercise(exercise);
+            return { ...exercise, ...timing, sets: timing.fixedSets || sets };
+        });
+        const mainTime = list => list.reduce((total, exercise) => total + this.getExerciseSeconds(exercise), 0);
+
+        const main = [];
+        const addExercises = list => {
+            let complete = true;
+            for (const exercise of list) {
+                if (mainTime(main) + this.getExerciseSeconds(exercise) <= budget) {
+                    main.push(exercise);
+                    continue;
+                }
+                complete = false;
+                // The first exercise is always kept, at reduced sets if need be
+                if (main.length === 0) {
+                    if (!exercise.fixedSets) exercise.sets = minSets;
+                    main.push(exercise);
+                    continue;
+                }
+                // Otherwise take as many sets as fit in what is left, and if not even one does,
+                // move on: a shorter exercise further down the list may still fit
+                const setsThatFit = Math.floor((budget - mainTime(main)) / (exercise.workSeconds + exercise.restSeconds));
+                if (!exercise.fixedSets && setsThatFit >= 1) {
+                    exercise.sets = Math.min(exercise.sets, setsThatFit);
+                    main.push(exercise);
+                }
+            }
+            return complete;
+        };
+        // Fill: add sets round-robin while they still fit
+        const fillSets = () => {
+            let added = true;
+            while (added) {
+                added = false;
+                main.forEach(exercise => {
+                    if (exercise.fixedSets || exercise.sets >= maxSets) return;
+                    if (mainTime(main) + exercise.workSeconds + exercise.restSeconds <= budget) {
+                        exercise.sets++;
+                        added = true;
+                    }
+                });
+            }
+        };
+
+        let complete = addExercises(plan(exercises, baseSets));
+        // Short sessions: three exercises at fewer sets beat one or two at full volume
+        if (main.length < Math.min(3, exercises.length)) {
+            main.length = 0;
+            complete = addExercises(plan(exercises, minSets));
+        }
+        if (complete) {
+            fillSets();
+            addExercises(plan(fillers, baseSets));
+        }
+        fillSets();
+
+        // Trim: take sets off the lowest-priority exercises first
+        for (let i = main.length - 1; i >= 0 && mainTime(main) > budget; i--) {
+            while (!main[i].fixedSets && main[i].sets > minSets && mainTime(main) > budget) {
+                main[i].sets--;
+            }
+        }
+
+        main.forEach(exercise => {
+            exercise.estimatedSeconds = this.getExerciseSeconds(exercise);
+        });
+
+        return {
+            warmup,
+            exercises: main,
+            cooldown,
+            estimatedSeconds: this.getBlockSeconds(warmup) + mainTime(main) + this.getBlockSeconds(cooldown)
+        };
+    }
+
+    buildBlock(drills, targetSeconds) {
+        const block = [];
+        let seconds = 0;
+        drills.forEach(drill => {
+            if (seconds + drill.seconds <= targetSeconds) {
+                block.push(drill);
+                seconds += drill.seconds;
+            }
+        });
+        return block;
+    }
+
+    getBlockSeconds(block) {
+        return block.reduce((total, drill) => total + drill.seconds, 0);
+    }
+
+    getExerciseSeconds(exercise) {
+        // The rest after the last set doubles as the change-over to the next exercise
+        return exercise.sets * (exercise.workSeconds + exercise.restSeconds);
+    }
+
+    estimateExercise(exercise) {
+        const text = String(exercise.reps).toLowerCase();
+        const sides = /\beach\b/.test(text) ? 2 : 1;
+        const average = match => (match[2] ? (parseFloat(match[1]) + parseFloat(match[2])) / 2 : parseFloat(match[1]));
+        const setsMatch = text.match(/x\s*(\d+)/);
+        let workSeconds;
+        let fixedSets = setsMatch ? parseInt(setsMatch[1]) : 0;
+
+        const minutes = text.match(/(\d+)(?:\s*-\s*(\d+))?\s*min/);
+        const seconds = text.match(/(\d+)(?:\s*-\s*(\d+))?\s*sec/);
+        const metres = text.match(/(\d+)\s*m\b/);
+        if (minutes) {
+            workSeconds = average(minutes) * 60 * sides;
+            // Long steady efforts are a single block rather than sets
+            if (workSeconds >= 300) fixedSets = fixedSets || 1;
+        } else if (seconds) {
+            workSeconds = average(seconds) * sides;
+        } else if (metres) {
+            workSeconds = parseInt(metres[1]) * this.secondsPerMetre;
+        } else if (text.includes('+')) {
+            // Drop sets such as "12 + 10 + 8 reps"
+            workSeconds = (text.match(/\d+/g) || []).reduce((total, reps) => total + parseInt(reps), 0) * this.secondsPerRep;
+        } else {
+            const reps = text.match(/(\d+)(?:\s*-\s*(\d+))?/);
+            workSeconds = (reps ? average(reps) : 10) * this.secondsPerRep * sides;
+        }
+
+        return { workSeconds: Math.round(workSeconds), restSeconds: this.estimateRestSeconds(exercise.rest), fixedSets };
+    }
+
+    estimateRestSeconds(rest) {
+        const match = String(rest).match(/(\d+)(?:\s*-\s*(\d+))?\s*(min|s)/i);
+        if (!match) return 0;
+        const value = match[2] ? (parseInt(match[1]) + parseInt(match[2])) / 2 : parseInt(match[1]);
+        return value * (match[3].toLowerCase() === 'min' ? 60 : 1);
+    }
+
+    formatPrescription(exercise) {
+        // Fixed-set entries such as "500m x 4" or a 10 minute block already say how much to do
+        const reps = window.unitConverter.localizeDistances(exercise.reps);
+        return exercise.fixedSets ? reps : `${exercise.sets} × ${reps}`;
+    }
+
+    formatMinutes(seconds) {
+        return Math.round(seconds / 60);
+    }
+
+    displayWorkout(plan, level, goal, duration, equipment, targetAreas = []) {
+        const resultDiv = this.result;
+        const { warmup, exercises, cooldown, estimatedSeconds } = plan;
+        const estimatedMinutes = this.formatMinutes(estimatedSeconds);
+        const title = `${this.capitalizeFirst(level)} ${this.capitalizeFirst(goal.replace('-', ' '))} Workout`;
+        this.currentWorkout = { title, exercises, warmup, cooldown, estimatedSeconds, level, goal, duration, equipment, targetAreas };
+
+        // A new plan replaces any session that was being logged
+        if (window.workoutSession) {
+            window.workoutSession.close();
+        }
+        
+        resultDiv.innerHTML = `
+            <div class="workout-plan active">
+                <div class="workout-header">
+                    <h3>${title}</h3>
+                    <div class="workout-meta">
+                        <div class="meta-item">
+                            <span class="meta-value">${duration}</span>
+                            <span class="meta-label">Minutes</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-value ${estimatedMinutes > duration ? 'over' : ''}">~${estimatedMinutes}</span>
+                            <span class="meta-label">Estimated</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-value">${exercises.length}</span>
+                            <span class="meta-label">Exercises</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-value">${this.capitalizeFirst(equipment === 'none' ? 'Bodyweight' : equipment)}</span>
+                            <span class="meta-label">Equipment</span>
+                        </div>
+                    </div>
+                    ${targetAreas.length > 0 ? `
+                        <p class="workout-focus">Focus: ${targetAreas.map(area => this.capitalizeFirst(area)).join(', ')}</p>
+                    ` : ''}
+                </div>
+                ${this.renderBlock('Warm-up', 'fa-fire', warmup)}
+                <h4 class="workout-block-title">
+                    <i class="fas fa-dumbbell"></i> Main Workout
+                    <span>~${this.formatMinutes(estimatedSeconds - this.getBlockSeconds(warmup) - this.getBlockSeconds(cooldown))} min</span>
+                </h4>
+                <ul class="exercise-list">
+                    ${exercises.map((exercise, index) => `
+                        <li class="exercise-item">
+                            <div class="exercise-number">${index + 1}</div>
+                            <div class="exercise-details">
+                                <h4>${exercise.name}</h4>
+                                <p>${exercise.description}</p>
+                                ${exercise.primary ? `
+                                    <div class="exercise-tags">
+                                        ${exercise.primary.map(muscle => `<span class="muscle-tag primary">${this.formatMuscle(muscle)}</span>`).join('')}
+                                        ${exercise.secondary.map(muscle => `<span class="muscle-tag">${this.formatMuscle(muscle)}</span>`).join('')}
+                                        <span class="pattern-tag">${this.movementPatterns[exercise.pattern]}</span>
+                                    </div>
+                                ` : ''}
+                                ${exercise.reason ? `
+                                    <p class="exercise-reason"><i class="fas fa-lightbulb"></i> ${Utils.escapeHtml(exercise.reason)}</p>
+                                ` : ''}
+                            </div>
+                            <div class="exercise-reps">
+                                <span class="reps">${Utils.escapeHtml(this.formatPrescription(exercise))}</span>
+                                <span class="rest">${Utils.escapeHtml(exercise.rest)}</span>
+                                <span class="rest">~${Math.max(1, this.formatMinutes(exercise.estimatedSeconds))} min</span>
+                                <button type="button" class="exercise-swap-btn" data-swap-index="${index}">
+                                    <i class="fas fa-exchange-alt"></i> Swap
+                                </button>
+                            </div>
+                            <div class="swap-options" data-swap-list="${index}"></div>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${this.renderBlock('Cool-down', 'fa-snowflake', cooldown)}
+                <div style="text-align: center; margin-top: 2rem;">
+                    <button class="btn btn-primary" onclick="window.workoutSession.start(window.workoutGenerator.currentWorkout)">
+                        <i class="fas fa-play"></i> Start this workout
+                    </button>
+                    <button class="btn btn-outline" onclick="window.workoutGenerator.saveToHistory(this)">
+                        <i class="fas fa-bookmark"></i> Save to History
+                    </button>
+                    <button class="btn btn-primary" onclick="window.trainerBooking.openBookingModal()">
+                        Book Personal Training
+                    </button>
+                </div>
+                <div class="workout-share">
+                    <button type="button" class="btn btn-outline" data-share-action="print">
+                        <i class="fas fa-print"></i> Print / PDF
+                    </button>
+                    <button type="button" class="btn btn-outline" data-share-action="text">
+                        <i class="fas fa-align-left"></i> Copy as Text
+                    </button>
+                    <button type="button" class="btn btn-outline" data-share-action="json">
+                        <i class="fas fa-file-download"></i> JSON
+                    </button>
+                    <button type="button" class="btn btn-outline" data-share-action="link">
+                        <i class="fas fa-link"></i> Share Link
+                    </button>
+                </div>
+            </div>
+        `;
+
+        // Animate the result
+        resultDiv.style.opacity = '0';
+        setTimeout(() => {
+            resultDiv.style.opacity = '1';
+        }, 100);
+    }
+
+    toggleSwapOptions(index) {
+        const list = this.result.querySelector(`[data-swap-list="${index}"]`);
+        const workout = this.currentWorkout;
+        if (!list || !workout) return;
+
+        if (list.innerHTML.trim() !== '') {
+            list.innerHTML = '';
+            return;
+        }
+
+        const exercise = workout.exercises[index];
+        const alternatives = this.findAlternatives(exercise, {
+            level: workout.level,
+            goal: workout.goal,
+            equipment: workout.equipment,
+            exclude: workout.exercises.map(item => item.name)
+        }).slice(0, 4);
+
+        list.innerHTML = alternatives.length > 0 ? `
+            <p>Swap ${Utils.escapeHtml(exercise.name)} for:</p>
+            ${alternatives.map(alternative => `
+                <button type="button" class="swap-option" data-swap-for="${index}" data-swap-choice="${Utils.escapeHtml(alternative.name)}">
+                    <strong>${Utils.escapeHtml(alternative.name)}</strong>
+                    <span>${Utils.escapeHtml(alternative.reps)} • ${Utils.escapeHtml(alternative.why)}</span>
+                </button>
+            `).join('')}
+        ` : '<p>No alternative works these muscles with your equipment and limitations.</p>';
+    }
+
+    applySwap(index, name) {
+        const workout = this.currentWorkout;
+        if (!workout || !workout.exercises[index]) return;
+
+        const original = workout.exercises[index];
+        const alternative = this.findAlternatives(original, {
+            level: workout.level,
+            goal: workout.goal,
+            equipment: workout.equipment,
+            exclude: workout.exercises.map(item => item.name)
+        }).find(item => item.name === name);
+        if (!alternative) return;
+
+        const timing = this.estimateExercise(alternative);
+        const swapped = {
+            ...alternative,
+            ...timing,
+            sets: timing.fixedSets || (original.fixedSets ? this.setsByGoal[workout.goal] || 3 : original.sets),
+            reason: `Swapped in for ${original.name}: ${alternative.why}.`
+        };
+        swapped.estimatedSeconds = this.getExerciseSeconds(swapped);
+
+        const exercises = workout.exercises.map((exercise, i) => (i === index ? swapped : exercise));
+        const estimatedSeconds = workout.estimatedSeconds - original.estimatedSeconds + swapped.estimatedSeconds;
+        this.displayWorkout(
+            { warmup: workout.warmup, exercises, cooldown: workout.cooldown, estimatedSeconds },
+            workout.level, workout.goal, workout.duration, workout.equipment, workout.targetAreas
+        );
+    }
+
+    handleShareAction(action, button) {
+        const workout = this.currentWorkout;
+        const fileName = this.slugify(workout.title);
+
+        switch (action) {
+            case 'print':
+                this.printWorkout(workout);
+                break;
+            case 'text':
+                this.copyToClipboard(this.buildWorkoutText(workout), button, () => {
+                    Utils.downloadFile(`${fileName}.txt`, this.buildWorkoutText(workout), 'text/plain');
+                });
+                break;
+            case 'json':
+                Utils.downloadFile(`${fileName}.json`, JSON.stringify({
+                    format: 'fitzone-workout',
+                    version: 1,
+                    workout: this.serializeWorkout(workout),
+                    url: this.buildShareUrl(workout)
+                }, null, 2), 'application/json');
+                break;
+            case 'link': {
+                const url = this.buildShareUrl(workout);
+                if (navigator.share) {
+                    navigator.share({ title: workout.title, url }).catch(() => {});
+                } else {
+                    this.copyToClipboard(url, button, () => window.prompt('Copy this link to share your workout:', url));
+                }
+                break;
+            }
+        }
+    }
+
+    serializeWorkout(workout) {
+        return {
+            title: workout.title,
+            level: workout.level,
+            goal: workout.goal,
+            duration: workout.duration,
+            equipment: workout.equipment,
+            targetAreas: workout.targetAreas,
+            estimatedMinutes: this.formatMinutes(workout.estimatedSeconds),
+            warmup: workout.warmup.map(drill => ({ name: drill.name, description: drill.description, seconds: drill.seconds })),
+            exercises: workout.exercises.map(exercise => ({
+                name: exercise.name,
+                description: exercise.description,
+                sets: exercise.sets,
+                reps: exercise.reps,
+                rest: exercise.rest,
+                primary: exercise.primary,
+                pattern: exercise.pattern
+            })),
+            cooldown: workout.cooldown.map(drill => ({ name: drill.name, description: drill.description, seconds: drill.seconds }))
+        };
+    }
+
+    buildWorkoutText(workout) {
+        const lines = [
+            workout.title,
+            `${workout.duration} min requested, ~${this.formatMinutes(workout.estimatedSeconds)} min estimated, ${workout.equipment === 'none' ? 'bodyweight' : `${workout.equipment} equipment`}`
+        ];
+        if (workout.targetAreas.length > 0) {
+            lines.push(`Focus: ${workout.targetAreas.map(area => this.capitalizeFirst(area)).join(', ')}`);
+        }
+
+        const addDrills = (title, drills) => {
+            if (drills.length === 0) return;
+            lines.push('', `${title.toUpperCase()} (~${this.formatMinutes(this.getBlockSeconds(drills))} min)`);
+            drills.forEach(drill => lines.push(`- ${drill.name} (${drill.seconds}s): ${drill.description}`));
+        };
+
+        addDrills('Warm-up', workout.warmup);
+        lines.push('', 'MAIN WORKOUT');
+        workout.exercises.forEach((exercise, index) => {
+            lines.push(`${index + 1}. ${exercise.name}: ${this.formatPrescription(exercise)}, ${exercise.rest}`);
+            lines.push(`   ${exercise.description}`);
+        });
+        addDrills('Cool-down', workout.cooldown);
+        lines.push('', `Open this plan: ${this.buildShareUrl(workout)}`);
+
+        return lines.join('\n');
+    }
+
+    printWorkout(workout) {
+        const renderDrills = (title, drills) => (drills.length === 0 ? '' : `
+            <h2>${title} <small>~${this.formatMinutes(this.getBlockSeconds(drills))} min</small></h2>
+            <ul>${drills.map(drill => `<li><strong>${Utils.escapeHtml(drill.name)}</strong> ${drill.seconds}s <span>${Utils.escapeHtml(drill.description)}</span></li>`).join('')}</ul>
+        `);
+
+        const body = `
+            <h1>${workout.title}</h1>
+            <p>${workout.duration} min requested · ~${this.formatMinutes(workout.estimatedSeconds)} min estimated · ${this.capitalizeFirst(workout.equipment === 'none' ? 'bodyweight' : workout.equipment)} equipment</p>
+            ${renderDrills('Warm-up', workout.warmup)}
+            <h2>Main Workout</h2>
+            <table>
+                <thead><tr><th>#</th><th>Exercise</th><th>Sets × Reps</th><th>Rest</th><th>Notes</th></tr></thead>
+                <tbody>
+                    ${workout.exercises.map((exercise, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td><strong>${Utils.escapeHtml(exercise.name)}</strong><span>${Utils.escapeHtml(exercise.description)}</span></td>
+                            <td>${Utils.escapeHtml(this.formatPrescription(exercise))}</td>
+                            <td>${Utils.escapeHtml(exercise.rest)}</td>
+                            <td class="notes"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${renderDrills('Cool-down', workout.cooldown)}
+            <p class="share-url">${Utils.escapeHtml(this.buildShareUrl(workout))}</p>
+        `;
+
+        this.openPrintView(workout.title, body, `
+            table { width: 100%; border-collapse: collapse; margin-top: 0.5rem; }
+            th, td { border: 1px solid #ccc; padding: 0.4rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+            td span, li span { display: block; color: #666; font-size: 0.8rem; }
+            td.notes { width: 25%; }
+            li { padding: 0.25rem 0; border-bottom: 1px solid #eee; }
+            .share-url { margin-top: 1.5rem; font-size: 0.75rem; color: #888; word-break: break-all; }
+        `);
+    }
+
+    openPrintView(title, body, styles = '') {
+        const view = window.open('', '_blank');
+        if (!view) {
+            alert('Please allow pop-ups to print or save as PDF.');
+            return;
+        }
+
+        view.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${Utils.escapeHtml(title)}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; color: #222; margin: 2rem; }
+                    h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+                    h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+                    h2 small { font-weight: normal; color: #888; }
+                    ul { list-style: none; padding: 0; margin: 0; }
+                    em { color: #666; }
+                    ${styles}
+                </style>
+            </head>
+            <body>${body}</body>
+            </html>
+        `);
+        view.document.close();
+        view.focus();
+        view.print();
+    }
+
+    copyToClipboard(text, button, fallback) {
+        if (!navigator.clipboard) {
+            fallback();
+            return;
+        }
+
+        const label = button.innerHTML;
+        navigator.clipboard.writeText(text)
+            .then(() => {
+                button.innerHTML = '<i class="fas fa-check"></i> Copied';
+                setTimeout(() => {
+                    button.innerHTML = label;
+                }, 2000);
+            })
+            .catch(fallback);
+    }
+
+    buildShareUrl(workout) {
+        // Reps and rest travel with the link so library edits cannot change a shared plan
+        const payload = {
+            v: 1,
+            l: workout.level,
+            g: workout.goal,
+            d: workout.duration,
+            e: workout.equipment,
+            t: workout.targetAreas,
+            w: workout.warmup.map(drill => drill.name),
+            c: workout.cooldown.map(drill => drill.name),
+            x: workout.exercises.map(exercise => [exercise.name, exercise.sets, exercise.reps, exercise.rest])
+        };
+        const params = new URLSearchParams(window.location.search);
+        params.set('workout', this.encodeShareData(payload));
+        return `${window.location.origin}${window.location.pathname}?${params.toString()}#workout-generator`;
+    }
+
+    encodeShareData(payload) {
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeShareData(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    openSharedWorkout() {
+        const encoded = new URLSearchParams(window.location.search).get('workout');
+        if (!encoded) return;
+
+        let plan;
+        let payload;
+        try {
+            payload = this.decodeShareData(encoded);
+            plan = this.restoreSharedPlan(payload);
+        } catch (error) {
+            console.error('Workout Generator: Could not open shared workout', error);
+            this.showError('This shared workout link is damaged or out of date.');
+            return;
+        }
+
+        // Reflect the shared settings in the form so "Generate" starts from the same choices
+        [['fitness-level', payload.l], ['workout-goal', payload.g], ['workout-duration', String(payload.d)], ['equipment', payload.e]].forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) select.value = value;
+        });
+        document.querySelectorAll('#workout-form input[name="target-areas"]').forEach(checkbox => {
+            checkbox.checked = payload.t.includes(checkbox.value);
+            const label = checkbox.closest('.checkbox-label');
+            if (label) label.classList.toggle('checked', checkbox.checked);
+        });
+
+        this.displayWorkout(plan, payload.l, payload.g, payload.d, payload.e, payload.t);
+    }
+
+    restoreSharedPlan(payload) {
+        if (!payload || payload.v !== 1 || !Array.isArray(payload.x) || payload.x.length === 0) {
+            throw new Error('Unsupported shared workout format');
+        }
+        // Everything that ends up in the page must be a known level, goal, equipment, area or exercise,
+        // and reps/rest must look like the library's own prescriptions
+        const levelData = this.workoutDatabase[payload.l];
+        if (!levelData || !levelData[payload.g] || !this.equipmentLevels.includes(payload.e) ||
+            !Number.isFinite(payload.d) || !Array.isArray(payload.t) || payload.t.some(area => !this.areaMuscles[area])) {
+            throw new Error('Shared workout settings are not recognised');
+        }
+
+        const entries = this.getLibraryEntries();
+        const findDrill = (drills, name) => drills.find(drill => drill.name === name);
+        const warmup = (payload.w || []).map(name => findDrill(this.warmupDrills, name)).filter(Boolean);
+        const cooldown = (payload.c || []).map(name => findDrill(this.cooldownDrills, name)).filter(Boolean);
+
+        const exercises = payload.x.map(([name, sets, reps, rest]) => {
+            const matches = entries.filter(entry => entry.exercise.name === name);
+            const entry = matches.find(item => item.level === payload.l && item.goal === payload.g) || matches[0];
+            if (!entry) {
+                throw new Error(`Unknown exercise "${name}"`);
+            }
+            const exercise = this.tagExercise({
+                ...entry.exercise,
+                reps: this.repsFormat.test(String(reps)) ? String(reps) : entry.exercise.reps,
+                rest: this.restFormat.test(String(rest)) ? String(rest) : entry.exercise.rest
+            });
+            const timing = this.estimateExercise(exercise);
+            const plannedSets = Math.min(this.maxSharedSets, Math.max(1, parseInt(sets) || 1));
+            const planned = { ...exercise, ...timing, sets: plannedSets, reason: 'From a shared workout link.' };
+            planned.estimatedSeconds = this.getExerciseSeconds(planned);
+            return planned;
+        });
+
+        const estimatedSeconds = this.getBlockSeconds(warmup) + this.getBlockSeconds(cooldown) +
+            exercises.reduce((total, exercise) => total + exercise.estimatedSeconds, 0);
+        return { warmup, exercises, cooldown, estimatedSeconds };
+    }
+
+    slugify(str) {
+        return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    renderBlock(title, icon, drills) {
+        if (drills.length === 0) return '';
+        return `
+            <h4 class="workout-block-title">
+                <i class="fas ${icon}"></i> ${title}
+                <span>~${this.formatMinutes(this.getBlockSeconds(drills))} min</span>
+            </h4>
+            <ul class="exercise-list workout-block">
+                ${drills.map(drill => `
+                    <li class="exercise-item">
+                        <div class="exercise-details">
+                            <h4>${Utils.escapeHtml(drill.name)}</h4>
+                            <p>${Utils.escapeHtml(drill.description)}</p>
+                        </div>
+                        <div class="exercise-reps">
+                            <span class="reps">${drill.seconds}s</span>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    saveToHistory(button) {
+        if (!this.currentWorkout || !window.workoutJournal) return;
+
+        const { title, exercises, estimatedSeconds, level, goal, equipment } = this.currentWorkout;
+        button.disabled = true;
+
+        window.workoutJournal.add({
+            source: 'generator',
+            title,
+            duration: estimatedSeconds,
+            exercises: exercises.map(exercise => ({ name: exercise.name, reps: this.formatPrescription(exercise), rest: exercise.rest })),
+            details: { level, goal, equipment }
+        }).then(() => {
+            button.innerHTML = '<i class="fas fa-check"></i> Saved to History';
+        }).catch(error => {
+            console.error('Workout Generator: Could not save workout', error);
+            button.disabled = false;
+        });
+    }
+
+    capitalizeFirst(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+}
+
+// Workout Session Manager
+class WorkoutSession {
+    constructor() {
+        this.result = document.getElementById('workout-result');
+        this.session = null;
+        this.restIntervalId = null;
+        this.restEndsAt = 0;
+        this.previousPerformance = {};
+        this.init();
+    }
+
+    init() {
+        if (!this.result) return;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        // Delegate actions since the session panel is re-rendered on every step
+        this.result.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-action]');
+            if (!button || !this.session) return;
+
+            const setIndex = parseInt(button.dataset.set);
+            switch (button.dataset.sessionAction) {
+                case 'complete-set':
+                    this.completeSet(setIndex);
+                    break;
+                case 'add-set':
+                    this.addSet();
+                    break;
+                case 'prev':
+                    this.goToExercise(this.session.exerciseIndex - 1);
+                    break;
+                case 'next':
+                    this.goToExercise(this.session.exerciseIndex + 1);
+                    break;
+                case 'skip-rest':
+                    this.stopRest();
+                    break;
+                case 'finish':
+                    this.finish();
+                    break;
+                case 'cancel':
+                    if (window.confirm('Stop this workout? Sets logged so far will not be saved.')) {
+                        this.close();
+                    }
+                    break;
+            }
+        });
+
+        this.result.addEventListener('input', (e) => {
+            const input = e.target.closest('[data-set-field]');
+            if (!input || !this.session) return;
+
+            const set = this.getCurrentExercise().sets[parseInt(input.dataset.set)];
+            const value = parseFloat(input.value) || 0;
+            // Weights are logged in kg whatever unit they are entered in
+            set[input.dataset.setField] = input.dataset.setField === 'weight'
+                ? window.unitConverter.toMetric(this.getWeightUnit(), value)
+                : value;
+        });
+    }
+
+    // Lifting weights are shown in kg or lb; stones are only used for body weight
+    getWeightUnit() {
+        return window.unitConverter.preferred().weight === 'kg' ? 'kg' : 'lb';
+    }
+
+    formatWeight(kg, decimals = 1) {
+        return window.unitConverter.format(kg, this.getWeightUnit(), decimals);
+    }
+
+    start(workout) {
+        if (!workout) return;
+
+        this.session = {
+            workout,
+            startedAt: Date.now(),
+            exerciseIndex: 0,
+            exercises: workout.exercises.map(exercise => ({
+                name: exercise.name,
+                reps: exercise.reps,
+                rest: exercise.rest,
+                restSeconds: this.parseRestSeconds(exercise.rest),
+                unit: this.getTargetUnit(exercise.reps),
+                timed: this.getTargetUnit(exercise.reps) !== 'reps',
+                sets: Array.from({ length: exercise.sets || 3 }, () => ({ weight: 0, reps: this.parseTargetReps(exercise.reps), done: false }))
+            }))
+        };
+
+        const session = this.session;
+        this.loadPreviousPerformance().then(() => {
+            // The session may have been closed or replaced while history was loading
+            if (this.session !== session) return;
+            this.prefillFromHistory();
+            this.render();
+        });
+    }
+
+    loadPreviousPerformance() {
+        this.previousPerformance = {};
+        if (!window.workoutJournal) return Promise.resolve();
+
+        return window.workoutJournal.getAll()
+            .then(entries => {
+                // Entries come newest first, so the first match is the latest performance
+                entries.forEach(entry => {
+                    entry.exercises.forEach(exercise => {
+                        if (exercise.sets && exercise.sets.length > 0 && !this.previousPerformance[exercise.name]) {
+                            this.previousPerformance[exercise.name] = { date: entry.date, sets: exercise.sets, volume: exercise.volume || 0 };
+                        }
+                    });
+                });
+            })
+            .catch(error => console.error('Workout Session: Could not load previous sets', error));
+    }
+
+    prefillFromHistory() {
+        // Start each exercise from the weights used last time
+        this.session.exercises.forEach(exercise => {
+            const previous = this.previousPerformance[exercise.name];
+            if (!previous) return;
+
+            exercise.sets.forEach((set, index) => {
+                const previousSet = previous.sets[Math.min(index, previous.sets.length - 1)];
+                set.weight = previousSet.weight;
+            });
+        });
+    }
+
+    parseRestSeconds(rest) {
+        const match = String(rest).match(/(\d+)\s*(?:-\s*\d+\s*)?(min|s)/i);
+        if (!match) return 60;
+        return parseInt(match[1]) * (match[2].toLowerCase() === 'min' ? 60 : 1);
+    }
+
+    // What the number in a prescription counts, matching how ProgramPlanner tells timed and distance work apart
+    getTargetUnit(reps) {
+        if (/\d+m\b/i.test(reps)) return 'metres';
+        if (/min/i.test(reps)) return 'minutes';
+        if (/sec/i.test(reps)) return 'seconds';
+        return 'reps';
+    }
+
+    parseTargetReps(reps) {
+        const match = String(reps).match(/\d+/);
+        return match ? parseInt(match[0]) : 10;
+    }
+
+    getCurrentExercise() {
+        return this.session.exercises[this.session.exerciseIndex];
+    }
+
+    // Weight × reps; timed and distance sets log seconds, minutes or metres rather than reps, so they add no volume
+    getExerciseVolume(exercise) {
+        if (exercise.timed) return 0;
+
+        return exercise.sets
+            .filter(set => set.done)
+            .reduce((total, set) => total + set.weight * set.reps, 0);
+    }
+
+    completeSet(index) {
+        const exercise = this.getCurrentExercise();
+        exercise.sets[index].done = true;
+
+        const remainingSets = exercise.sets.some(set => !set.done);
+        const isLastExercise = this.session.exerciseIndex === this.session.exercises.length - 1;
+
+        if (!remainingSets && !isLastExercise) {
+            this.session.exerciseIndex++;
+        }
+        if (remainingSets || !isLastExercise) {
+            this.startRest(exercise.restSeconds);
+        }
+        this.render();
+    }
+
+    addSet() {
+        const exercise = this.getCurrentExercise();
+        const lastSet = exercise.sets[exercise.sets.length - 1];
+        exercise.sets.push({ weight: lastSet ? lastSet.weight : 0, reps: lastSet ? lastSet.reps : 10, done: false });
+        this.render();
+    }
+
+    goToExercise(index) {
+        if (index < 0 || index >= this.session.exercises.length) return;
+        this.session.exerciseIndex = index;
+        this.stopRest();
+        this.render();
+    }
+
+    startRest(seconds) {
+        this.stopRest();
+        if (seconds <= 0) return;
+
+        this.restEndsAt = Date.now() + seconds * 1000;
+        this.restIntervalId = setInterval(() => this.updateRest(), 250);
+    }
+
+    updateRest() {
+        const remaining = Math.max(0, Math.ceil((this.restEndsAt - Date.now()) / 1000));
+        const display = this.result.querySelector('.session-rest-time');
+        if (display) {
+            display.textContent = `${Math.floor(remaining / 60)}:${(remaining % 60).toString().padStart(2, '0')}`;
+        }
+
+        if (remaining === 0) {
+            this.stopRest();
+            if (window.timerAudio) {
+                window.timerAudio.cue('work', window.timerPrograms ? window.timerPrograms.getAudioSettings() : {}, 'Rest over, next set!');
+            }
+            this.render();
+        }
+    }
+
+    stopRest() {
+        clearInterval(this.restIntervalId);
+        this.restIntervalId = null;
+        this.restEndsAt = 0;
+        const restPanel = this.result.querySelector('.session-rest');
+        if (restPanel) restPanel.remove();
+    }
+
+    render() {
+        let panel = this.result.querySelector('.workout-session');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'workout-session';
+            this.result.querySelector('.workout-plan').after(panel);
+        }
+
+        const { exercises, exerciseIndex } = this.session;
+        const exercise = this.getCurrentExercise();
+        const previous = this.previousPerformance[exercise.name];
+        const completedSets = exercises.reduce((total, item) => total + item.sets.filter(set => set.done).length, 0);
+        const totalSets = exercises.reduce((total, item) => total + item.sets.length, 0);
+        const repsLabel = exercise.unit.charAt(0).toUpperCase() + exercise.unit.slice(1);
+        const weightUnit = this.getWeightUnit();
+
+        panel.innerHTML = `
+            <div class="session-header">
+                <span class="session-step">Exercise ${exerciseIndex + 1} of ${exercises.length}</span>
+                <span class="session-progress">${completedSets}/${totalSets} sets done</span>
+            </div>
+            <h3>${Utils.escapeHtml(exercise.name)}</h3>
+            <p class="session-target">Target: ${Utils.escapeHtml(window.unitConverter.localizeDistances(exercise.reps))} • ${Utils.escapeHtml(exercise.rest)}</p>
+            ${previous ? `
+                <p class="session-previous">
+                    <i class="fas fa-history"></i>
+                    Last time (${new Date(previous.date).toLocaleDateString([], { month: 'short', day: 'numeric' })}):
+                    ${previous.sets.map(set => `${set.reps} × ${this.formatWeight(set.weight)}`).join(', ')}
+                    ${previous.volume ? `• ${this.formatWeight(previous.volume, 0)} volume` : ''}
+                </p>
+            ` : ''}
+            ${this.restEndsAt ? `
+                <div class="session-rest">
+                    <span>Rest</span>
+                    <span class="session-rest-time"></span>
+                    <button type="button" class="btn btn-sm btn-outline" data-session-action="skip-rest">Skip Rest</button>
+                </div>
+            ` : ''}
+            <table class="session-sets">
+                <thead>
+                    <tr><th>Set</th><th>Weight (${weightUnit})</th><th>${repsLabel}</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${exercise.sets.map((set, index) => `
+                        <tr class="${set.done ? 'done' : ''}">
+                            <td>${index + 1}</td>
+                            <td><input type="number" min="0" step="0.5" value="${window.unitConverter.fromMetric(weightUnit, set.weight)[0]}" data-set="${index}" data-set-field="weight" aria-label="Set ${index + 1} weight"></td>
+                            <td><input type="number" min="0" step="1" value="${set.reps}" data-set="${index}" data-set-field="reps" aria-label="Set ${index + 1} ${repsLabel.toLowerCase()}"></td>
+                            <td>
+                                ${set.done
+                                    ? '<i class="fas fa-check-circle" aria-label="Done"></i>'
+                                    : `<button type="button" class="btn btn-sm btn-primary" data-session-action="complete-set" data-set="${index}">Done</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${exercise.timed ? '' : `<p class="session-volume">Exercise volume: <strong>${this.formatWeight(this.getExerciseVolume(exercise), 0)}</strong></p>`}
+            <div class="session-actions">
+                <button type="button" class="btn btn-sm btn-outline" data-session-action="add-set">Add Set</button>
+                <button type="button" class="btn btn-sm btn-outline" data-session-action="prev" ${exerciseIndex === 0 ? 'disabled' : ''}>Previous</button>
+                <button type="button" class="btn btn-sm btn-outline" data-session-action="next" ${exerciseIndex === exercises.length - 1 ? 'disabled' : ''}>Next</button>
+                <button type="button" class="btn btn-sm btn-primary" data-session-action="finish" ${completedSets === 0 ? 'disabled' : ''}>Finish Workout</button>
+                <button type="button" class="btn btn-sm btn-secondary" data-session-action="cancel">Stop</button>
+            </div>
+        `;
+
+        if (this.restEndsAt) this.updateRest();
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    finish() {
+        const { workout, exercises, startedAt } = this.session;
+        const loggedExercises = exercises
+            .filter(exercise => exercise.sets.some(set => set.done))
+            .map(exercise => ({
+                name: exercise.name,
+                reps: exercise.reps,
+                rest: exercise.rest,
+                sets: exercise.sets.filter(set => set.done).map(set => ({ weight: set.weight, reps: set.reps })),
+                volume: this.getExerciseVolume(exercise)
+            }));
+
+        const entry = {
+            source: 'generator',
+            title: `${workout.title} (Logged)`,
+            date: new Date(startedAt).toISOString(),
+            duration: Math.round((Date.now() - startedAt) / 1000),
+            exercises: loggedExercises,
+            volume: loggedExercises.reduce((total, exercise) => total + exercise.volume, 0),
+            details: { level: workout.level, goal: workout.goal, equipment: workout.equipment, completed: true }
+        };
+
+        this.stopRest();
+        const panel = this.result.querySelector('.workout-session');
+
+        if (!window.workoutJournal) {
+            this.close();
+            return;
+        }
+
+        window.workoutJournal.add(entry)
+            .then(() => {
+                this.session = null;
+                panel.innerHTML = `
+                    <div class="session-complete">
+                        <i class="fas fa-trophy"></i>
+                        <h3>Workout saved!</h3>
+                        <p>${loggedExercises.length} exercises • ${this.formatWeight(entry.volume, 0)} total volume • ${Math.round(entry.duration / 60)} min</p>
+                    </div>
+                `;
+            })
+            .catch(error => {
+                console.error('Workout Session: Could not save workout', error);
+                panel.insertAdjacentHTML('beforeend', '<p class="session-error">Could not save this workout. Please try again.</p>');
+            });
+    }
+
+    close() {
+        this.stopRest();
+        this.session = null;
+        const panel = this.result.querySelector('.workout-session');
+        if (panel) panel.remove();
+    }
+}
+
+// Program Planner Manager
+// Turns the workout generator's single sessions into multi-week periodised programs:
+// one session template per split day, progressed week by week with planned deloads.
+class ProgramPlanner {
+    constructor(generator = window.workoutGenerator) {
+        this.generator = generator;
+        this.form = document.getElementById('workout-form');
+        this.result = document.getElementById('workout-result');
+        this.modeSelect = document.getElementById('plan-mode');
+        this.options = document.querySelector('.plan-options');
+        this.program = null;
+        this.splits = {
+            'full-body': { label: 'Full Body', days: ['full-body'] },
+            'upper-lower': { label: 'Upper/Lower', days: ['upper', 'lower'] },
+            'push-pull-legs': { label: 'Push/Pull/Legs', days: ['push', 'pull', 'legs'] }
+        };
+        this.dayTypes = {
+            'full-body': { label: 'Full Body', muscles: null },
+            'upper': { label: 'Upper', muscles: ['chest', 'lats', 'upper-back', 'shoulders', 'biceps', 'triceps', 'forearms'] },
+            'lower': { label: 'Lower', muscles: ['quads', 'hamstrings', 'glutes', 'calves', 'adductors', 'hip-flexors', 'lower-back', 'core', 'obliques', 'cardio'] },
+            'push': { label: 'Push', muscles: ['chest', 'shoulders', 'triceps'] },
+            'pull': { label: 'Pull', muscles: ['lats', 'upper-back', 'lower-back', 'biceps', 'forearms'] },
+            'legs': { label: 'Legs', muscles: ['quads', 'hamstrings', 'glutes', 'calves', 'adductors', 'hip-flexors', 'core', 'obliques', 'cardio'] }
+        };
+        // Weekday offsets from Monday for each training frequency
+        this.trainingDays = {
+            2: [0, 3],
+            3: [0, 2, 4],
+            4: [0, 1, 3, 4],
+            5: [0, 1, 2, 4, 5],
+            6: [0, 1, 2, 3, 4, 5]
+        };
+        // Every Nth week is a deload; newer lifters recover faster and deload less often
+        this.deloadEvery = {
+            'beginner': 6,
+            'intermediate': 5,
+            'advanced': 4
+        };
+        this.overloadRules = {
+            'strength': {
+                load: 2.5, setsPerWeek: 0, restCut: 0, holdAdd: 0,
+                rule: 'Add about 2.5% to the load every build week while sets and reps stay the same.'
+            },
+            'muscle-gain': {
+                load: 1.25, setsPerWeek: 1, restCut: 0, holdAdd: 5,
+                rule: 'Add a set to each exercise every week of a block (up to two) and about 1.25% load per build week.'
+            },
+            'endurance': {
+                load: 0, setsPerWeek: 0.5, restCut: 5, holdAdd: 5,
+                rule: 'Cut rest by 5 seconds and stretch timed work by 5 seconds each week of a block, adding a set every second week.'
+            },
+            'weight-loss': {
+                load: 0, setsPerWeek: 0.5, restCut: 5, holdAdd: 5,
+                rule: 'Cut rest by 5 seconds and stretch timed work by 5 seconds each week of a block, adding a set every second week.'
+            },
+            'flexibility': {
+                load: 0, setsPerWeek: 0, restCut: 0, holdAdd: 10,
+                rule: 'Hold each stretch 10 seconds longer every week of a block.'
+            }
+        };
+        this.init();
+    }
+
+    init() {
+        if (!this.form || !this.modeSelect) return;
+        this.bindEvents();
+        this.updateMode();
+    }
+
+    bindEvents() {
+        this.modeSelect.addEventListener('change', () => this.updateMode());
+
+        this.result.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-program-action]');
+            if (!button || !this.program) return;
+
+            switch (button.dataset.programAction) {
+                case 'print':
+                    this.print();
+                    break;
+                case 'calendar':
+                    if (window.calendarExporter) {
+                        window.calendarExporter.downloadProgram(this.program);
+                    }
+                    break;
+                case 'json':
+                    this.exportJson();
+                    break;
+            }
+        });
+    }
+
+    updateMode() {
+        const isProgram = this.modeSelect.value === 'program';
+        if (this.options) {
+            this.options.hidden = !isProgram;
+        }
+        const submit = this.form.querySelector('button[type="submit"]');
+        if (submit) {
+            submit.textContent = isProgram ? 'Generate Program' : 'Generate Workout';
+        }
+    }
+
+    isActive() {
+        return Boolean(this.modeSelect) && this.modeSelect.value === 'program';
+    }
+
+    generate(options) {
+        const formData = new FormData(this.form);
+        const weeks = Math.min(Math.max(parseInt(formData.get('plan-weeks')) || 8, 4), 12);
+        const daysPerWeek = Math.min(Math.max(parseInt(formData.get('plan-days')) || 3, 2), 6);
+        const split = this.splits[formData.get('plan-split')] ? formData.get('plan-split') : 'full-body';
+        const { level, goal } = options;
+
+        const templates = this.buildTemplates(split, daysPerWeek, options);
+        if (!templates) {
+            this.generator.showError(`There are no ${level} ${goal.replace('-', ' ')} exercises for this equipment in the library yet.`);
+            return;
+        }
+        if (templates.length === 0) {
+            this.generator.showLimitationsError(level, goal);
+            return;
+        }
+
+        const rule = this.overloadRules[goal] || this.overloadRules['strength'];
+        const deloadEvery = this.deloadEvery[level] || 4;
+        const startDate = this.getNextMonday(new Date());
+        const weekPlans = [];
+
+        for (let number = 1; number <= weeks; number++) {
+            const deload = number % deloadEvery === 0;
+            const weekInBlock = (number - 1) % deloadEvery;
+            // Build weeks completed so far; load keeps climbing across blocks
+            const step = number - 1 - Math.floor((number - 1) / deloadEvery);
+
+            weekPlans.push({
+                number,
+                deload,
+                days: templates.map(template => ({
+                    date: this.addDays(startDate, (number - 1) * 7 + template.offset),
+                    name: template.name,
+                    exercises: template.exercises.map(exercise => this.progressExercise(exercise, rule, weekInBlock, step, deload))
+                }))
+            });
+        }
+
+        const title = `${weeks}-Week ${this.splits[split].label} ${this.generator.capitalizeFirst(goal.replace('-', ' '))} Program`;
+        this.program = {
+            title,
+            ...options,
+            weeks,
+            daysPerWeek,
+            split,
+            startDate: Utils.toDateValue(startDate),
+            rule: rule.rule,
+            deloadEvery,
+            schedule: weekPlans
+        };
+
+        this.render();
+    }
+
+    buildTemplates(split, daysPerWeek, options) {
+        const { level, goal, equipment, duration, targetAreas } = options;
+        const base = this.generator.getExercises(level, goal, equipment, targetAreas);
+        if (!base || base.length === 0) return base;
+
+        const library = [...base, ...this.generator.getFillerExercises(level, goal, equipment, base, duration)];
+        const dayOptions = { ...options, sessionSize: base.length };
+        const dayOrder = this.splits[split].days;
+        const built = {};
+
+        return this.trainingDays[daysPerWeek].map((offset, index) => {
+            const dayType = dayOrder[index % dayOrder.length];
+            // Repeats of a day type within the week alternate between an A and a B session
+            const occurrence = Math.floor(index / dayOrder.length) % 2;
+            const key = `${dayType}-${occurrence}`;
+
+            if (!built[key]) {
+                const exclude = occurrence === 1 ? built[`${dayType}-0`].names : [];
+                // Without enough fresh exercises for a B session, the A session repeats
+                built[key] = this.buildDay(dayType, library, exclude, dayOptions) || built[`${dayType}-0`];
+            }
+
+            const session = built[key];
+            const label = this.dayTypes[dayType].label;
+            return {
+                offset,
+                name: daysPerWeek > dayOrder.length ? `${label} ${session === built[`${dayType}-0`] ? 'A' : 'B'}` : label,
+                exercises: session.exercises
+            };
+        });
+    }
+
+    buildDay(dayType, library, exclude, options) {
+        const { goal, duration, targetAreas, sessionSize } = options;
+        const muscles = this.dayTypes[dayType].muscles;
+        const available = library.filter(exercise => !exclude.includes(exercise.name));
+        // The first primary muscle decides the day, so e.g. thrusters land on leg day only.
+        // Thin libraries widen to any primary, then secondary, muscle before using everything.
+        const tiers = muscles ? [
+            exercise => muscles.includes(exercise.primary[0]),
+            exercise => exercise.primary.some(muscle => muscles.includes(muscle)),
+            exercise => exercise.secondary.some(muscle => muscles.includes(muscle)),
+            () => true
+        ] : [() => true];
+
+        // A B session is only worth it with enough fresh day-specific exercises
+        let candidates = [];
+        for (const fits of exclude.length > 0 ? tiers.slice(0, 1) : tiers) {
+            candidates = [...candidates, ...available.filter(exercise => fits(exercise) && !candidates.includes(exercise))];
+            if (candidates.length >= 3) break;
+        }
+        if (exclude.length > 0 && candidates.length < 3) return null;
+
+        const ordered = this.generator.buildBalancedSession(candidates, candidates.length, goal, targetAreas);
+        const plan = this.generator.composeWorkout(ordered.slice(0, sessionSize), goal, duration, ordered.slice(sessionSize));
+        return { exercises: plan.exercises, names: plan.exercises.map(exercise => exercise.name) };
+    }
+
+    progressExercise(exercise, rule, weekInBlock, step, deload) {
+        const progressed = {
+            name: exercise.name,
+            sets: exercise.sets,
+            reps: exercise.reps,
+            rest: exercise.rest,
+            fixedSets: exercise.fixedSets,
+            note: ''
+        };
+
+        if (deload) {
+            progressed.sets = exercise.fixedSets ? exercise.sets : Math.max(1, Math.round(exercise.sets * 0.6));
+            progressed.note = 'Deload: about 10% lighter, stop well short of failure';
+            return progressed;
+        }
+
+        if (!exercise.fixedSets) {
+            const extraSets = Math.min(2, Math.floor(weekInBlock * rule.setsPerWeek));
+            progressed.sets = Math.min(exercise.sets + extraSets, Math.max(exercise.sets, 6));
+        }
+        if (rule.holdAdd > 0 && /sec/i.test(exercise.reps) && weekInBlock > 0) {
+            progressed.reps = exercise.reps.replace(/\d+/g, seconds => parseInt(seconds) + rule.holdAdd * weekInBlock);
+        }
+        if (rule.restCut > 0 && exercise.restSeconds > 0 && weekInBlock > 0) {
+            progressed.rest = `${Math.max(10, exercise.restSeconds - rule.restCut * weekInBlock)}s rest`;
+        }
+        // Load only applies to rep-based work, not timed efforts or distances
+        if (rule.load > 0 && step > 0 && !/sec|min|\d+m\b/i.test(exercise.reps)) {
+            progressed.note = `+${Math.round(rule.load * step * 10) / 10}% load vs week 1`;
+        }
+
+        return progressed;
+    }
+
+    render() {
+        const program = this.program;
+        const deloadWeeks = program.schedule.filter(week => week.deload).map(week => week.number);
+
+        // A program replaces any single-session plan and its logging panel
+        this.generator.currentWorkout = null;
+        if (window.workoutSession) {
+            window.workoutSession.close();
+        }
+
+        this.result.innerHTML = `
+            <div class="workout-plan active training-program">
+                <div class="workout-header">
+                    <h3>${program.title}</h3>
+                    <div class="workout-meta">
+                        <div class="meta-item">
+                            <span class="meta-value">${program.weeks}</span>
+                            <span class="meta-label">Weeks</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-value">${program.daysPerWeek}</span>
+                            <span class="meta-label">Days / Week</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-value">${program.duration}</span>
+                            <span class="meta-label">Minutes</span>
+                        </div>
+                        <div class="meta-item">
+                            <span class="meta-value">${deloadWeeks.length}</span>
+                            <span class="meta-label">Deloads</span>
+                        </div>
+                    </div>
+                    <p class="workout-focus">
+                        Starts ${this.formatDate(program.startDate)}.
+                        ${deloadWeeks.length > 0 ? `Deload in week ${deloadWeeks.join(', ')}.` : 'No deload needed at this length.'}
+                    </p>
+                    <p class="workout-focus"><i class="fas fa-chart-line"></i> ${program.rule}</p>
+                </div>
+                <div class="program-actions">
+                    <button type="button" class="btn btn-outline" data-program-action="print">
+                        <i class="fas fa-print"></i> Print
+                    </button>
+                    <button type="button" class="btn btn-outline" data-program-action="calendar">
+                        <i class="fas fa-calendar-plus"></i> Add to Calendar
+                    </button>
+                    <button type="button" class="btn btn-outline" data-program-action="json">
+                        <i class="fas fa-file-download"></i> Download JSON
+                    </button>
+                </div>
+                <div class="program-calendar">
+                    ${program.schedule.map(week => this.renderWeek(week)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderWeek(week) {
+        return `
+            <div class="program-week ${week.deload ? 'deload' : ''}">
+                <h4>Week ${week.number} <span>${week.deload ? 'Deload' : 'Build'}</span></h4>
+                <div class="program-days">
+                    ${week.days.map(day => `
+                        <div class="program-day">
+                            <div class="program-day-header">
+                                <strong>${this.formatDate(day.date)}</strong>
+                                <span>${day.name}</span>
+                            </div>
+                            <ul>
+                                ${day.exercises.map(exercise => `
+                                    <li>
+                                        <span>${exercise.name}</span>
+                                        <span class="program-prescription">${this.generator.formatPrescription(exercise)}, ${exercise.rest}</span>
+                                        ${exercise.note ? `<em>${exercise.note}</em>` : ''}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    print() {
+        const body = `
+            <h1>${this.program.title}</h1>
+            <p>${this.program.rule}</p>
+            ${this.program.schedule.map(week => this.renderWeek(week)).join('')}
+        `;
+        this.generator.openPrintView(this.program.title, body, `
+            .program-week { page-break-inside: avoid; margin-top: 1.5rem; }
+            .program-week.deload h4 span { color: #888; }
+            .program-days { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.75rem; }
+            .program-day { border: 1px solid #ccc; border-radius: 4px; padding: 0.5rem; font-size: 0.8rem; }
+            .program-day-header { display: flex; justify-content: space-between; margin-bottom: 0.25rem; }
+            li { display: flex; flex-direction: column; padding: 0.2rem 0; border-top: 1px solid #eee; }
+        `);
+    }
+
+    exportJson() {
+        const content = JSON.stringify({ format: 'fitzone-training-program', version: 1, program: this.program }, null, 2);
+        Utils.downloadFile(`${this.generator.slugify(this.program.title)}.json`, content, 'application/json');
+    }
+
+    getNextMonday(date) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const daysUntilMonday = (8 - monday.getDay()) % 7;
+        monday.setDate(monday.getDate() + daysUntilMonday);
+        return monday;
+    }
+
+    addDays(date, days) {
+        const result = new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        return Utils.toDateValue(result);
+    }
+
+    formatDate(dateValue) {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+}
+
+// Nutrition Calculator Manager
+class NutritionCalculator {
+    constructor() {
+        this.form = document.getElementById('nutrition-form');
+        this.result = document.getElementById('nutrition-result');
+        this.strategySelect = document.getElementById('macro-strategy');
+        this.tdeeSelect = document.getElementById('tdee-method');
+        this.planKey = 'fitzone-nutrition-plan';
+        // Shares of daily calories; the custom strategies are read from the form instead
+        this.macroStrategies = {
+            zone: { label: 'Zone', protein: 0.30, carbs: 0.40, fat: 0.30 },
+            balanced: { label: 'Balanced', protein: 0.25, carbs: 0.50, fat: 0.25 },
+            'high-protein': { label: 'High Protein', protein: 0.40, carbs: 0.35, fat: 0.25 },
+            keto: { label: 'Keto', protein: 0.25, carbs: 0.05, fat: 0.70 }
+        };
+        this.caloriesPerGram = { protein: 4, carbs: 4, fat: 9 };
+        // Roughly the energy stored in a kilogram of body weight
+        this.caloriesPerKg = 7700;
+        // Adaptive TDEE needs this much weigh-in history before it replaces the estimate
+        this.adaptiveMinDays = 14;
+        this.adaptiveMinReadings = 4;
+        this.minimumCalories = { male: 1500, female: 1200 };
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+        this.bindEvents();
+        this.toggleOptions();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.calculateNutrition();
+        });
+
+        this.strategySelect.addEventListener('change', () => this.toggleOptions());
+        this.tdeeSelect.addEventListener('change', () => this.toggleOptions());
+    }
+
+    toggleOptions() {
+        const strategy = this.strategySelect.value;
+        document.getElementById('macro-custom-percent').hidden = strategy !== 'custom-percent';
+        document.getElementById('macro-custom-grams').hidden = strategy !== 'custom-grams';
+        document.getElementById('adaptive-intake-group').hidden = this.tdeeSelect.value !== 'adaptive';
+    }
+
+    calculateNutrition() {
+        // The fields carry ids rather than names, and height/weight may be entered in imperial units
+        const age = parseInt(document.getElementById('n-age').value);
+        const gender = document.getElementById('n-gender').value;
+        const height = window.unitConverter.readField(document.getElementById('n-height-field'));
+        const weight = window.unitConverter.readField(document.getElementById('n-weight-field'));
+        const bodyFatValue = document.getElementById('n-body-fat').value;
+        const bodyFat = bodyFatValue === '' ? null : parseFloat(bodyFatValue);
+        const activityLevel = parseFloat(document.getElementById('activity-level').value);
+        const goal = document.getElementById('nutrition-goal').value;
+        const adjustment = parseInt(document.getElementById('calorie-adjustment').value);
+
+        const converter = window.unitConverter;
+        const units = converter.preferred();
+        if (!(height >= 120 && height <= 250)) {
+            this.showError(`Please enter a height between ${converter.format(120, units.height, 0)} and ${converter.format(250, units.height, 0)}.`);
+            return;
+        }
+        if (!(weight >= 30 && weight <= 300)) {
+            this.showError(`Please enter a weight between ${converter.format(30, units.weight, 0)} and ${converter.format(300, units.weight, 0)}.`);
+            return;
+        }
+        if (bodyFat !== null && !(bodyFat >= 3 && bodyFat <= 60)) {
+            this.showError('Please enter a body fat percentage between 3% and 60%, or leave it blank.');
+            return;
+        }
+
+        // Katch-McArdle works from lean mass, so it is preferred whenever body fat is known
+        let bmr;
+        let bmrMethod;
+        if (bodyFat !== null) {
+            bmr = 370 + 21.6 * weight * (1 - bodyFat / 100);
+            bmrMethod = 'Katch-McArdle';
+        } else {
+            // Mifflin-St Jeor Equation
+            bmr = 10 * weight + 6.25 * height - 5 * age + (gender === 'male' ? 5 : -161);
+            bmrMethod = 'Mifflin-St Jeor';
+        }
+
+        // Calculate TDEE, replacing the activity estimate with the observed one when there is enough data
+        const estimatedTdee = bmr * activityLevel;
+        const notes = [];
+        let tdee = estimatedTdee;
+        let tdeeMethod = 'estimated from activity level';
+        if (this.tdeeSelect.value === 'adaptive') {
+            const adaptive = this.getAdaptiveTdee();
+            if (adaptive.error) {
+                this.showError(adaptive.error);
+                return;
+            }
+            if (adaptive.tdee) {
+                tdee = adaptive.tdee;
+                tdeeMethod = `adaptive, from ${adaptive.days} days of weigh-ins and ${adaptive.source} (estimate was ${Math.round(estimatedTdee)} kcal)`;
+            } else {
+                notes.push(adaptive.note);
+            }
+        }
+
+        // Adjust for goal
+        let targetCalories = tdee;
+        if (goal === 'lose') {
+            targetCalories = tdee - adjustment;
+        } else if (goal === 'gain') {
+            targetCalories = tdee + adjustment;
+        }
+
+        const minimum = this.minimumCalories[gender] || this.minimumCalories.female;
+        if (targetCalories < minimum) {
+            targetCalories = minimum;
+            notes.push(`Your target was raised to ${minimum} kcal, the lowest we recommend without medical supervision.`);
+        }
+
+        const macros = this.calculateMacros(targetCalories, weight);
+        if (macros.error) {
+            this.showError(macros.error);
+            return;
+        }
+
+        const plan = {
+            calories: Math.round(targetCalories),
+            protein: macros.protein,
+            carbs: macros.carbs,
+            fat: macros.fat,
+            strategy: this.strategySelect.value,
+            updatedAt: new Date().toISOString()
+        };
+        localStorage.setItem(this.planKey, JSON.stringify(plan));
+        document.dispatchEvent(new CustomEvent('nutritionplanchange', { detail: { plan } }));
+
+        const details = [
+            { label: 'BMR', value: `${Math.round(bmr)} kcal (${bmrMethod})` },
+            { label: 'TDEE', value: `${Math.round(tdee)} kcal, ${tdeeMethod}` }
+        ];
+        if (goal !== 'maintain') {
+            details.push({ label: goal === 'lose' ? 'Deficit' : 'Surplus', value: `${Math.round(Math.abs(targetCalories - tdee))} kcal/day` });
+        }
+
+        this.displayNutritionPlan(plan, goal, gender, { details, notes });
+    }
+
+    // Returns grams of each macro, or an error when the chosen split cannot fit the calories
+    calculateMacros(calories, weight) {
+        const strategy = this.strategySelect.value;
+        let shares = this.macroStrategies[strategy];
+
+        if (strategy === 'custom-percent') {
+            const protein = parseFloat(document.getElementById('macro-protein-percent').value) || 0;
+            const carbs = parseFloat(document.getElementById('macro-carbs-percent').value) || 0;
+            const fat = parseFloat(document.getElementById('macro-fat-percent').value) || 0;
+            if (Math.abs(protein + carbs + fat - 100) > 0.5) {
+                return { error: `Your macro percentages add up to ${Math.round(protein + carbs + fat)}%. Please make them total 100%.` };
+            }
+            shares = { protein: protein / 100, carbs: carbs / 100, fat: fat / 100 };
+        }
+
+        if (strategy === 'custom-grams') {
+            const protein = Math.round((parseFloat(document.getElementById('macro-protein-grams').value) || 0) * weight);
+            const fat = Math.round((parseFloat(document.getElementById('macro-fat-grams').value) || 0) * weight);
+            // Carbs fill whatever the protein and fat leave
+            const remaining = calories - protein * this.caloriesPerGram.protein - fat * this.caloriesPerGram.fat;
+            if (remaining < 0) {
+                return { error: `${protein}g protein and ${fat}g fat come to more than your ${Math.round(calories)} kcal target. Please lower the grams per kg.` };
+            }
+            return { protein, carbs: Math.round(remaining / this.caloriesPerGram.carbs), fat };
+        }
+
+        return {
+            protein: Math.round((calories * shares.protein) / this.caloriesPerGram.protein),
+            carbs: Math.round((calories * shares.carbs) / this.caloriesPerGram.carbs),
+            fat: Math.round((calories * shares.fat) / this.caloriesPerGram.fat)
+        };
+    }
+
+    // Energy balance over the recent weight trend: what you ate minus what the change in weight stored
+    getAdaptiveTdee() {
+        const { calories: intake, source } = this.getAverageIntake();
+        if (!(intake >= 800 && intake <= 6000)) {
+            return { error: 'Please enter your average daily intake (800-6000 kcal) for adaptive TDEE.' };
+        }
+
+        const change = window.measurementTracker ? window.measurementTracker.getWeightChange() : null;
+        if (!change || change.days < this.adaptiveMinDays || change.readings < this.adaptiveMinReadings) {
+            return { note: `Adaptive TDEE needs at least ${this.adaptiveMinDays} days and ${this.adaptiveMinReadings} weigh-ins in the Body Tracker, so your activity estimate was used for now.` };
+        }
+
+        return {
+            tdee: intake - (change.weeklyRate * this.caloriesPerKg) / 7,
+            days: change.days,
+            source
+        };
+    }
+
+    // What was typed, else the food diary's average, else the last target on the assumption it was followed
+    getAverageIntake() {
+        const intakeValue = document.getElementById('n-intake').value;
+        if (intakeValue !== '') return { calories: parseFloat(intakeValue), source: 'the intake you entered' };
+
+        const logged = window.foodDiary ? window.foodDiary.getAverageIntake() : null;
+        if (logged) {
+            const skipped = logged.skipped > 0 ? `, leaving out ${logged.skipped} part-logged day${logged.skipped === 1 ? '' : 's'}` : '';
+            return { calories: logged.calories, source: `${Math.round(logged.calories)} kcal averaged over ${logged.days} fully logged food diary days${skipped}` };
+        }
+
+        const saved = this.getSavedPlan();
+        return saved ? { calories: saved.calories, source: 'your last saved target' } : { calories: NaN, source: null };
+    }
+
+    getSavedPlan() {
+        try {
+            return JSON.parse(localStorage.getItem(this.planKey));
+        } catch (e) {
+            console.error('Nutrition Calculator: Could not read saved plan', e);
+            return null;
+        }
+    }
+
+    displayNutritionPlan(plan, goal, gender, { details, notes }) {
+        const strategy = this.macroStrategies[plan.strategy];
+        const tips = [...notes, ...this.getNutritionTips(goal, gender, plan.strategy)];
+        // Percentages come from the grams actually prescribed, so custom and rounded splits stay honest
+        const macros = ['protein', 'carbs', 'fat'].map(macro => ({
+            name: macro.charAt(0).toUpperCase() + macro.slice(1),
+            grams: plan[macro],
+            percent: Math.round((plan[macro] * this.caloriesPerGram[macro] / plan.calories) * 100)
+        }));
+
+        this.result.innerHTML = `
+            <div class="nutrition-plan active">
+                <div class="nutrition-summary">
+                    <div class="calorie-display">${plan.calories}</div>
+                    <div class="calorie-label">Daily Calories${strategy ? ` · ${strategy.label} split` : ''}</div>
+                    <ul class="nutrition-details">
+                        ${details.map(detail => `<li><strong>${detail.label}:</strong> ${detail.value}</li>`).join('')}
+                    </ul>
+                </div>
+                <div class="macro-breakdown">
+                    ${macros.map(macro => `
+                        <div class="macro-item">
+                            <h4>${macro.name}</h4>
+                            <span class="macro-amount">${macro.grams}g</span>
+                            <span class="macro-percentage">${macro.percent}%</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="nutrition-tips">
+                    <h4>Nutrition Tips</h4>
+                    <ul>
                         ${tips.map(tip => `<li>${tip}</li>`).join('')}
                     </ul>
                 </div>
             </div>
         `;
 
-        // Animate the result
-        this.result.style.opacity = '0';
+        // Animate the result
+        this.result.style.opacity = '0';
+        setTimeout(() => {
+            this.result.style.opacity = '1';
+        }, 100);
+    }
+
+    getNutritionTips(goal, gender, strategy) {
+        const baseTips = [
+            'Drink at least 8 glasses of water daily',
+            'Eat protein with every meal',
+            'Include vegetables in most meals',
+            'Time your carbs around workouts'
+        ];
+
+        const goalTips = {
+            lose: [
+                'Create a moderate calorie deficit',
+                'Focus on high-protein, low-calorie foods',
+                'Eat more fiber to stay full longer'
+            ],
+            maintain: [
+                'Focus on nutrient-dense whole foods',
+                'Maintain consistent meal timing',
+                'Listen to your hunger cues'
+            ],
+            gain: [
+                'Eat frequent, nutrient-dense meals',
+                'Include healthy fats like nuts and avocado',
+                'Consider post-workout protein shakes'
+            ]
+        };
+
+        const strategyTips = {
+            'high-protein': ['Spread protein over 3-5 meals to make the target easier to hit'],
+            keto: ['Keep carbs under about 50g a day to stay in ketosis', 'Add salt and electrolytes while you adapt']
+        };
+
+        return [...baseTips, ...goalTips[goal], ...(strategyTips[strategy] || [])];
+    }
+
+    showError(message) {
+        this.result.innerHTML = `
+            <div class="result-placeholder">
+                <i class="fas fa-exclamation-circle"></i>
+                <h3>Please Try Again</h3>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+}
+
+// Food Diary Manager
+// Logs what was eaten per day against the targets saved by the nutrition calculator. Foods come
+// from the bundled data/foods.json plus the member's own custom foods; diary entries keep a copy
+// of the food's values so deleting a custom food never rewrites past days.
+class FoodDiary {
+    constructor() {
+        this.section = document.getElementById('food-diary');
+        this.dateInput = document.getElementById('diary-date');
+        this.mealSelect = document.getElementById('diary-meal');
+        this.servingsInput = document.getElementById('diary-servings');
+        this.searchInput = document.getElementById('food-search');
+        this.barcodeForm = document.getElementById('barcode-form');
+        this.customForm = document.getElementById('custom-food-form');
+        this.results = document.getElementById('food-results');
+        this.message = document.getElementById('diary-message');
+        this.totals = document.getElementById('diary-totals');
+        this.mealList = document.getElementById('diary-meals');
+        this.savedMealSelect = document.getElementById('saved-meal-select');
+        this.foodsUrl = 'data/foods.json';
+        this.diaryKey = 'fitzone-food-diary';
+        this.customKey = 'fitzone-custom-foods';
+        this.savedMealsKey = 'fitzone-saved-meals';
+        this.planKey = 'fitzone-nutrition-plan';
+        this.meals = { breakfast: 'Breakfast', lunch: 'Lunch', dinner: 'Dinner', snacks: 'Snacks' };
+        this.completeDayMeals = ['breakfast', 'lunch', 'dinner'];
+        this.completeDayCalories = 1200;
+        this.nutrients = ['calories', 'protein', 'carbs', 'fat'];
+        this.maxResults = 12;
+        this.foods = [];
+        this.diary = this.load(this.diaryKey, {});
+        this.customFoods = this.load(this.customKey, []);
+        this.savedMeals = this.load(this.savedMealsKey, []);
+        this.plan = this.load(this.planKey, null);
+        this.init();
+    }
+
+    init() {
+        if (!this.section) return;
+        this.bindEvents();
+        this.dateInput.value = Utils.toDateValue(new Date());
+        this.render();
+        this.loadFoods();
+    }
+
+    bindEvents() {
+        this.searchInput.addEventListener('input', () => {
+            this.showMessage('');
+            this.renderResults(this.search(this.searchInput.value));
+        });
+
+        this.barcodeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.lookUpBarcode(document.getElementById('barcode-input').value);
+        });
+
+        this.customForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addCustomFood();
+        });
+
+        this.dateInput.addEventListener('change', () => this.render());
+        document.getElementById('diary-prev').addEventListener('click', () => this.shiftDate(-1));
+        document.getElementById('diary-next').addEventListener('click', () => this.shiftDate(1));
+
+        document.getElementById('saved-meal-add').addEventListener('click', () => this.addSavedMeal(this.savedMealSelect.value));
+        document.getElementById('saved-meal-delete').addEventListener('click', () => this.deleteSavedMeal(this.savedMealSelect.value));
+
+        // Result and diary rows are re-rendered, so delegate their buttons
+        this.results.addEventListener('click', (e) => {
+            const addButton = e.target.closest('[data-add-food]');
+            if (addButton) {
+                this.addFood(this.getFood(addButton.dataset.addFood));
+                return;
+            }
+
+            const deleteButton = e.target.closest('[data-delete-food]');
+            if (deleteButton) {
+                this.deleteCustomFood(deleteButton.dataset.deleteFood);
+            }
+        });
+
+        this.mealList.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-entry]');
+            if (removeButton) {
+                this.removeEntry(removeButton.dataset.removeEntry);
+                return;
+            }
+
+            const saveButton = e.target.closest('[data-save-meal]');
+            if (saveButton) {
+                this.saveMeal(saveButton.dataset.saveMeal);
+            }
+        });
+
+        document.addEventListener('nutritionplanchange', (e) => {
+            this.plan = e.detail.plan;
+            this.renderTotals();
+        });
+    }
+
+    load(key, fallback) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(key));
+            return saved === null ? fallback : saved;
+        } catch (e) {
+            console.error(`Food Diary: Could not read ${key}`, e);
+            return fallback;
+        }
+    }
+
+    save(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    loadFoods() {
+        return fetch(this.foodsUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${this.foodsUrl} (status ${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const errors = this.validateFoods(data);
+                if (errors.length > 0) {
+                    console.error('Food Diary: The food database is malformed.', errors);
+                    this.showMessage('The food database is malformed, so only your custom foods can be searched.', true);
+                    return this.foods;
+                }
+
+                this.foods = data.foods;
+                if (this.searchInput.value) this.renderResults(this.search(this.searchInput.value));
+                return this.foods;
+            })
+            .catch(error => {
+                console.error('Food Diary:', error);
+                this.showMessage('The food database could not be loaded, so only your custom foods can be searched.', true);
+                return this.foods;
+            });
+    }
+
+    validateFoods(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.foods)) {
+            return ['Food database must be a JSON object with a "foods" array.'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+        data.foods.forEach((food, index) => {
+            const where = `foods[${index}]`;
+            if (!food || typeof food.id !== 'string' || food.id === '') {
+                errors.push(`${where}: missing "id".`);
+                return;
+            }
+            if (ids.has(food.id)) errors.push(`${where}: duplicate id "${food.id}".`);
+            ids.add(food.id);
+
+            ['name', 'serving'].forEach(field => {
+                if (typeof food[field] !== 'string' || food[field] === '') {
+                    errors.push(`${where} (${food.id}): "${field}" must be a non-empty string.`);
+                }
+            });
+            this.nutrients.forEach(nutrient => {
+                if (typeof food[nutrient] !== 'number' || food[nutrient] < 0) {
+                    errors.push(`${where} (${food.id}): "${nutrient}" must be a number of zero or more.`);
+                }
+            });
+            if (food.barcode !== undefined && (typeof food.barcode !== 'string' || !/^\d{8,14}$/.test(food.barcode))) {
+                errors.push(`${where} (${food.id}): "barcode" must be a string of 8-14 digits.`);
+            }
+        });
+        return errors;
+    }
+
+    getAllFoods() {
+        return [...this.customFoods, ...this.foods];
+    }
+
+    getFood(id) {
+        return this.getAllFoods().find(food => food.id === id);
+    }
+
+    // Every word must appear in the name; names that start with the query come first
+    search(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        const first = words.join(' ');
+        return this.getAllFoods()
+            .filter(food => words.every(word => food.name.toLowerCase().includes(word)))
+            .sort((a, b) => Number(b.name.toLowerCase().startsWith(first)) - Number(a.name.toLowerCase().startsWith(first)))
+            .slice(0, this.maxResults);
+    }
+
+    // UPC-A, EAN-8 and EAN-13 codes are compared as zero-padded GTIN-14s so a scanner's format does not matter
+    findByBarcode(code) {
+        const digits = String(code).replace(/\D/g, '');
+        if (digits.length < 8) return null;
+
+        const gtin = digits.padStart(14, '0');
+        return this.getAllFoods().find(food => food.barcode && food.barcode.padStart(14, '0') === gtin) || null;
+    }
+
+    lookUpBarcode(code) {
+        const digits = String(code).replace(/\D/g, '');
+        if (digits.length < 8 || digits.length > 14) {
+            this.showMessage('Please enter the 8-14 digit number printed under the barcode.', true);
+            return;
+        }
+
+        const food = this.findByBarcode(digits);
+        if (food) {
+            this.showMessage(`Found ${food.name}.`);
+            this.renderResults([food]);
+            return;
+        }
+
+        // Start a custom food with the barcode filled in so the next lookup finds it
+        document.getElementById('custom-barcode').value = digits;
+        document.getElementById('custom-food-details').open = true;
+        this.renderResults([]);
+        this.showMessage('That barcode is not in the food database yet. Add it as a custom food below.', true);
+    }
+
+    addCustomFood() {
+        const food = {
+            id: `custom-${Date.now()}`,
+            name: document.getElementById('custom-name').value.trim(),
+            serving: document.getElementById('custom-serving').value.trim() || '1 serving',
+            custom: true
+        };
+        if (!food.name) {
+            this.showMessage('Please give your custom food a name.', true);
+            return;
+        }
+
+        // Calories are required; macros the label does not list count as zero
+        for (const nutrient of this.nutrients) {
+            const value = parseFloat(document.getElementById(`custom-${nutrient}`).value);
+            if (nutrient === 'calories' && isNaN(value)) {
+                this.showMessage('Please enter the calories per serving.', true);
+                return;
+            }
+            food[nutrient] = isNaN(value) ? 0 : value;
+            if (food[nutrient] < 0) {
+                this.showMessage('Calories and macros cannot be negative.', true);
+                return;
+            }
+        }
+
+        const barcode = document.getElementById('custom-barcode').value.replace(/\D/g, '');
+        if (barcode) {
+            if (barcode.length < 8 || barcode.length > 14) {
+                this.showMessage('Barcodes are 8-14 digits long.', true);
+                return;
+            }
+            const existing = this.findByBarcode(barcode);
+            if (existing) {
+                this.showMessage(`That barcode already belongs to ${existing.name}.`, true);
+                return;
+            }
+            food.barcode = barcode;
+        }
+
+        this.customFoods.push(food);
+        this.save(this.customKey, this.customFoods);
+        this.customForm.reset();
+        document.getElementById('custom-food-details').open = false;
+        this.showMessage(`Saved ${food.name} to your foods.`);
+        this.renderResults([food]);
+    }
+
+    deleteCustomFood(id) {
+        const food = this.customFoods.find(item => item.id === id);
+        if (!food || !window.confirm(`Delete ${food.name} from your custom foods? Days you already logged keep it.`)) return;
+
+        this.customFoods = this.customFoods.filter(item => item.id !== id);
+        this.save(this.customKey, this.customFoods);
+        this.renderResults(this.search(this.searchInput.value));
+    }
+
+    getEntries(date = this.dateInput.value) {
+        return this.diary[date] || [];
+    }
+
+    setEntries(entries, date = this.dateInput.value) {
+        if (entries.length > 0) {
+            this.diary[date] = entries;
+        } else {
+            delete this.diary[date];
+        }
+        this.save(this.diaryKey, this.diary);
+    }
+
+    // Entries store values per serving, copied from the food when it was logged
+    createEntry(food, servings, meal) {
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            foodId: food.id,
+            name: food.name,
+            serving: food.serving,
+            servings,
+            meal
+        };
+        this.nutrients.forEach(nutrient => {
+            entry[nutrient] = food[nutrient];
+        });
+        return entry;
+    }
+
+    addFood(food) {
+        if (!food) return;
+
+        const servings = parseFloat(this.servingsInput.value);
+        if (!(servings >= 0.25 && servings <= 20)) {
+            this.showMessage('Please enter between 0.25 and 20 servings.', true);
+            return;
+        }
+
+        const meal = this.mealSelect.value;
+        this.setEntries([...this.getEntries(), this.createEntry(food, servings, meal)]);
+        this.showMessage(`Added ${food.name} to ${this.meals[meal].toLowerCase()}.`);
+        this.render();
+    }
+
+    removeEntry(id) {
+        this.setEntries(this.getEntries().filter(entry => entry.id !== id));
+        this.render();
+    }
+
+    saveMeal(meal) {
+        const items = this.getEntries().filter(entry => entry.meal === meal);
+        if (items.length === 0) return;
+
+        const name = window.prompt('Name this meal so you can add it again later:', this.meals[meal]);
+        if (name === null || name.trim() === '') return;
+
+        this.savedMeals.push({
+            id: `meal-${Date.now()}`,
+            name: name.trim(),
+            items: items.map(({ id, meal: slot, ...item }) => item)
+        });
+        this.save(this.savedMealsKey, this.savedMeals);
+        this.showMessage(`Saved "${name.trim()}" to your meals.`);
+        this.renderSavedMeals();
+    }
+
+    addSavedMeal(id) {
+        const saved = this.savedMeals.find(meal => meal.id === id);
+        if (!saved) {
+            this.showMessage('Choose a saved meal to add.', true);
+            return;
+        }
+
+        const meal = this.mealSelect.value;
+        const entries = saved.items.map(item => this.createEntry({ ...item, id: item.foodId }, item.servings, meal));
+        this.setEntries([...this.getEntries(), ...entries]);
+        this.showMessage(`Added ${saved.name} to ${this.meals[meal].toLowerCase()}.`);
+        this.render();
+    }
+
+    deleteSavedMeal(id) {
+        const saved = this.savedMeals.find(meal => meal.id === id);
+        if (!saved || !window.confirm(`Delete the saved meal "${saved.name}"?`)) return;
+
+        this.savedMeals = this.savedMeals.filter(meal => meal.id !== id);
+        this.save(this.savedMealsKey, this.savedMeals);
+        this.renderSavedMeals();
+    }
+
+    getTotals(entries) {
+        const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+        entries.forEach(entry => {
+            this.nutrients.forEach(nutrient => {
+                totals[nutrient] += entry[nutrient] * entry.servings;
+            });
+        });
+        return totals;
+    }
+
+    // A day with only a snack logged would drag the average down, so only days with every main
+    // meal logged, or enough calories that meals were likely combined, count as complete
+    isCompleteDay(entries) {
+        const meals = new Set(entries.map(entry => entry.meal));
+        return this.completeDayMeals.every(meal => meals.has(meal)) ||
+            this.getTotals(entries).calories >= this.completeDayCalories;
+    }
+
+    // Average calories over complete days, for the nutrition calculator's adaptive TDEE. Today is
+    // left out because it is usually only part-logged.
+    getAverageIntake(days = 28, minimumDays = 7) {
+        const start = new Date();
+        start.setDate(start.getDate() - days);
+        const from = Utils.toDateValue(start);
+        const today = Utils.toDateValue(new Date());
+        const logged = Object.keys(this.diary).filter(date => date >= from && date < today);
+        const complete = logged.filter(date => this.isCompleteDay(this.diary[date]));
+        if (complete.length < minimumDays) return null;
+
+        const calories = complete.reduce((sum, date) => sum + this.getTotals(this.diary[date]).calories, 0);
+        return { calories: calories / complete.length, days: complete.length, skipped: logged.length - complete.length };
+    }
+
+    shiftDate(days) {
+        const [year, month, day] = this.dateInput.value.split('-').map(Number);
+        this.dateInput.value = Utils.toDateValue(new Date(year, month - 1, day + days));
+        this.render();
+    }
+
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('error', isError);
+    }
+
+    render() {
+        if (!this.dateInput.value) this.dateInput.value = Utils.toDateValue(new Date());
+        this.renderTotals();
+        this.renderMeals();
+        this.renderSavedMeals();
+    }
+
+    renderResults(foods) {
+        if (foods.length === 0) {
+            this.results.innerHTML = this.searchInput.value.trim() && !this.message.textContent
+                ? '<li class="food-results-empty">No foods match. Try fewer words, or create a custom food.</li>'
+                : '';
+            return;
+        }
+
+        this.results.innerHTML = foods.map(food => `
+            <li class="food-result">
+                <div class="food-result-info">
+                    <strong>${Utils.escapeHtml(food.name)}</strong>${food.custom ? ' <span class="food-tag">Custom</span>' : ''}
+                    <span>${Utils.escapeHtml(food.serving)} · ${Math.round(food.calories)} kcal · P ${this.formatGrams(food.protein)} · C ${this.formatGrams(food.carbs)} · F ${this.formatGrams(food.fat)}</span>
+                </div>
+                <div class="food-result-actions">
+                    ${food.custom ? `
+                        <button type="button" class="btn btn-secondary btn-sm" data-delete-food="${food.id}" aria-label="Delete ${Utils.escapeHtml(food.name)}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
+                    <button type="button" class="btn btn-primary btn-sm" data-add-food="${food.id}">Add</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    renderTotals() {
+        const totals = this.getTotals(this.getEntries());
+        const plan = this.plan;
+        const units = { calories: ' kcal', protein: 'g', carbs: 'g', fat: 'g' };
+        const labels = { calories: 'Calories', protein: 'Protein', carbs: 'Carbs', fat: 'Fat' };
+
+        const rows = this.nutrients.map(nutrient => {
+            const eaten = Math.round(totals[nutrient]);
+            if (!plan) {
+                return `
+                    <div class="diary-total">
+                        <div class="diary-total-header"><span>${labels[nutrient]}</span><span>${eaten}${units[nutrient]}</span></div>
+                    </div>
+                `;
+            }
+
+            const target = plan[nutrient];
+            const percent = target > 0 ? Math.round((totals[nutrient] / target) * 100) : 0;
+            const remaining = target - eaten;
+            return `
+                <div class="diary-total${percent > 105 ? ' over' : ''}">
+                    <div class="diary-total-header">
+                        <span>${labels[nutrient]}</span>
+                        <span>${eaten} / ${target}${units[nutrient]}</span>
+                    </div>
+                    <div class="diary-bar" role="progressbar" aria-label="${labels[nutrient]}" aria-valuemin="0" aria-valuemax="${target}" aria-valuenow="${eaten}">
+                        <div class="diary-bar-fill" style="width: ${Math.min(percent, 100)}%"></div>
+                    </div>
+                    <span class="diary-total-remaining">${remaining >= 0 ? `${remaining}${units[nutrient]} left` : `${-remaining}${units[nutrient]} over`}</span>
+                </div>
+            `;
+        }).join('');
+
+        this.totals.innerHTML = `
+            <h3>${this.formatDate(this.dateInput.value)}</h3>
+            ${rows}
+            ${plan ? '' : '<p class="diary-hint">Calculate your plan in the <a href="#nutrition-calculator">Nutrition Calculator</a> to track these against daily targets.</p>'}
+        `;
+    }
+
+    renderMeals() {
+        const entries = this.getEntries();
+
+        this.mealList.innerHTML = Object.entries(this.meals).map(([meal, label]) => {
+            const items = entries.filter(entry => entry.meal === meal);
+            const calories = Math.round(this.getTotals(items).calories);
+
+            return `
+                <div class="history-entry diary-meal">
+                    <div class="history-entry-header">
+                        <h4>${label} <span class="diary-meal-calories">${calories} kcal</span></h4>
+                        ${items.length > 0 ? `
+                            <button type="button" class="btn btn-outline btn-sm" data-save-meal="${meal}" aria-label="Save ${label.toLowerCase()} as a meal">
+                                <i class="fas fa-bookmark"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${items.length > 0 ? `
+                        <ul class="diary-items">
+                            ${items.map(item => `
+                                <li>
+                                    <span>${Utils.escapeHtml(item.name)} <small>${item.servings} × ${Utils.escapeHtml(item.serving)}</small></span>
+                                    <span>${Math.round(item.calories * item.servings)} kcal
+                                        <button type="button" class="diary-remove" data-remove-entry="${item.id}" aria-label="Remove ${Utils.escapeHtml(item.name)}">
+                                            <i class="fas fa-times"></i>
+                                        </button>
+                                    </span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="diary-hint">Nothing logged yet.</p>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderSavedMeals() {
+        this.savedMealSelect.innerHTML = this.savedMeals.length > 0
+            ? this.savedMeals.map(meal => {
+                const calories = Math.round(this.getTotals(meal.items).calories);
+                return `<option value="${meal.id}">${Utils.escapeHtml(meal.name)} (${calories} kcal)</option>`;
+            }).join('')
+            : '<option value="">No saved meals yet</option>';
+        this.savedMealSelect.disabled = this.savedMeals.length === 0;
+    }
+
+    formatGrams(value) {
+        return `${Math.round(value * 10) / 10}g`;
+    }
+
+    formatDate(dateValue) {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+}
+
+// Meal Planner Manager
+class MealPlanner {
+    constructor() {
+        this.form = document.getElementById('meal-form');
+        this.result = document.getElementById('meal-result');
+        this.recipesUrl = 'data/recipes.json';
+        this.mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
+        this.recipeDatabase = [];
+        this.loaded = Promise.resolve(this.recipeDatabase);
+        // Plans further than this share from the calorie target say so next to it
+        this.targetTolerance = 0.05;
+        this.init();
+    }
+
+    init() {
+        if (!this.form || !this.result) return;
+        this.bindEvents();
+        this.loaded = this.loadRecipes();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generateMealPlan();
+        });
+    }
+
+    loadRecipes() {
+        return fetch(this.recipesUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load ${this.recipesUrl} (status ${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                const errors = this.validateRecipes(data);
+                if (errors.length > 0) {
+                    console.error('Meal Planner: The recipe database is malformed.', errors);
+                    this.showError('The recipe database is malformed, so meal plans cannot be generated right now.');
+                    return this.recipeDatabase;
+                }
+
+                this.recipeDatabase = data.recipes;
+                return this.recipeDatabase;
+            })
+            .catch(error => {
+                console.error('Meal Planner:', error);
+                this.showError('The recipe database could not be loaded. Please try again later.');
+                return this.recipeDatabase;
+            });
+    }
+
+    getFormOptions(selector) {
+        return Array.from(document.querySelectorAll(selector))
+            .map(option => option.value)
+            .filter(value => value !== '');
+    }
+
+    validateRecipes(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.recipes)) {
+            return ['Recipe database must be a JSON object with a "recipes" array.'];
+        }
+
+        // Diets and allergens must be ones the form offers, or a recipe could slip past a ticked allergy
+        const diets = this.getFormOptions('#diet-type option');
+        const allergens = this.getFormOptions('#meal-form input[name="allergies"]');
+        const errors = [];
+        const names = new Set();
+        data.recipes.forEach((recipe, index) => {
+            const where = `recipes[${index}]`;
+            if (!recipe || typeof recipe.name !== 'string' || recipe.name === '') {
+                errors.push(`${where}: missing "name".`);
+                return;
+            }
+            if (names.has(recipe.name)) errors.push(`${where}: duplicate name "${recipe.name}".`);
+            names.add(recipe.name);
+
+            if (typeof recipe.description !== 'string') {
+                errors.push(`${where} (${recipe.name}): "description" must be a string.`);
+            }
+            if (!this.mealTypes.includes(recipe.type)) {
+                errors.push(`${where} (${recipe.name}): "type" must be one of ${this.mealTypes.join(', ')}.`);
+            }
+            if (typeof recipe.calories !== 'number' || recipe.calories <= 0) {
+                errors.push(`${where} (${recipe.name}): "calories" must be a number above zero.`);
+            }
+            ['protein', 'carbs', 'fat'].forEach(nutrient => {
+                if (typeof recipe[nutrient] !== 'number' || recipe[nutrient] < 0) {
+                    errors.push(`${where} (${recipe.name}): "${nutrient}" must be a number of zero or more.`);
+                }
+            });
+            [['diets', diets], ['allergens', allergens]].forEach(([field, allowed]) => {
+                if (!Array.isArray(recipe[field]) || recipe[field].some(value => !allowed.includes(value))) {
+                    errors.push(`${where} (${recipe.name}): "${field}" must be a list drawn from ${allowed.join(', ')}.`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    getMealSlots(mealsPerDay) {
+        // Share of the daily calories assigned to each meal
+        const slots = {
+            3: [
+                { label: 'Breakfast', type: 'breakfast', share: 0.30 },
+                { label: 'Lunch', type: 'lunch', share: 0.35 },
+                { label: 'Dinner', type: 'dinner', share: 0.35 }
+            ],
+            4: [
+                { label: 'Breakfast', type: 'breakfast', share: 0.25 },
+                { label: 'Lunch', type: 'lunch', share: 0.30 },
+                { label: 'Afternoon Snack', type: 'snack', share: 0.15 },
+                { label: 'Dinner', type: 'dinner', share: 0.30 }
+            ],
+            5: [
+                { label: 'Breakfast', type: 'breakfast', share: 0.25 },
+                { label: 'Morning Snack', type: 'snack', share: 0.10 },
+                { label: 'Lunch', type: 'lunch', share: 0.25 },
+                { label: 'Afternoon Snack', type: 'snack', share: 0.10 },
+                { label: 'Dinner', type: 'dinner', share: 0.30 }
+            ],
+            6: [
+                { label: 'Breakfast', type: 'breakfast', share: 0.20 },
+                { label: 'Morning Snack', type: 'snack', share: 0.10 },
+                { label: 'Lunch', type: 'lunch', share: 0.25 },
+                { label: 'Afternoon Snack', type: 'snack', share: 0.10 },
+                { label: 'Dinner', type: 'dinner', share: 0.25 },
+                { label: 'Evening Snack', type: 'snack', share: 0.10 }
+            ]
+        };
+
+        return slots[mealsPerDay] || slots[3];
+    }
+
+    generateMealPlan() {
+        const goal = document.getElementById('meal-goal').value;
+        const dietType = document.getElementById('diet-type').value;
+        const dailyCalories = parseInt(document.getElementById('daily-calories').value);
+        const mealsPerDay = parseInt(document.getElementById('meals-per-day').value);
+        const allergies = Array.from(this.form.querySelectorAll('input[name="allergies"]:checked'))
+            .map(checkbox => checkbox.value);
+
+        if (!goal || !dietType || !mealsPerDay) {
+            this.showError('Please select a goal, diet type and number of meals.');
+            return;
+        }
+        if (!dailyCalories || dailyCalories < 1200 || dailyCalories > 4000) {
+            this.showError('Please enter daily calories between 1200 and 4000.');
+            return;
+        }
+
+        this.loaded.then(() => {
+            const plan = this.buildDayPlan(goal, dietType, dailyCalories, mealsPerDay, allergies);
+            this.displayMealPlan(plan, goal, dietType, dailyCalories, allergies);
+        });
+    }
+
+    buildDayPlan(goal, dietType, dailyCalories, mealsPerDay, allergies = []) {
+        const usedRecipes = new Set();
+
+        return this.getMealSlots(mealsPerDay).map(slot => {
+            const targetCalories = Math.round(dailyCalories * slot.share);
+            const candidates = this.recipeDatabase.filter(recipe =>
+                recipe.type === slot.type &&
+                recipe.diets.includes(dietType) &&
+                !recipe.allergens.some(allergen => allergies.includes(allergen))
+            );
+
+            if (candidates.length === 0) {
+                return { ...slot, targetCalories, recipe: null };
+            }
+
+            // Prefer recipes not yet used today, then the best fit for the goal
+            const fresh = candidates.filter(recipe => !usedRecipes.has(recipe.name));
+            const pool = fresh.length > 0 ? fresh : candidates;
+            const ranked = pool
+                .map(recipe => ({ recipe, score: this.scoreRecipe(recipe, goal, targetCalories) }))
+                .sort((a, b) => a.score - b.score);
+
+            // Pick randomly among the closest matches so plans vary between runs
+            const shortlist = ranked.slice(0, Math.min(3, ranked.length));
+            const { recipe } = shortlist[Math.floor(Math.random() * shortlist.length)];
+            usedRecipes.add(recipe.name);
+
+            return { ...slot, targetCalories, recipe: this.scaleRecipe(recipe, targetCalories) };
+        });
+    }
+
+    scoreRecipe(recipe, goal, targetCalories) {
+        // Lower is better: how far the portion has to be scaled, adjusted for the goal
+        let score = Math.abs(Math.log(targetCalories / recipe.calories));
+        const proteinRatio = (recipe.protein * 4) / recipe.calories;
+        const carbRatio = (recipe.carbs * 4) / recipe.calories;
+
+        if (goal === 'muscle-gain') {
+            score -= proteinRatio * 0.5;
+        } else if (goal === 'weight-loss') {
+            score -= proteinRatio * 0.3;
+            score += ((recipe.fat * 9) / recipe.calories) * 0.2;
+        } else if (goal === 'athletic') {
+            score -= carbRatio * 0.4;
+        }
+
+        return score;
+    }
+
+    scaleRecipe(recipe, targetCalories) {
+        // Keep portions realistic: between half and double a serving
+        const servings = Math.min(Math.max(targetCalories / recipe.calories, 0.5), 2);
+        const rounded = Math.round(servings * 4) / 4;
+
+        return {
+            ...recipe,
+            servings: rounded,
+            calories: Math.round(recipe.calories * rounded),
+            protein: Math.round(recipe.protein * rounded),
+            carbs: Math.round(recipe.carbs * rounded),
+            fat: Math.round(recipe.fat * rounded)
+        };
+    }
+
+    displayMealPlan(plan, goal, dietType, dailyCalories, allergies) {
+        const totals = plan.reduce((sum, meal) => {
+            if (meal.recipe) {
+                sum.calories += meal.recipe.calories;
+                sum.protein += meal.recipe.protein;
+                sum.carbs += meal.recipe.carbs;
+                sum.fat += meal.recipe.fat;
+            }
+            return sum;
+        }, { calories: 0, protein: 0, carbs: 0, fat: 0 });
+        const targetNote = this.getTargetNote(plan, totals.calories, dailyCalories);
+
+        this.result.innerHTML = `
+            <div class="meal-plan active">
+                <div class="meal-day">
+                    <h4>${this.formatLabel(dietType)} ${this.formatLabel(goal)} Plan &middot; ${dailyCalories} kcal target</h4>
+                    ${plan.map(meal => meal.recipe ? `
+                        <div class="meal-item">
+                            <div class="meal-info">
+                                <h5>${meal.label}: ${Utils.escapeHtml(meal.recipe.name)}</h5>
+                                <p>${Utils.escapeHtml(meal.recipe.description)}${meal.recipe.servings !== 1 ? ` (${meal.recipe.servings}x serving)` : ''}</p>
+                                <p>P ${meal.recipe.protein}g &middot; C ${meal.recipe.carbs}g &middot; F ${meal.recipe.fat}g</p>
+                            </div>
+                            <span class="meal-calories">${meal.recipe.calories} kcal</span>
+                        </div>
+                    ` : `
+                        <div class="meal-item">
+                            <div class="meal-info">
+                                <h5>${meal.label}</h5>
+                                <p>No ${this.formatLabel(dietType).toLowerCase()} recipe matches your restrictions for this meal. Ask our nutrition team for a substitute.</p>
+                            </div>
+                            <span class="meal-calories">${meal.targetCalories} kcal</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="meal-day">
+                    <h4>Daily Totals</h4>
+                    <div class="meal-item">
+                        <div class="meal-info">
+                            <h5>Protein ${totals.protein}g &middot; Carbs ${totals.carbs}g &middot; Fat ${totals.fat}g</h5>
+                            <p>${allergies.length > 0 ? `Excludes: ${allergies.map(a => this.formatLabel(a)).join(', ')}` : 'No allergens excluded'}</p>
+                            ${targetNote ? `<p>${targetNote}</p>` : ''}
+                        </div>
+                        <span class="meal-calories">${totals.calories} kcal</span>
+                    </div>
+                </div>
+                <div style="text-align: center; margin-top: 2rem;">
+                    <button class="btn btn-primary" id="regenerate-meal-plan">Generate Another Plan</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('regenerate-meal-plan').addEventListener('click', () => {
+            this.generateMealPlan();
+        });
+
+        // Animate the result
+        this.result.style.opacity = '0';
+        setTimeout(() => {
+            this.result.style.opacity = '1';
+        }, 100);
+    }
+
+    showError(message) {
+        this.result.innerHTML = `
+            <div class="result-placeholder">
+                <i class="fas fa-exclamation-circle"></i>
+                <h3>Please Try Again</h3>
+                <p>${message}</p>
+            </div>
+        `;
+    }
+
+    getTargetNote(plan, totalCalories, dailyCalories) {
+        const difference = totalCalories - dailyCalories;
+        if (Math.abs(difference) <= dailyCalories * this.targetTolerance) return '';
+
+        // Portions stay between half and double a serving, so very high or low targets cannot always be met
+        const amount = Math.abs(difference);
+        if (difference > 0) {
+            return `${amount} kcal over your ${dailyCalories} kcal target, as portions are at least half a serving. Choose fewer meals per day to get closer.`;
+        }
+        if (plan.some(meal => !meal.recipe)) {
+            return `${amount} kcal short of your ${dailyCalories} kcal target, as some meals have no matching recipe.`;
+        }
+        return `${amount} kcal short of your ${dailyCalories} kcal target, as portions are capped at two servings. ${plan.length < 6 ? 'Choose more meals per day or add' : 'Add'} a snack to make up the difference.`;
+    }
+
+    formatLabel(str) {
+        return str.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+}
+
+// Virtual Tour Manager
+class VirtualTour {
+    constructor() {
+        this.tourBtns = document.querySelectorAll('.tour-btn');
+        this.tourImage = document.getElementById('tour-main-image');
+        this.tourTitle = document.getElementById('tour-title');
+        this.tourDescription = document.getElementById('tour-description');
+        this.tourFeatures = document.getElementById('tour-features');
+        this.hotspots = document.querySelectorAll('.hotspot');
+        this.tourData = this.initializeTourData();
+        this.init();
+    }
+
+    init() {
+        if (this.tourBtns.length === 0) return;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.tourBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const tour = e.target.dataset.tour;
+                this.switchTour(tour);
+                this.updateActiveButton(e.target);
+            });
+        });
+
+        this.hotspots.forEach(hotspot => {
+            hotspot.addEventListener('click', (e) => {
+                const tour = e.target.closest('.hotspot').dataset.tour;
+                this.switchTour(tour);
+                this.updateActiveButton(document.querySelector(`[data-tour="${tour}"]`));
+            });
+        });
+    }
+
+    initializeTourData() {
+        return {
+            main: {
+                image: 'https://images.unsplash.com/photo-1534438327276-14e5300c3a48?w=800&h=400&fit=crop',
+                title: 'Main Gym Floor',
+                description: 'Welcome to our spacious main gym floor featuring state-of-the-art equipment and an open, energizing atmosphere perfect for all your fitness needs.',
+                features: [
+                    '24/7 Access Available',
+                    'Climate Controlled',
+                    'Professional Sound System'
+                ]
+            },
+            cardio: {
+                image: 'https://images.unsplash.com/photo-1571902943202-507ec2618e8f?w=800&h=400&fit=crop',
+                title: 'Cardio Zone',
+                description: 'Our dedicated cardio area features the latest treadmills, ellipticals, and bikes, all equipped with personal entertainment systems.',
+                features: [
+                    'Latest Cardio Equipment',
+                    'Personal Entertainment Systems',
+                    'Heart Rate Monitoring',
+                    'Towel Service Available'
+                ]
+            },
+            weights: {
+                image: 'https://images.unsplash.com/photo-1583454110551-21f2fa2afe61?w=800&h=400&fit=crop',
+                title: 'Weight Training Area',
+                description: 'Complete free weight section with dumbbells, barbells, and specialized strength training equipment for serious lifters.',
+                features: [
+                    'Full Range of Free Weights',
+                    'Olympic Lifting Platform',
+                    'Specialized Strength Equipment',
+                    'Spotting Available'
+                ]
+            },
+            studio: {
+                image: 'https://images.unsplash.com/photo-1544367567-0f2fcb009e0b?w=800&h=400&fit=crop',
+                title: 'Group Fitness Studio',
+                description: 'Spacious studio designed for group classes including yoga, pilates, HIIT, and dance fitness with premium sound and lighting.',
+                features: [
+                    'Premium Sound System',
+                    'Mirrored Walls',
+                    'Yoga Props Available',
+                    'Climate Controlled'
+                ]
+            },
+            locker: {
+                image: 'https://images.unsplash.com/photo-1540497077202-7c8a3999166f?w=800&h=400&fit=crop',
+                title: 'Locker Rooms',
+                description: 'Clean, spacious locker rooms with modern amenities including showers, lockers, and grooming stations.',
+                features: [
+                    'Individual Shower Stalls',
+                    'Secure Lockers',
+                    'Hair Dryers Available',
+                    'Towel Service'
+                ]
+            }
+        };
+    }
+
+    switchTour(tourType) {
+        const tourInfo = this.tourData[tourType];
+        if (!tourInfo) return;
+
+        // Update image with fade effect
+        this.tourImage.style.opacity = '0';
+        setTimeout(() => {
+            this.tourImage.src = tourInfo.image;
+            this.tourImage.alt = tourInfo.title;
+            this.tourImage.style.opacity = '1';
+        }, 300);
+
+        // Update content
+        this.tourTitle.textContent = tourInfo.title;
+        this.tourDescription.textContent = tourInfo.description;
+        
+        // Update features
+        this.tourFeatures.innerHTML = tourInfo.features.map(feature => `
+            <div class="feature-item">
+                <i class="fas fa-check"></i>
+                <span>${feature}</span>
+            </div>
+        `).join('');
+    }
+
+    updateActiveButton(activeBtn) {
+        this.tourBtns.forEach(btn => btn.classList.remove('active'));
+        activeBtn.classList.add('active');
+    }
+}
+
+// Weather Widget Manager
+class WeatherWidget {
+    constructor() {
+        this.weatherIcon = document.getElementById('weather-icon');
+        this.weatherTemp = document.getElementById('weather-temp');
+        this.weatherDesc = document.getElementById('weather-desc');
+        this.weatherVisibility = document.getElementById('weather-visibility');
+        this.weatherHumidity = document.getElementById('weather-humidity');
+        this.weatherWind = document.getElementById('weather-wind');
+        this.workoutSuggestion = document.getElementById('workout-suggestion');
+        this.init();
+    }
+
+    init() {
+        if (!this.weatherIcon) return;
+        this.updateWeather();
+        // Update weather every 30 minutes
+        setInterval(() => this.updateWeather(), 30 * 60 * 1000);
+    }
+
+    updateWeather() {
+        // Simulate weather data (in a real app, you'd fetch from a weather API)
+        const weatherConditions = [
+            { temp: 22, desc: 'Sunny', icon: 'fas fa-sun', visibility: '10km', humidity: '45%', wind: '12 km/h', suggestion: 'Perfect weather for outdoor running! Try our outdoor bootcamp class.' },
+            { temp: 18, desc: 'Cloudy', icon: 'fas fa-cloud', visibility: '8km', humidity: '65%', wind: '15 km/h', suggestion: 'Great day for indoor workouts. Join our HIIT class!' },
+            { temp: 25, desc: 'Partly Cloudy', icon: 'fas fa-cloud-sun', visibility: '12km', humidity: '55%', wind: '8 km/h', suggestion: 'Ideal conditions for any workout. How about some strength training?' },
+            { temp: 15, desc: 'Rainy', icon: 'fas fa-cloud-rain', visibility: '5km', humidity: '85%', wind: '20 km/h', suggestion: 'Stay dry with our indoor cycling class or yoga session.' }
+        ];
+
+        const currentWeather = weatherConditions[Math.floor(Math.random() * weatherConditions.length)];
+        
+        this.weatherIcon.className = currentWeather.icon;
+        this.weatherTemp.textContent = `${currentWeather.temp}°C`;
+        this.weatherDesc.textContent = currentWeather.desc;
+        this.weatherVisibility.textContent = currentWeather.visibility;
+        this.weatherHumidity.textContent = currentWeather.humidity;
+        this.weatherWind.textContent = currentWeather.wind;
+        this.workoutSuggestion.textContent = currentWeather.suggestion;
+    }
+}
+
+// Gym Statistics Manager
+class GymStats {
+    constructor() {
+        this.statsElements = {
+            currentMembers: document.getElementById('current-members'),
+            workoutsToday: document.getElementById('workouts-today'),
+            caloriesToday: document.getElementById('calories-today'),
+            avgWorkout: document.getElementById('avg-workout'),
+            peakHours: document.getElementById('peak-hours'),
+            achievementsUnlocked: document.getElementById('achievements-unlocked')
+        };
+        this.activityFeed = document.getElementById('activity-feed');
+        this.init();
+    }
+
+    init() {
+        if (!this.statsElements.currentMembers) return;
+        this.updateStats();
+        this.updateActivityFeed();
+        
+        // Update stats every 5 minutes
+        setInterval(() => this.updateStats(), 5 * 60 * 1000);
+        // Update activity feed every 30 seconds
+        setInterval(() => this.updateActivityFeed(), 30 * 1000);
+    }
+
+    updateStats() {
+        // Simulate real-time stats updates
+        const baseStats = {
+            currentMembers: 1247,
+            workoutsToday: 89,
+            caloriesToday: 45230,
+            avgWorkout: 52,
+            peakHours: '6-8 PM',
+            achievementsUnlocked: 156
+        };
+
+        // Add some random variation
+        const variation = {
+            currentMembers: Math.floor(Math.random() * 10) - 5,
+            workoutsToday: Math.floor(Math.random() * 20) - 10,
+            caloriesToday: Math.floor(Math.random() * 2000) - 1000,
+            avgWorkout: Math.floor(Math.random() * 10) - 5,
+            achievementsUnlocked: Math.floor(Math.random() * 10) - 5
+        };
+
+        Object.keys(baseStats).forEach(key => {
+            if (this.statsElements[key] && key !== 'peakHours') {
+                const newValue = baseStats[key] + (variation[key] || 0);
+                this.animateNumber(this.statsElements[key], newValue, 1000);
+            }
+        });
+    }
+
+    animateNumber(element, target, duration) {
+        const start = parseInt(element.textContent.replace(/,/g, '')) || 0;
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            
+            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+            const current = Math.floor(start + (target - start) * easeOutQuart);
+            
+            element.textContent = current.toLocaleString();
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    updateActivityFeed() {
+        const activities = [
+            { user: 'Sarah M.', action: 'completed a 45-min HIIT workout', time: '2 minutes ago' },
+            { user: 'Mike R.', action: 'unlocked "Strength Master" achievement', time: '5 minutes ago' },
+            { user: 'Emma L.', action: 'joined the Morning Yoga class', time: '8 minutes ago' },
+            { user: 'John D.', action: 'set a new personal record in deadlifts', time: '12 minutes ago' },
+            { user: 'Lisa K.', action: 'completed their 50th workout', time: '15 minutes ago' },
+            { user: 'Alex P.', action: 'burned 500 calories in spin class', time: '18 minutes ago' }
+        ];
+
+        // Shuffle and take first 3
+        const shuffled = activities.sort(() => 0.5 - Math.random()).slice(0, 3);
+        
+        this.activityFeed.innerHTML = shuffled.map(activity => `
+            <div class="activity-item">
+                <div class="activity-avatar">
+                    <i class="fas fa-user"></i>
+                </div>
+                <div class="activity-content">
+                    <p><strong>${activity.user}</strong> ${activity.action}</p>
+                    <span class="activity-time">${activity.time}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// Achievement System Manager
+class AchievementSystem {
+    constructor() {
+        this.achievementCards = document.querySelectorAll('.achievement-card');
+        this.init();
+    }
+
+    init() {
+        if (this.achievementCards.length === 0) return;
+        this.bindEvents();
+        this.simulateProgress();
+    }
+
+    bindEvents() {
+        this.achievementCards.forEach(card => {
+            card.addEventListener('click', () => {
+                this.showAchievementDetails(card);
+            });
+        });
+    }
+
+    simulateProgress() {
+        // Simulate achievement progress updates
+        setInterval(() => {
+            this.achievementCards.forEach(card => {
+                if (card.classList.contains('locked')) {
+                    const progressFill = card.querySelector('.progress-fill');
+                    const progressText = card.querySelector('.progress-text');
+                    
+                    if (progressFill && progressText) {
+                        const currentWidth = parseInt(progressFill.style.width) || 0;
+                        const increment = Math.random() * 5; // Random progress increment
+                        const newWidth = Math.min(currentWidth + increment, 100);
+                        
+                        progressFill.style.width = `${newWidth}%`;
+                        
+                        // Update progress text based on achievement type
+                        const achievementType = card.dataset.achievement;
+                        this.updateProgressText(card, achievementType, newWidth);
+                        
+                        // Check if achievement should be unlocked
+                        if (newWidth >= 100) {
+                            this.unlockAchievement(card);
+                        }
+                    }
+                }
+            });
+        }, 10000); // Update every 10 seconds
+    }
+
+    updateProgressText(card, achievementType, progress) {
+        const progressText = card.querySelector('.progress-text');
+        const progressMap = {
+            'first-workout': { max: 1, unit: '' },
+            'week-warrior': { max: 5, unit: '' },
+            'strength-master': { max: 1000, unit: 'kg' },
+            'cardio-king': { max: 10000, unit: '' },
+            'consistency-champion': { max: 30, unit: '' }
+        };
+        
+        const config = progressMap[achievementType];
+        if (config) {
+            const current = Math.floor((progress / 100) * config.max);
+            progressText.textContent = `${current}/${config.max}${config.unit}`;
+        }
+    }
+
+    unlockAchievement(card) {
+        card.classList.remove('locked');
+        card.classList.add('unlocked');
+        
+        // Show unlock animation
+        this.showUnlockNotification(card);
+    }
+
+    showUnlockNotification(card) {
+        const achievementName = card.querySelector('h4').textContent;
+        
+        const notification = document.createElement('div');
+        notification.className = 'achievement-notification';
+        notification.innerHTML = `
+            <div class="notification-content">
+                <i class="fas fa-trophy"></i>
+                <h4>Achievement Unlocked!</h4>
+                <p>${achievementName}</p>
+            </div>
+        `;
+        notification.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: linear-gradient(135deg, #00ff88, #00cc6a);
+            color: white;
+            padding: 1.5rem;
+            border-radius: 12px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            z-index: 3000;
+            animation: slideInRight 0.5s ease, fadeOut 0.5s ease 4s forwards;
+            max-width: 300px;
+        `;
+
+        document.body.appendChild(notification);
+
         setTimeout(() => {
-            this.result.style.opacity = '1';
-        }, 100);
+            notification.remove();
+        }, 5000);
+    }
+
+    showAchievementDetails(card) {
+        const achievementName = card.querySelector('h4').textContent;
+        const achievementDesc = card.querySelector('p').textContent;
+        const isUnlocked = card.classList.contains('unlocked');
+        
+        // Create modal or tooltip with achievement details
+        console.log(`Achievement: ${achievementName} - ${achievementDesc} - ${isUnlocked ? 'Unlocked' : 'Locked'}`);
+    }
+}
+
+// Timer Audio Manager
+class TimerAudio {
+    constructor() {
+        this.audioContext = null;
+        this.speech = window.speechSynthesis || null;
+        this.defaults = {
+            soundPack: 'classic',
+            volume: 60,
+            muted: false,
+            voice: true,
+            vibration: true
+        };
+        this.soundPacks = this.initializeSoundPacks();
+        this.vibrationPatterns = {
+            start: [200],
+            work: [400],
+            rest: [150, 100, 150],
+            warmup: [200],
+            cooldown: [150, 100, 150],
+            countdown: [60],
+            warning: [100, 80, 100],
+            halfway: [100],
+            complete: [300, 150, 300, 150, 600]
+        };
+        this.init();
     }
 
-    getNutritionTips(goal, gender) {
-        const baseTips = [
-            'Drink at least 8 glasses of water daily',
-            'Eat protein with every meal',
-            'Include vegetables in most meals',
-            'Time your carbs around workouts'
-        ];
+    init() {
+        this.setupAudio();
+    }
 
-        const goalTips = {
-            lose: [
-                'Create a moderate calorie deficit',
-                'Focus on high-protein, low-calorie foods',
-                'Eat more fiber to stay full longer'
-            ],
-            maintain: [
-                'Focus on nutrient-dense whole foods',
-                'Maintain consistent meal timing',
-                'Listen to your hunger cues'
-            ],
-            gain: [
-                'Eat frequent, nutrient-dense meals',
-                'Include healthy fats like nuts and avocado',
-                'Consider post-workout protein shakes'
-            ]
+    initializeSoundPacks() {
+        return {
+            classic: {
+                label: 'Classic Beeps',
+                cues: {
+                    start: [{ frequency: 1000, duration: 300 }],
+                    work: [{ frequency: 1200, duration: 500 }],
+                    rest: [{ frequency: 400, duration: 300 }],
+                    warmup: [{ frequency: 800, duration: 300 }],
+                    cooldown: [{ frequency: 400, duration: 300 }],
+                    countdown: [{ frequency: 600, duration: 150 }],
+                    warning: [{ frequency: 900, duration: 120 }, { frequency: 900, duration: 120, delay: 180 }],
+                    halfway: [{ frequency: 700, duration: 200 }],
+                    complete: [{ frequency: 1500, duration: 1000 }]
+                }
+            },
+            digital: {
+                label: 'Digital Watch',
+                cues: {
+                    start: [{ frequency: 2000, duration: 80, type: 'square' }, { frequency: 2000, duration: 80, type: 'square', delay: 140 }],
+                    work: [{ frequency: 2400, duration: 80, type: 'square' }, { frequency: 2400, duration: 80, type: 'square', delay: 120 }, { frequency: 2400, duration: 80, type: 'square', delay: 240 }],
+                    rest: [{ frequency: 1200, duration: 200, type: 'square' }],
+                    warmup: [{ frequency: 1600, duration: 150, type: 'square' }],
+                    cooldown: [{ frequency: 1200, duration: 200, type: 'square' }],
+                    countdown: [{ frequency: 1800, duration: 60, type: 'square' }],
+                    warning: [{ frequency: 1800, duration: 60, type: 'square' }, { frequency: 1800, duration: 60, type: 'square', delay: 100 }],
+                    halfway: [{ frequency: 1500, duration: 100, type: 'square' }],
+                    complete: [0, 150, 300, 450].map(delay => ({ frequency: 2400, duration: 100, type: 'square', delay }))
+                }
+            },
+            whistle: {
+                label: 'Coach Whistle',
+                cues: {
+                    start: [{ frequency: 2200, duration: 300, type: 'triangle', slideTo: 2600 }],
+                    work: [{ frequency: 2600, duration: 180, type: 'triangle' }, { frequency: 2600, duration: 400, type: 'triangle', delay: 240 }],
+                    rest: [{ frequency: 2400, duration: 500, type: 'triangle', slideTo: 1800 }],
+                    warmup: [{ frequency: 2200, duration: 300, type: 'triangle' }],
+                    cooldown: [{ frequency: 2400, duration: 600, type: 'triangle', slideTo: 1600 }],
+                    countdown: [{ frequency: 2000, duration: 100, type: 'triangle' }],
+                    warning: [{ frequency: 2200, duration: 100, type: 'triangle' }, { frequency: 2200, duration: 100, type: 'triangle', delay: 160 }],
+                    halfway: [{ frequency: 2400, duration: 150, type: 'triangle' }],
+                    complete: [{ frequency: 2600, duration: 250, type: 'triangle' }, { frequency: 2600, duration: 250, type: 'triangle', delay: 350 }, { frequency: 2600, duration: 800, type: 'triangle', delay: 700 }]
+                }
+            },
+            bell: {
+                label: 'Boxing Bell',
+                cues: {
+                    start: [{ frequency: 660, duration: 1200 }, { frequency: 1650, duration: 800 }],
+                    work: [{ frequency: 880, duration: 1500 }, { frequency: 2200, duration: 900 }],
+                    rest: [{ frequency: 523, duration: 1200 }],
+                    warmup: [{ frequency: 660, duration: 1000 }],
+                    cooldown: [{ frequency: 523, duration: 1500 }],
+                    countdown: [{ frequency: 1320, duration: 120 }],
+                    warning: [{ frequency: 1320, duration: 150 }, { frequency: 1320, duration: 150, delay: 200 }],
+                    halfway: [{ frequency: 880, duration: 400 }],
+                    complete: [0, 400, 800].map(delay => ({ frequency: 880, duration: 1500, delay }))
+                }
+            }
         };
+    }
+
+    setupAudio() {
+        // Create audio context for cue sounds
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (e) {
+            console.log('Audio not supported');
+        }
+    }
+
+    unlock() {
+        // Browsers keep the context suspended until a user gesture resumes it
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    getSettings(settings = {}) {
+        return { ...this.defaults, ...settings };
+    }
+
+    cue(event, settings = {}, message = '') {
+        const options = this.getSettings(settings);
+
+        if (!options.muted && options.volume > 0) {
+            this.playSound(event, options);
+            if (options.voice && message) {
+                this.speak(message, options);
+            }
+        }
+
+        if (options.vibration) {
+            this.vibrate(event);
+        }
+    }
+
+    playSound(event, settings) {
+        const pack = this.soundPacks[settings.soundPack] || this.soundPacks.classic;
+        const tones = pack.cues[event] || [];
+        tones.forEach(tone => this.playTone(tone, settings.volume));
+    }
+
+    playTone({ frequency, duration, type = 'sine', delay = 0, slideTo = null }, volume = this.defaults.volume) {
+        if (!this.audioContext) return;
+        
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        const startAt = this.audioContext.currentTime + delay / 1000;
+        const stopAt = startAt + duration / 1000;
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.frequency.setValueAtTime(frequency, startAt);
+        if (slideTo) {
+            oscillator.frequency.linearRampToValueAtTime(slideTo, stopAt);
+        }
+        oscillator.type = type;
+        
+        // Volume 60 matches the original fixed gain of 0.3
+        gainNode.gain.setValueAtTime(Math.max(0.01, volume / 200), startAt);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, stopAt);
+        
+        oscillator.start(startAt);
+        oscillator.stop(stopAt);
+    }
+
+    speak(message, settings) {
+        if (!this.speech || typeof SpeechSynthesisUtterance === 'undefined') return;
+
+        // Drop announcements that are still queued so cues never lag behind the clock
+        this.speech.cancel();
+
+        const utterance = new SpeechSynthesisUtterance(message);
+        utterance.volume = Math.min(1, settings.volume / 100);
+        utterance.rate = 1.05;
+        this.speech.speak(utterance);
+    }
 
-        return [...baseTips, ...goalTips[goal]];
+    vibrate(event) {
+        const pattern = this.vibrationPatterns[event];
+        if (pattern && navigator.vibrate) {
+            navigator.vibrate(pattern);
+        }
     }
 }
 
-// Virtual Tour Manager
-class VirtualTour {
+// Timer Program Manager
+class TimerProgramManager {
     constructor() {
-        this.tourBtns = document.querySelectorAll('.tour-btn');
-        this.tourImage = document.getElementById('tour-main-image');
-        this.tourTitle = document.getElementById('tour-title');
-        this.tourDescription = document.getElementById('tour-description');
-        this.tourFeatures = document.getElementById('tour-features');
-        this.hotspots = document.querySelectorAll('.hotspot');
-        this.tourData = this.initializeTourData();
+        this.select = document.getElementById('timer-program');
+        this.summary = document.getElementById('program-summary');
+        this.quickSettings = document.querySelector('.timer-settings');
+        this.editor = document.getElementById('program-editor');
+        this.blocksContainer = document.getElementById('program-blocks');
+        this.nameInput = document.getElementById('program-name');
+        this.errorsEl = document.getElementById('program-errors');
+        this.importInput = document.getElementById('program-import');
+        this.soundPackSelect = document.getElementById('timer-sound-pack');
+        this.volumeInput = document.getElementById('timer-volume');
+        this.volumeValue = document.getElementById('timer-volume-value');
+        this.muteInput = document.getElementById('timer-mute');
+        this.voiceInput = document.getElementById('timer-voice');
+        this.vibrateInput = document.getElementById('timer-vibrate');
+        this.storageKey = 'fitzone-timer-programs';
+        this.selectedKey = 'fitzone-timer-selected';
+        this.audioKey = 'fitzone-timer-audio';
+        this.blockTypes = {
+            warmup: { label: 'Warm-up', fields: ['duration'], defaults: { duration: 300 } },
+            interval: { label: 'Intervals', fields: ['work', 'rest', 'rounds', 'sets', 'setRest'], defaults: { work: 40, rest: 20, rounds: 6, sets: 1, setRest: 60 } },
+            tabata: { label: 'Tabata', fields: ['work', 'rest', 'rounds', 'sets', 'setRest'], defaults: { work: 20, rest: 10, rounds: 8, sets: 1, setRest: 60 } },
+            emom: { label: 'EMOM', fields: ['interval', 'rounds', 'sets', 'setRest'], defaults: { interval: 60, rounds: 10, sets: 1, setRest: 60 } },
+            amrap: { label: 'AMRAP', fields: ['duration', 'sets', 'setRest'], defaults: { duration: 600, sets: 1, setRest: 120 } },
+            rest: { label: 'Rest', fields: ['duration'], defaults: { duration: 60 } },
+            cooldown: { label: 'Cool-down', fields: ['duration'], defaults: { duration: 300 } }
+        };
+        this.fieldLabels = {
+            duration: 'Duration (s)',
+            work: 'Work (s)',
+            rest: 'Rest (s)',
+            interval: 'Interval (s)',
+            rounds: 'Rounds',
+            sets: 'Sets',
+            setRest: 'Rest Between Sets (s)'
+        };
+        this.fieldLimits = {
+            duration: [5, 3600],
+            work: [5, 600],
+            rest: [0, 600],
+            interval: [10, 600],
+            rounds: [1, 100],
+            sets: [1, 20],
+            setRest: [0, 900]
+        };
+        this.presets = this.initializePresets();
+        this.programs = this.load();
+        this.audioOverrides = this.loadAudioOverrides();
+        this.editingId = null;
+        this.editingAudio = null;
         this.init();
     }
 
     init() {
-        if (this.tourBtns.length === 0) return;
+        if (!this.select) return;
+        this.populateBlockTypes();
+        this.populateSoundPacks();
+        this.renderProgramOptions();
+        this.select.value = localStorage.getItem(this.selectedKey) || 'quick';
+        if (!this.select.value) this.select.value = 'quick';
         this.bindEvents();
+        this.updateSelection();
+    }
+
+    initializePresets() {
+        return [
+            {
+                id: 'tabata-classic',
+                name: 'Tabata Classic',
+                blocks: [
+                    { type: 'warmup', name: 'Warm-up', duration: 300 },
+                    { type: 'tabata', name: 'Tabata', work: 20, rest: 10, rounds: 8, sets: 2, setRest: 60 },
+                    { type: 'cooldown', name: 'Cool-down', duration: 180 }
+                ],
+                audio: { soundPack: 'digital', volume: 60, muted: false, voice: true, vibration: true }
+            },
+            {
+                id: 'emom-12',
+                name: 'EMOM 12',
+                blocks: [
+                    { type: 'warmup', name: 'Warm-up', duration: 240 },
+                    { type: 'emom', name: 'EMOM', interval: 60, rounds: 12, sets: 1, setRest: 0 },
+                    { type: 'cooldown', name: 'Cool-down', duration: 180 }
+                ],
+                audio: { soundPack: 'whistle', volume: 60, muted: false, voice: true, vibration: true }
+            },
+            {
+                id: 'amrap-15',
+                name: 'AMRAP 15',
+                blocks: [
+                    { type: 'warmup', name: 'Warm-up', duration: 300 },
+                    { type: 'amrap', name: 'AMRAP', duration: 900, sets: 1, setRest: 0 },
+                    { type: 'cooldown', name: 'Cool-down', duration: 240 }
+                ],
+                audio: { soundPack: 'bell', volume: 70, muted: false, voice: true, vibration: true }
+            },
+            {
+                id: 'hiit-pyramid',
+                name: 'HIIT Pyramid',
+                blocks: [
+                    { type: 'warmup', name: 'Warm-up', duration: 240 },
+                    { type: 'interval', name: 'Short Bursts', work: 20, rest: 20, rounds: 4, sets: 1, setRest: 0 },
+                    { type: 'rest', name: 'Recover', duration: 60 },
+                    { type: 'interval', name: 'Long Efforts', work: 45, rest: 15, rounds: 4, sets: 2, setRest: 90 },
+                    { type: 'cooldown', name: 'Cool-down', duration: 180 }
+                ]
+            }
+        ];
     }
 
     bindEvents() {
-        this.tourBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const tour = e.target.dataset.tour;
-                this.switchTour(tour);
-                this.updateActiveButton(e.target);
-            });
+        this.select.addEventListener('change', () => {
+            localStorage.setItem(this.selectedKey, this.select.value);
+            this.updateSelection();
         });
 
-        this.hotspots.forEach(hotspot => {
-            hotspot.addEventListener('click', (e) => {
-                const tour = e.target.closest('.hotspot').dataset.tour;
-                this.switchTour(tour);
-                this.updateActiveButton(document.querySelector(`[data-tour="${tour}"]`));
+        document.getElementById('program-new').addEventListener('click', () => {
+            this.openEditor({ name: 'My Program', blocks: [this.createBlock('warmup'), this.createBlock('interval'), this.createBlock('cooldown')] });
+        });
+
+        document.getElementById('program-edit').addEventListener('click', () => {
+            const program = this.getSelectedProgram();
+            const isCustom = this.select.value.startsWith('custom:');
+            // Presets and the quick timer are copied rather than edited in place
+            this.openEditor({
+                ...program,
+                audio: this.getAudioSettings(),
+                id: isCustom ? program.id : null,
+                name: isCustom ? program.name : `${program.name} (Custom)`
             });
         });
+
+        document.getElementById('program-delete').addEventListener('click', () => {
+            this.deleteSelected();
+        });
+
+        document.getElementById('program-export').addEventListener('click', () => {
+            this.exportPrograms(this.select.value.startsWith('custom:') ? [this.getSelectedProgram()] : this.programs);
+        });
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            if (file) this.importFile(file);
+            this.importInput.value = '';
+        });
+
+        [this.soundPackSelect, this.muteInput, this.voiceInput, this.vibrateInput].forEach(input => {
+            input.addEventListener('change', () => this.saveAudioSettings());
+        });
+
+        this.volumeInput.addEventListener('input', () => this.saveAudioSettings());
+
+        document.getElementById('timer-sound-test').addEventListener('click', () => {
+            if (!window.timerAudio) return;
+            window.timerAudio.unlock();
+            window.timerAudio.cue('work', this.getAudioSettings(), 'Round 1 of 8, work!');
+        });
+
+        document.getElementById('program-add-block').addEventListener('click', () => {
+            const type = document.getElementById('program-block-type').value;
+            this.renderBlocks([...this.readEditorBlocks(), this.createBlock(type)]);
+        });
+
+        document.getElementById('program-save').addEventListener('click', () => {
+            this.saveEditor();
+        });
+
+        document.getElementById('program-cancel').addEventListener('click', () => {
+            this.closeEditor();
+        });
+
+        // Block row actions are delegated since rows are re-rendered
+        this.blocksContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-block-action]');
+            if (!button) return;
+
+            const blocks = this.readEditorBlocks();
+            const index = parseInt(button.dataset.index);
+            const action = button.dataset.blockAction;
+
+            if (action === 'remove') {
+                blocks.splice(index, 1);
+            } else if (action === 'up' && index > 0) {
+                [blocks[index - 1], blocks[index]] = [blocks[index], blocks[index - 1]];
+            } else if (action === 'down' && index < blocks.length - 1) {
+                [blocks[index + 1], blocks[index]] = [blocks[index], blocks[index + 1]];
+            }
+            this.renderBlocks(blocks);
+        });
     }
 
-    initializeTourData() {
+    load() {
+        try {
+            const programs = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+            return programs.filter(program => this.validateProgram(program).length === 0);
+        } catch (e) {
+            console.error('Timer Programs: Could not read saved programs', e);
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.programs));
+    }
+
+    loadAudioOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(this.audioKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    populateSoundPacks() {
+        const packs = window.timerAudio ? window.timerAudio.soundPacks : {};
+        this.soundPackSelect.innerHTML = Object.entries(packs)
+            .map(([id, pack]) => `<option value="${id}">${pack.label}</option>`)
+            .join('');
+    }
+
+    getAudioSettings() {
+        // Custom programs carry their own settings; presets and the quick timer use local overrides
+        const program = this.getSelectedProgram();
+        const defaults = window.timerAudio ? window.timerAudio.defaults : {};
         return {
-            main: {
-                image: 'https://images.unsplash.com/photo-1534438327276-14e5300c3a48?w=800&h=400&fit=crop',
-                title: 'Main Gym Floor',
-                description: 'Welcome to our spacious main gym floor featuring state-of-the-art equipment and an open, energizing atmosphere perfect for all your fitness needs.',
-                features: [
-                    '24/7 Access Available',
-                    'Climate Controlled',
-                    'Professional Sound System'
-                ]
-            },
-            cardio: {
-                image: 'https://images.unsplash.com/photo-1571902943202-507ec2618e8f?w=800&h=400&fit=crop',
-                title: 'Cardio Zone',
-                description: 'Our dedicated cardio area features the latest treadmills, ellipticals, and bikes, all equipped with personal entertainment systems.',
-                features: [
-                    'Latest Cardio Equipment',
-                    'Personal Entertainment Systems',
-                    'Heart Rate Monitoring',
-                    'Towel Service Available'
-                ]
-            },
-            weights: {
-                image: 'https://images.unsplash.com/photo-1583454110551-21f2fa2afe61?w=800&h=400&fit=crop',
-                title: 'Weight Training Area',
-                description: 'Complete free weight section with dumbbells, barbells, and specialized strength training equipment for serious lifters.',
-                features: [
-                    'Full Range of Free Weights',
-                    'Olympic Lifting Platform',
-                    'Specialized Strength Equipment',
-                    'Spotting Available'
-                ]
-            },
-            studio: {
-                image: 'https://images.unsplash.com/photo-1544367567-0f2fcb009e0b?w=800&h=400&fit=crop',
-                title: 'Group Fitness Studio',
-                description: 'Spacious studio designed for group classes including yoga, pilates, HIIT, and dance fitness with premium sound and lighting.',
-                features: [
-                    'Premium Sound System',
-                    'Mirrored Walls',
-                    'Yoga Props Available',
-                    'Climate Controlled'
-                ]
-            },
-            locker: {
-                image: 'https://images.unsplash.com/photo-1540497077202-7c8a3999166f?w=800&h=400&fit=crop',
-                title: 'Locker Rooms',
-                description: 'Clean, spacious locker rooms with modern amenities including showers, lockers, and grooming stations.',
-                features: [
-                    'Individual Shower Stalls',
-                    'Secure Lockers',
-                    'Hair Dryers Available',
-                    'Towel Service'
-                ]
-            }
+            ...defaults,
+            ...(program.audio || {}),
+            ...(this.audioOverrides[this.select.value] || {})
         };
     }
 
-    switchTour(tourType) {
-        const tourInfo = this.tourData[tourType];
-        if (!tourInfo) return;
+    renderAudioControls() {
+        const settings = this.getAudioSettings();
+        this.soundPackSelect.value = settings.soundPack;
+        this.volumeInput.value = settings.volume;
+        this.volumeValue.textContent = `${settings.volume}%`;
+        this.muteInput.checked = settings.muted;
+        this.voiceInput.checked = settings.voice;
+        this.vibrateInput.checked = settings.vibration;
+    }
 
-        // Update image with fade effect
-        this.tourImage.style.opacity = '0';
-        setTimeout(() => {
-            this.tourImage.src = tourInfo.image;
-            this.tourImage.alt = tourInfo.title;
-            this.tourImage.style.opacity = '1';
-        }, 300);
+    saveAudioSettings() {
+        const settings = {
+            soundPack: this.soundPackSelect.value,
+            volume: parseInt(this.volumeInput.value),
+            muted: this.muteInput.checked,
+            voice: this.voiceInput.checked,
+            vibration: this.vibrateInput.checked
+        };
+        this.volumeValue.textContent = `${settings.volume}%`;
 
-        // Update content
-        this.tourTitle.textContent = tourInfo.title;
-        this.tourDescription.textContent = tourInfo.description;
-        
-        // Update features
-        this.tourFeatures.innerHTML = tourInfo.features.map(feature => `
-            <div class="feature-item">
-                <i class="fas fa-check"></i>
-                <span>${feature}</span>
-            </div>
-        `).join('');
+        if (this.select.value.startsWith('custom:')) {
+            this.getSelectedProgram().audio = settings;
+            this.save();
+        } else {
+            this.audioOverrides[this.select.value] = settings;
+            localStorage.setItem(this.audioKey, JSON.stringify(this.audioOverrides));
+        }
     }
 
-    updateActiveButton(activeBtn) {
-        this.tourBtns.forEach(btn => btn.classList.remove('active'));
-        activeBtn.classList.add('active');
+    populateBlockTypes() {
+        document.getElementById('program-block-type').innerHTML = Object.entries(this.blockTypes)
+            .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+            .join('');
     }
-}
 
-// Weather Widget Manager
-class WeatherWidget {
-    constructor() {
-        this.weatherIcon = document.getElementById('weather-icon');
-        this.weatherTemp = document.getElementById('weather-temp');
-        this.weatherDesc = document.getElementById('weather-desc');
-        this.weatherVisibility = document.getElementById('weather-visibility');
-        this.weatherHumidity = document.getElementById('weather-humidity');
-        this.weatherWind = document.getElementById('weather-wind');
-        this.workoutSuggestion = document.getElementById('workout-suggestion');
-        this.init();
+    renderProgramOptions() {
+        this.select.innerHTML = `
+            <option value="quick">Quick Timer (settings above)</option>
+            <optgroup label="Presets">
+                ${this.presets.map(program => `<option value="preset:${program.id}">${program.name}</option>`).join('')}
+            </optgroup>
+            ${this.programs.length > 0 ? `
+                <optgroup label="My Programs">
+                    ${this.programs.map(program => `<option value="custom:${program.id}">${Utils.escapeHtml(program.name)}</option>`).join('')}
+                </optgroup>
+            ` : ''}
+        `;
     }
 
-    init() {
-        if (!this.weatherIcon) return;
-        this.updateWeather();
-        // Update weather every 30 minutes
-        setInterval(() => this.updateWeather(), 30 * 60 * 1000);
+    getSelectedProgram() {
+        const [source, id] = this.select.value.split(':');
+
+        if (source === 'preset') {
+            return this.presets.find(program => program.id === id) || this.buildQuickProgram();
+        }
+        if (source === 'custom') {
+            return this.programs.find(program => program.id === id) || this.buildQuickProgram();
+        }
+        return this.buildQuickProgram();
+    }
+
+    buildQuickProgram() {
+        const work = parseInt(document.getElementById('work-time').value) || 30;
+        const rest = parseInt(document.getElementById('rest-time').value) || 10;
+        const rounds = parseInt(document.getElementById('rounds').value) || 8;
+
+        return {
+            id: 'quick',
+            name: 'Quick Timer',
+            blocks: [{ type: 'interval', name: 'Intervals', work, rest, rounds, sets: 1, setRest: 0 }]
+        };
+    }
+
+    updateSelection() {
+        const isQuick = this.select.value === 'quick';
+        const isCustom = this.select.value.startsWith('custom:');
+
+        this.quickSettings.style.display = isQuick ? '' : 'none';
+        document.getElementById('program-delete').disabled = !isCustom;
+        this.renderAudioControls();
+        this.updateSummary();
+
+        if (window.workoutTimer) {
+            window.workoutTimer.updateDisplay();
+        }
     }
 
-    updateWeather() {
-        // Simulate weather data (in a real app, you'd fetch from a weather API)
-        const weatherConditions = [
-            { temp: 22, desc: 'Sunny', icon: 'fas fa-sun', visibility: '10km', humidity: '45%', wind: '12 km/h', suggestion: 'Perfect weather for outdoor running! Try our outdoor bootcamp class.' },
-            { temp: 18, desc: 'Cloudy', icon: 'fas fa-cloud', visibility: '8km', humidity: '65%', wind: '15 km/h', suggestion: 'Great day for indoor workouts. Join our HIIT class!' },
-            { temp: 25, desc: 'Partly Cloudy', icon: 'fas fa-cloud-sun', visibility: '12km', humidity: '55%', wind: '8 km/h', suggestion: 'Ideal conditions for any workout. How about some strength training?' },
-            { temp: 15, desc: 'Rainy', icon: 'fas fa-cloud-rain', visibility: '5km', humidity: '85%', wind: '20 km/h', suggestion: 'Stay dry with our indoor cycling class or yoga session.' }
-        ];
+    updateSummary() {
+        const program = this.getSelectedProgram();
+        const totalSeconds = this.getTotalDuration(program);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
 
-        const currentWeather = weatherConditions[Math.floor(Math.random() * weatherConditions.length)];
-        
-        this.weatherIcon.className = currentWeather.icon;
-        this.weatherTemp.textContent = `${currentWeather.temp}°C`;
-        this.weatherDesc.textContent = currentWeather.desc;
-        this.weatherVisibility.textContent = currentWeather.visibility;
-        this.weatherHumidity.textContent = currentWeather.humidity;
-        this.weatherWind.textContent = currentWeather.wind;
-        this.workoutSuggestion.textContent = currentWeather.suggestion;
+        this.summary.textContent = `${program.blocks.map(block => block.name || this.blockTypes[block.type].label).join(' → ')} · ${minutes}:${seconds.toString().padStart(2, '0')} total`;
     }
-}
 
-// Gym Statistics Manager
-class GymStats {
-    constructor() {
-        this.statsElements = {
-            currentMembers: document.getElementById('current-members'),
-            workoutsToday: document.getElementById('workouts-today'),
-            caloriesToday: document.getElementById('calories-today'),
-            avgWorkout: document.getElementById('avg-workout'),
-            peakHours: document.getElementById('peak-hours'),
-            achievementsUnlocked: document.getElementById('achievements-unlocked')
-        };
-        this.activityFeed = document.getElementById('activity-feed');
-        this.init();
+    setLocked(locked) {
+        this.select.disabled = locked;
+        ['program-new', 'program-edit', 'program-delete'].forEach(id => {
+            document.getElementById(id).disabled = locked || (id === 'program-delete' && !this.select.value.startsWith('custom:'));
+        });
     }
 
-    init() {
-        if (!this.statsElements.currentMembers) return;
-        this.updateStats();
-        this.updateActivityFeed();
-        
-        // Update stats every 5 minutes
-        setInterval(() => this.updateStats(), 5 * 60 * 1000);
-        // Update activity feed every 30 seconds
-        setInterval(() => this.updateActivityFeed(), 30 * 1000);
+    createBlock(type) {
+        return { type, name: this.blockTypes[type].label, ...this.blockTypes[type].defaults };
     }
 
-    updateStats() {
-        // Simulate real-time stats updates
-        const baseStats = {
-            currentMembers: 1247,
-            workoutsToday: 89,
-            caloriesToday: 45230,
-            avgWorkout: 52,
-            peakHours: '6-8 PM',
-            achievementsUnlocked: 156
-        };
+    validateProgram(program) {
+        const errors = [];
 
-        // Add some random variation
-        const variation = {
-            currentMembers: Math.floor(Math.random() * 10) - 5,
-            workoutsToday: Math.floor(Math.random() * 20) - 10,
-            caloriesToday: Math.floor(Math.random() * 2000) - 1000,
-            avgWorkout: Math.floor(Math.random() * 10) - 5,
-            achievementsUnlocked: Math.floor(Math.random() * 10) - 5
-        };
+        if (!program || typeof program !== 'object') {
+            return ['Program must be an object.'];
+        }
+        if (typeof program.name !== 'string' || program.name.trim() === '') {
+            errors.push('Program needs a name.');
+        }
+        if (!Array.isArray(program.blocks) || program.blocks.length === 0) {
+            errors.push('Program needs at least one block.');
+            return errors;
+        }
 
-        Object.keys(baseStats).forEach(key => {
-            if (this.statsElements[key] && key !== 'peakHours') {
-                const newValue = baseStats[key] + (variation[key] || 0);
-                this.animateNumber(this.statsElements[key], newValue, 1000);
+        if (program.audio !== undefined) {
+            const audio = program.audio || {};
+            const validAudio = typeof audio.soundPack === 'string' &&
+                Number.isInteger(audio.volume) && audio.volume >= 0 && audio.volume <= 100 &&
+                ['muted', 'voice', 'vibration'].every(key => typeof audio[key] === 'boolean');
+            if (!validAudio) {
+                errors.push('Sound settings need a sound pack, a volume from 0 to 100 and on/off values for mute, voice and vibration.');
+            }
+        }
+
+        program.blocks.forEach((block, index) => {
+            const definition = block && this.blockTypes[block.type];
+            if (!definition) {
+                errors.push(`Block ${index + 1}: unknown type "${block && block.type}".`);
+                return;
+            }
+            // Names end up in the summary, the phase labels and the voice cues
+            if (block.name !== undefined && typeof block.name !== 'string') {
+                errors.push(`Block ${index + 1} (${definition.label}): name must be text.`);
+                return;
             }
+
+            definition.fields.forEach(field => {
+                const [min, max] = this.fieldLimits[field];
+                const value = block[field];
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    errors.push(`Block ${index + 1} (${block.name || definition.label}): ${this.fieldLabels[field]} must be between ${min} and ${max}.`);
+                }
+            });
         });
+
+        return errors;
     }
 
-    animateNumber(element, target, duration) {
-        const start = parseInt(element.textContent.replace(/,/g, '')) || 0;
-        const startTime = performance.now();
+    compileProgram(program) {
+        // Flatten blocks into the ordered list of phases the timer runs through
+        const phases = [];
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-            const current = Math.floor(start + (target - start) * easeOutQuart);
-            
-            element.textContent = current.toLocaleString();
-            
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+        program.blocks.forEach(block => {
+            const name = block.name || this.blockTypes[block.type].label;
+            const sets = block.sets || 1;
+
+            if (['warmup', 'cooldown', 'rest'].includes(block.type)) {
+                phases.push({ type: block.type, duration: block.duration, label: name, blockName: name, round: 1, totalRounds: 1 });
+                return;
             }
-        };
 
-        requestAnimationFrame(animate);
+            const rounds = block.type === 'amrap' ? 1 : block.rounds;
+            const totalRounds = rounds * sets;
+
+            for (let set = 1; set <= sets; set++) {
+                for (let round = 1; round <= rounds; round++) {
+                    const roundNumber = (set - 1) * rounds + round;
+                    const workDuration = block.type === 'emom' ? block.interval : (block.type === 'amrap' ? block.duration : block.work);
+
+                    phases.push({ type: 'work', duration: workDuration, label: `${name}: ${block.type === 'amrap' ? 'AMRAP' : 'WORK!'}`, blockName: name, round: roundNumber, totalRounds });
+
+                    if (block.rest > 0 && round < rounds && ['interval', 'tabata'].includes(block.type)) {
+                        phases.push({ type: 'rest', duration: block.rest, label: `${name}: Rest`, blockName: name, round: roundNumber, totalRounds });
+                    }
+                }
+
+                if (set < sets && block.setRest > 0) {
+                    phases.push({ type: 'rest', duration: block.setRest, label: 'Rest Between Sets', blockName: name, round: set * rounds, totalRounds, isSetRest: true });
+                }
+            }
+        });
+
+        return phases;
     }
 
-    updateActivityFeed() {
-        const activities = [
-            { user: 'Sarah M.', action: 'completed a 45-min HIIT workout', time: '2 minutes ago' },
-            { user: 'Mike R.', action: 'unlocked "Strength Master" achievement', time: '5 minutes ago' },
-            { user: 'Emma L.', action: 'joined the Morning Yoga class', time: '8 minutes ago' },
-            { user: 'John D.', action: 'set a new personal record in deadlifts', time: '12 minutes ago' },
-            { user: 'Lisa K.', action: 'completed their 50th workout', time: '15 minutes ago' },
-            { user: 'Alex P.', action: 'burned 500 calories in spin class', time: '18 minutes ago' }
-        ];
+    describeBlock(block) {
+        const formatSeconds = seconds => seconds >= 60 && seconds % 60 === 0 ? `${seconds / 60} min` : `${seconds}s`;
+        const sets = block.sets > 1 ? ` × ${block.sets} sets` : '';
 
-        // Shuffle and take first 3
-        const shuffled = activities.sort(() => 0.5 - Math.random()).slice(0, 3);
-        
-        this.activityFeed.innerHTML = shuffled.map(activity => `
-            <div class="activity-item">
-                <div class="activity-avatar">
-                    <i class="fas fa-user"></i>
-                </div>
-                <div class="activity-content">
-                    <p><strong>${activity.user}</strong> ${activity.action}</p>
-                    <span class="activity-time">${activity.time}</span>
-                </div>
-            </div>
-        `).join('');
+        switch (block.type) {
+            case 'interval':
+            case 'tabata':
+                return `${block.rounds} × ${formatSeconds(block.work)} work / ${formatSeconds(block.rest)} rest${sets}`;
+            case 'emom':
+                return `${block.rounds} × ${formatSeconds(block.interval)}${sets}`;
+            case 'amrap':
+                return `${formatSeconds(block.duration)}${sets}`;
+            default:
+                return formatSeconds(block.duration);
+        }
     }
-}
 
-// Achievement System Manager
-class AchievementSystem {
-    constructor() {
-        this.achievementCards = document.querySelectorAll('.achievement-card');
-        this.init();
+    getTotalDuration(program) {
+        return this.compileProgram(program).reduce((total, phase) => total + phase.duration, 0);
     }
 
-    init() {
-        if (this.achievementCards.length === 0) return;
-        this.bindEvents();
-        this.simulateProgress();
+    openEditor(program) {
+        this.editingId = program.id || null;
+        this.editingAudio = program.audio || null;
+        this.nameInput.value = program.name;
+        this.renderBlocks(program.blocks.map(block => ({ ...block })));
+        this.errorsEl.textContent = '';
+        this.editor.style.display = '';
     }
 
-    bindEvents() {
-        this.achievementCards.forEach(card => {
-            card.addEventListener('click', () => {
-                this.showAchievementDetails(card);
-            });
-        });
+    closeEditor() {
+        this.editor.style.display = 'none';
+        this.editingId = null;
     }
 
-    simulateProgress() {
-        // Simulate achievement progress updates
-        setInterval(() => {
-            this.achievementCards.forEach(card => {
-                if (card.classList.contains('locked')) {
-                    const progressFill = card.querySelector('.progress-fill');
-                    const progressText = card.querySelector('.progress-text');
-                    
-                    if (progressFill && progressText) {
-                        const currentWidth = parseInt(progressFill.style.width) || 0;
-                        const increment = Math.random() * 5; // Random progress increment
-                        const newWidth = Math.min(currentWidth + increment, 100);
-                        
-                        progressFill.style.width = `${newWidth}%`;
-                        
-                        // Update progress text based on achievement type
-                        const achievementType = card.dataset.achievement;
-                        this.updateProgressText(card, achievementType, newWidth);
-                        
-                        // Check if achievement should be unlocked
-                        if (newWidth >= 100) {
-                            this.unlockAchievement(card);
-                        }
-                    }
-                }
+    renderBlocks(blocks) {
+        this.blocksContainer.innerHTML = blocks.map((block, index) => {
+            const definition = this.blockTypes[block.type];
+            return `
+                <div class="program-block" data-type="${block.type}">
+                    <div class="program-block-header">
+                        <span class="program-block-type">${definition.label}</span>
+                        <input type="text" data-field="name" value="${Utils.escapeHtml(block.name || definition.label)}" aria-label="Block name">
+                        <div class="program-block-actions">
+                            <button type="button" data-block-action="up" data-index="${index}" aria-label="Move up"><i class="fas fa-arrow-up"></i></button>
+                            <button type="button" data-block-action="down" data-index="${index}" aria-label="Move down"><i class="fas fa-arrow-down"></i></button>
+                            <button type="button" data-block-action="remove" data-index="${index}" aria-label="Remove block"><i class="fas fa-trash"></i></button>
+                        </div>
+                    </div>
+                    <div class="program-block-fields">
+                        ${definition.fields.map(field => `
+                            <label>
+                                <span>${this.fieldLabels[field]}</span>
+                                <input type="number" data-field="${field}" value="${block[field]}" min="${this.fieldLimits[field][0]}" max="${this.fieldLimits[field][1]}">
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    readEditorBlocks() {
+        return Array.from(this.blocksContainer.querySelectorAll('.program-block')).map(row => {
+            const block = { type: row.dataset.type };
+            row.querySelectorAll('[data-field]').forEach(input => {
+                block[input.dataset.field] = input.dataset.field === 'name' ? input.value.trim() : parseInt(input.value);
             });
-        }, 10000); // Update every 10 seconds
+            return block;
+        });
     }
 
-    updateProgressText(card, achievementType, progress) {
-        const progressText = card.querySelector('.progress-text');
-        const progressMap = {
-            'first-workout': { max: 1, unit: '' },
-            'week-warrior': { max: 5, unit: '' },
-            'strength-master': { max: 1000, unit: 'kg' },
-            'cardio-king': { max: 10000, unit: '' },
-            'consistency-champion': { max: 30, unit: '' }
+    saveEditor() {
+        const program = {
+            id: this.editingId || this.generateId(),
+            name: this.nameInput.value.trim(),
+            blocks: this.readEditorBlocks(),
+            ...(this.editingAudio ? { audio: { ...this.editingAudio } } : {})
         };
-        
-        const config = progressMap[achievementType];
-        if (config) {
-            const current = Math.floor((progress / 100) * config.max);
-            progressText.textContent = `${current}/${config.max}${config.unit}`;
+
+        const errors = this.validateProgram(program);
+        if (errors.length > 0) {
+            this.errorsEl.innerHTML = errors.map(error => Utils.escapeHtml(error)).join('<br>');
+            return;
+        }
+
+        const existingIndex = this.programs.findIndex(saved => saved.id === program.id);
+        if (existingIndex >= 0) {
+            this.programs[existingIndex] = program;
+        } else {
+            this.programs.push(program);
         }
+
+        this.save();
+        this.renderProgramOptions();
+        this.select.value = `custom:${program.id}`;
+        localStorage.setItem(this.selectedKey, this.select.value);
+        this.closeEditor();
+        this.updateSelection();
     }
 
-    unlockAchievement(card) {
-        card.classList.remove('locked');
-        card.classList.add('unlocked');
-        
-        // Show unlock animation
-        this.showUnlockNotification(card);
+    deleteSelected() {
+        if (!this.select.value.startsWith('custom:')) return;
+
+        const program = this.getSelectedProgram();
+        if (!window.confirm(`Delete "${program.name}"?`)) return;
+
+        this.programs = this.programs.filter(saved => saved.id !== program.id);
+        this.save();
+        this.renderProgramOptions();
+        this.select.value = 'quick';
+        localStorage.setItem(this.selectedKey, 'quick');
+        this.updateSelection();
     }
 
-    showUnlockNotification(card) {
-        const achievementName = card.querySelector('h4').textContent;
-        
-        const notification = document.createElement('div');
-        notification.className = 'achievement-notification';
-        notification.innerHTML = `
-            <div class="notification-content">
-                <i class="fas fa-trophy"></i>
-                <h4>Achievement Unlocked!</h4>
-                <p>${achievementName}</p>
-            </div>
-        `;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: linear-gradient(135deg, #00ff88, #00cc6a);
-            color: white;
-            padding: 1.5rem;
-            border-radius: 12px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-            z-index: 3000;
-            animation: slideInRight 0.5s ease, fadeOut 0.5s ease 4s forwards;
-            max-width: 300px;
-        `;
+    exportPrograms(programs) {
+        if (programs.length === 0) {
+            this.errorsEl.textContent = 'There are no saved programs to export yet.';
+            return;
+        }
 
-        document.body.appendChild(notification);
+        const content = JSON.stringify({ format: 'fitzone-timer-programs', version: 1, programs }, null, 2);
+        const filename = programs.length === 1 ? `${this.slugify(programs[0].name)}.json` : 'fitzone-timer-programs.json';
+        Utils.downloadFile(filename, content, 'application/json');
+    }
 
-        setTimeout(() => {
-            notification.remove();
-        }, 5000);
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const imported = this.importPrograms(JSON.parse(reader.result));
+                this.summary.textContent = `Imported ${imported.length} program${imported.length === 1 ? '' : 's'}.`;
+            } catch (e) {
+                this.summary.textContent = `Import failed: ${e.message}`;
+            }
+        };
+        reader.readAsText(file);
     }
 
-    showAchievementDetails(card) {
-        const achievementName = card.querySelector('h4').textContent;
-        const achievementDesc = card.querySelector('p').textContent;
-        const isUnlocked = card.classList.contains('unlocked');
-        
-        // Create modal or tooltip with achievement details
-        console.log(`Achievement: ${achievementName} - ${achievementDesc} - ${isUnlocked ? 'Unlocked' : 'Locked'}`);
+    importPrograms(data) {
+        // Accept an export file, a list of programs or a single program
+        const programs = Array.isArray(data) ? data : (data && Array.isArray(data.programs) ? data.programs : [data]);
+        const invalid = programs
+            .map((program, index) => ({ index, errors: this.validateProgram(program) }))
+            .filter(result => result.errors.length > 0);
+
+        if (invalid.length > 0) {
+            throw new Error(`program ${invalid[0].index + 1}: ${invalid[0].errors[0]}`);
+        }
+
+        // Imported programs always get fresh ids so they never overwrite local ones
+        const imported = programs.map(program => ({
+            id: this.generateId(),
+            name: program.name.trim(),
+            blocks: program.blocks.map(block => this.copyBlock(block)),
+            ...(program.audio ? { audio: this.copyAudio(program.audio) } : {})
+        }));
+
+        this.programs.push(...imported);
+        this.save();
+        this.renderProgramOptions();
+        this.select.value = `custom:${imported[imported.length - 1].id}`;
+        localStorage.setItem(this.selectedKey, this.select.value);
+        this.updateSelection();
+        return imported;
+    }
+
+    // Only the fields the block type uses are kept, so nothing else from a file reaches storage
+    copyBlock(block) {
+        const copy = { type: block.type };
+        if (block.name !== undefined) copy.name = block.name;
+        this.blockTypes[block.type].fields.forEach(field => {
+            copy[field] = block[field];
+        });
+        return copy;
+    }
+
+    copyAudio(audio) {
+        const { soundPack, volume, muted, voice, vibration } = audio;
+        return { soundPack, volume, muted, voice, vibration };
+    }
+
+    generateId() {
+        return `prog-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    slugify(str) {
+        return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'program';
     }
 }
 
 // Workout Timer Manager
+// Remaining time is always derived from a monotonic clock rather than counted per tick,
+// so throttled background tabs and mid-second pauses never lose time. Pass
+// { clock, wallClock } to drive the timer from a fake clock.
 class WorkoutTimer {
-    constructor() {
+    constructor(options = {}) {
         this.startBtn = document.getElementById('start-timer');
         this.pauseBtn = document.getElementById('pause-timer');
         this.resetBtn = document.getElementById('reset-timer');
@@ -2283,12 +9103,24 @@ class WorkoutTimer {
         
         this.isRunning = false;
         this.isPaused = false;
-        this.currentPhase = 'ready'; // ready, work, rest, complete
+        this.currentPhase = 'ready'; // ready, warmup, work, rest, cooldown, complete
         this.currentRoundNum = 1;
+        this.phases = [];
+        this.phaseIndex = -1;
+        this.session = null;
         this.timeRemaining = 0;
         this.totalTimeElapsed = 0;
         this.intervalId = null;
-        this.audioContext = null;
+        this.audio = options.audio || window.timerAudio || new TimerAudio();
+        this.firedCues = new Set();
+        this.clock = options.clock || (() => performance.now());
+        this.wallClock = options.wallClock || (() => Date.now());
+        this.tickInterval = 100;
+        this.phaseEndsAt = 0;
+        this.pausedRemainingMs = 0;
+        this.lastCountdownSecond = null;
+        this.stateKey = 'fitzone-timer-state';
+        this.maxRestoreAge = 6 * 60 * 60 * 1000;
         
         this.init();
     }
@@ -2297,7 +9129,7 @@ class WorkoutTimer {
         if (!this.startBtn) return;
         this.bindEvents();
         this.updateDisplay();
-        this.setupAudio();
+        this.restoreState();
     }
 
     bindEvents() {
@@ -2307,73 +9139,95 @@ class WorkoutTimer {
         
         // Update total time when settings change
         [this.workTimeInput, this.restTimeInput, this.roundsInput].forEach(input => {
-            input.addEventListener('input', () => this.updateTotalTime());
+            input.addEventListener('input', () => {
+                this.updateTotalTime();
+                if (window.timerPrograms) window.timerPrograms.updateSummary();
+            });
+        });
+
+        // Catch up immediately when a throttled tab becomes visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.isRunning) this.tick();
         });
+
+        window.addEventListener('pagehide', () => this.saveState());
     }
 
-    setupAudio() {
-        // Create audio context for beep sounds
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (e) {
-            console.log('Audio not supported');
-        }
+    cue(event, message = '') {
+        const settings = window.timerPrograms ? window.timerPrograms.getAudioSettings() : {};
+        this.audio.cue(event, settings, message);
     }
 
-    playBeep(frequency = 800, duration = 200) {
-        if (!this.audioContext) return;
-        
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        oscillator.frequency.value = frequency;
-        oscillator.type = 'sine';
-        
-        gainNode.gain.setValueAtTime(0.3, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration / 1000);
-        
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + duration / 1000);
+    getPhaseAnnouncement(phase) {
+        switch (phase.type) {
+            case 'work':
+                return phase.totalRounds > 1 ? `Round ${phase.round} of ${phase.totalRounds}, work!` : 'Work!';
+            case 'rest':
+                return phase.isSetRest ? 'Rest between sets' : 'Rest';
+            default:
+                return phase.label;
+        }
     }
 
-    startTimer() {
+    startTimer(selected = null) {
         if (this.isPaused) {
             this.resumeTimer();
             return;
         }
 
-        // Initialize timer
+        // Initialize timer with a 5 second get ready period before the program
+        const program = selected || this.getProgram();
+        const programPhases = this.compileProgram(program);
+        this.session = { name: program.name, blocks: program.blocks, startedAt: this.wallClock() };
+        this.phases = [
+            { type: 'ready', duration: 5, label: 'Get Ready', round: 1, totalRounds: programPhases[0].totalRounds },
+            ...programPhases
+        ];
+        this.phaseIndex = 0;
         this.isRunning = true;
         this.isPaused = false;
         this.currentPhase = 'ready';
         this.currentRoundNum = 1;
-        this.timeRemaining = 5; // 5 second get ready period
+        this.timeRemaining = this.phases[0].duration;
         this.totalTimeElapsed = 0;
+        this.phaseEndsAt = this.clock() + this.phases[0].duration * 1000;
+        this.lastCountdownSecond = null;
+        this.firedCues.clear();
 
         this.updateButtons();
         this.updateDisplay();
         this.startCountdown();
+        this.saveState();
         
-        // Play start beep
-        this.playBeep(1000, 300);
+        // Start cue; the click also lets the browser resume suspended audio
+        this.audio.unlock();
+        this.cue('start', 'Get ready');
     }
 
     pauseTimer() {
+        if (!this.isRunning) return;
+
+        this.tick();
+        if (!this.isRunning) return;
+
+        // Keep the exact sub-second remainder so resuming loses nothing
+        this.pausedRemainingMs = Math.max(0, this.phaseEndsAt - this.clock());
         this.isPaused = true;
         this.isRunning = false;
         clearInterval(this.intervalId);
         this.updateButtons();
-        this.timerPhase.textContent = 'Paused';
+        this.showPaused();
+        this.saveState();
     }
 
     resumeTimer() {
+        this.audio.unlock();
+        this.phaseEndsAt = this.clock() + this.pausedRemainingMs;
         this.isPaused = false;
         this.isRunning = true;
         this.updateButtons();
         this.startCountdown();
+        this.saveState();
     }
 
     resetTimer() {
@@ -2383,88 +9237,269 @@ class WorkoutTimer {
         this.currentRoundNum = 1;
         this.timeRemaining = 0;
         this.totalTimeElapsed = 0;
+        this.phases = [];
+        this.phaseIndex = -1;
+        this.pausedRemainingMs = 0;
+        this.session = null;
         
         clearInterval(this.intervalId);
         this.updateButtons();
         this.updateDisplay();
         this.resetProgress();
+        this.saveState();
     }
 
     startCountdown() {
-        this.intervalId = setInterval(() => {
-            this.timeRemaining--;
-            this.totalTimeElapsed++;
-            
-            this.updateDisplay();
-            this.updateProgress();
-            
-            // Phase transitions
-            if (this.timeRemaining <= 0) {
-                this.nextPhase();
+        clearInterval(this.intervalId);
+        this.intervalId = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    tick() {
+        if (!this.isRunning) return;
+
+        const now = this.clock();
+
+        // Skip over every phase that ended since the last tick, carrying the overshoot forward
+        let skipped = 0;
+        while (this.phaseEndsAt - now <= 0) {
+            if (skipped > 0) {
+                this.nextPhase(true);
             }
-            
-            // Beep on last 3 seconds
-            if (this.timeRemaining <= 3 && this.timeRemaining > 0) {
-                this.playBeep(600, 150);
+            skipped++;
+            if (this.phaseIndex + 1 >= this.phases.length) {
+                this.completeWorkout();
+                return;
             }
-            
-        }, 1000);
+            this.phaseEndsAt += this.phases[this.phaseIndex + 1].duration * 1000;
+        }
+        if (skipped > 0) {
+            this.nextPhase();
+        }
+
+        const remainingMs = this.phaseEndsAt - now;
+        this.timeRemaining = remainingMs / 1000;
+        this.totalTimeElapsed = this.getElapsedSeconds();
+
+        this.updateDisplay();
+        this.updateProgress();
+
+        this.checkTimedCues();
+
+        // Beep once on each of the last 3 seconds
+        const wholeSeconds = Math.ceil(this.timeRemaining);
+        if (wholeSeconds !== this.lastCountdownSecond && wholeSeconds <= 3 && wholeSeconds > 0) {
+            this.cue('countdown');
+        }
+        this.lastCountdownSecond = wholeSeconds;
     }
 
-    nextPhase() {
-        const workTime = parseInt(this.workTimeInput.value);
-        const restTime = parseInt(this.restTimeInput.value);
-        const totalRounds = parseInt(this.roundsInput.value);
+    checkTimedCues() {
+        const phase = this.getCurrentPhase();
+        if (!phase || phase.type === 'ready') return;
 
-        switch (this.currentPhase) {
-            case 'ready':
-                this.currentPhase = 'work';
-                this.timeRemaining = workTime;
-                this.playBeep(1200, 500); // High beep for work
-                break;
-                
-            case 'work':
-                if (this.currentRoundNum >= totalRounds) {
-                    this.completeWorkout();
-                    return;
-                }
-                this.currentPhase = 'rest';
-                this.timeRemaining = restTime;
-                this.playBeep(400, 300); // Low beep for rest
-                break;
-                
-            case 'rest':
-                this.currentRoundNum++;
-                this.currentPhase = 'work';
-                this.timeRemaining = workTime;
-                this.playBeep(1200, 500); // High beep for work
-                break;
+        // Each cue fires at most once per phase and only when the phase is long enough for it to help
+        if (phase.type === 'work' && phase.duration >= 30 && this.timeRemaining <= phase.duration / 2 && !this.firedCues.has('halfway')) {
+            this.firedCues.add('halfway');
+            this.cue('halfway', 'Halfway');
+        }
+
+        if (phase.duration >= 20 && this.timeRemaining <= 10 && this.timeRemaining > 3 && !this.firedCues.has('warning')) {
+            this.firedCues.add('warning');
+            this.cue('warning', '10 seconds left');
         }
     }
 
+    getElapsedSeconds() {
+        const phase = this.getCurrentPhase();
+        if (!phase) return this.totalTimeElapsed;
+
+        const completed = this.phases
+            .slice(1, this.phaseIndex)
+            .reduce((total, item) => total + item.duration, 0);
+        return phase.type === 'ready' ? 0 : completed + phase.duration - this.timeRemaining;
+    }
+
+    getProgram() {
+        return window.timerPrograms ? window.timerPrograms.getSelectedProgram() : {
+            name: 'Quick Timer',
+            blocks: [{
+                type: 'interval',
+                name: 'Intervals',
+                work: parseInt(this.workTimeInput.value) || 30,
+                rest: parseInt(this.restTimeInput.value) || 10,
+                rounds: parseInt(this.roundsInput.value) || 8,
+                sets: 1,
+                setRest: 0
+            }]
+        };
+    }
+
+    compileProgram(program) {
+        if (window.timerPrograms) {
+            return window.timerPrograms.compileProgram(program);
+        }
+
+        const block = program.blocks[0];
+        const phases = [];
+        for (let round = 1; round <= block.rounds; round++) {
+            phases.push({ type: 'work', duration: block.work, label: 'WORK!', round, totalRounds: block.rounds });
+            if (round < block.rounds && block.rest > 0) {
+                phases.push({ type: 'rest', duration: block.rest, label: 'Rest', round, totalRounds: block.rounds });
+            }
+        }
+        return phases;
+    }
+
+    getCurrentPhase() {
+        return this.phases[this.phaseIndex] || null;
+    }
+
+    nextPhase(silent = false) {
+        this.phaseIndex++;
+        const phase = this.getCurrentPhase();
+
+        if (!phase) {
+            this.completeWorkout();
+            return;
+        }
+
+        this.currentPhase = phase.type;
+        this.currentRoundNum = phase.round;
+        this.timeRemaining = phase.duration;
+        this.lastCountdownSecond = null;
+        this.firedCues.clear();
+
+        // Phases skipped while catching up are applied without sound
+        if (silent) return;
+
+        this.saveState();
+
+        this.cue(phase.type, this.getPhaseAnnouncement(phase));
+
+        this.updateDisplay();
+    }
+
     completeWorkout() {
         this.isRunning = false;
         this.currentPhase = 'complete';
         this.timeRemaining = 0;
+        this.totalTimeElapsed = this.phases
+            .slice(1)
+            .reduce((total, phase) => total + phase.duration, 0);
+        this.phaseIndex = this.phases.length;
         
         clearInterval(this.intervalId);
         this.updateButtons();
         this.updateDisplay();
+        this.saveState();
         
-        // Play completion sound
-        this.playBeep(1500, 1000);
+        // Play completion cue
+        this.cue('complete', 'Workout complete. Great job!');
+        this.logWorkout();
         
         // Show completion message
         setTimeout(() => {
-            alert('🎉 Workout Complete! Great job!');
+            alert(`🎉 Workout Complete! Great job!${window.workoutJournal ? ' It has been saved to your workout history.' : ''}`);
         }, 500);
     }
 
+    logWorkout() {
+        if (!window.workoutJournal || !this.session) return;
+
+        const programs = window.timerPrograms;
+        window.workoutJournal.add({
+            source: 'timer',
+            title: this.session.name,
+            date: new Date(this.session.startedAt).toISOString(),
+            duration: Math.round(this.totalTimeElapsed),
+            rounds: this.phases.filter(phase => phase.type === 'work').length,
+            exercises: this.session.blocks.map(block => ({
+                name: block.name || block.type,
+                reps: programs ? programs.describeBlock(block) : ''
+            }))
+        }).catch(error => console.error('Workout Timer: Could not save workout', error));
+    }
+
+    saveState() {
+        if (!this.isRunning && !this.isPaused) {
+            localStorage.removeItem(this.stateKey);
+            return;
+        }
+
+        const remainingMs = this.isPaused ? this.pausedRemainingMs : this.phaseEndsAt - this.clock();
+        localStorage.setItem(this.stateKey, JSON.stringify({
+            phases: this.phases,
+            phaseIndex: this.phaseIndex,
+            session: this.session,
+            remainingMs,
+            isPaused: this.isPaused,
+            savedAt: this.wallClock()
+        }));
+    }
+
+    restoreState() {
+        let state;
+        try {
+            state = JSON.parse(localStorage.getItem(this.stateKey));
+        } catch (e) {
+            state = null;
+        }
+
+        if (!state || !Array.isArray(state.phases) || !state.phases[state.phaseIndex]) return;
+
+        // performance.now() restarts with the page, so elapsed time comes from the wall clock
+        const awayMs = this.wallClock() - state.savedAt;
+        if (awayMs < 0 || awayMs > this.maxRestoreAge) {
+            localStorage.removeItem(this.stateKey);
+            return;
+        }
+
+        const phase = state.phases[state.phaseIndex];
+        this.phases = state.phases;
+        this.phaseIndex = state.phaseIndex;
+        this.session = state.session || null;
+        this.currentPhase = phase.type;
+        this.currentRoundNum = phase.round;
+
+        if (state.isPaused) {
+            this.isPaused = true;
+            this.pausedRemainingMs = state.remainingMs;
+            this.timeRemaining = state.remainingMs / 1000;
+            this.updateButtons();
+            this.updateDisplay();
+            this.updateProgress();
+            this.showPaused();
+            return;
+        }
+
+        this.isRunning = true;
+        this.phaseEndsAt = this.clock() + state.remainingMs - awayMs;
+        this.lastCountdownSecond = null;
+        this.updateButtons();
+        this.tick();
+        if (this.isRunning) {
+            this.startCountdown();
+        }
+    }
+
+    formatTime(totalSeconds) {
+        // Tenths are shown for the final ten seconds of a running phase
+        if (totalSeconds > 0 && totalSeconds < 10 && (this.isRunning || this.isPaused)) {
+            return `00:0${(Math.floor(totalSeconds * 10) / 10).toFixed(1)}`;
+        }
+
+        const wholeSeconds = Math.ceil(totalSeconds);
+        const minutes = Math.floor(wholeSeconds / 60);
+        const seconds = wholeSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
     updateDisplay() {
+        // The timing itself works without the page, e.g. under node --test
+        if (!this.timerTime) return;
+
         // Update timer display
-        const minutes = Math.floor(this.timeRemaining / 60);
-        const seconds = this.timeRemaining % 60;
-        this.timerTime.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        this.timerTime.textContent = this.formatTime(this.timeRemaining);
         
         // Update phase display
         const phaseText = {
@@ -2473,11 +9508,19 @@ class WorkoutTimer {
             'rest': 'Rest',
             'complete': 'Complete!'
         };
-        this.timerPhase.textContent = phaseText[this.currentPhase] || 'Ready';
+        const phase = this.getCurrentPhase();
+        this.timerPhase.textContent = phase && this.currentPhase !== 'complete'
+            ? phase.label
+            : (phaseText[this.currentPhase] || 'Ready');
         
-        // Update round display
+        // Update round display for the block currently running
         this.currentRound.textContent = this.currentRoundNum;
-        this.totalRounds.textContent = this.roundsInput.value;
+        if (phase) {
+            this.totalRounds.textContent = phase.totalRounds;
+        } else if (this.currentPhase !== 'complete') {
+            const firstWorkPhase = this.compileProgram(this.getProgram()).find(item => item.type === 'work');
+            this.totalRounds.textContent = firstWorkPhase ? firstWorkPhase.totalRounds : 1;
+        }
         
         // Update total time
         this.updateTotalTime();
@@ -2492,7 +9535,7 @@ class WorkoutTimer {
         const timerPhaseEl = this.timerPhase;
         
         // Remove existing phase classes
-        timerCircle.classList.remove('work-phase', 'rest-phase', 'ready-phase', 'complete-phase');
+        timerCircle.classList.remove('work-phase', 'rest-phase', 'ready-phase', 'complete-phase', 'warmup-phase', 'cooldown-phase');
         
         // Add current phase class
         timerCircle.classList.add(`${this.currentPhase}-phase`);
@@ -2507,6 +9550,14 @@ class WorkoutTimer {
                 timerTimeEl.style.color = '#00ff88';
                 timerPhaseEl.style.color = '#00ff88';
                 break;
+            case 'warmup':
+                timerTimeEl.style.color = '#ffd166';
+                timerPhaseEl.style.color = '#ffd166';
+                break;
+            case 'cooldown':
+                timerTimeEl.style.color = '#4dabf7';
+                timerPhaseEl.style.color = '#4dabf7';
+                break;
             case 'complete':
                 timerTimeEl.style.color = '#ffa500';
                 timerPhaseEl.style.color = '#ffa500';
@@ -2520,23 +9571,8 @@ class WorkoutTimer {
     updateProgress() {
         if (!this.timerProgress) return;
         
-        let totalPhaseTime;
-        const workTime = parseInt(this.workTimeInput.value);
-        const restTime = parseInt(this.restTimeInput.value);
-        
-        switch (this.currentPhase) {
-            case 'ready':
-                totalPhaseTime = 5;
-                break;
-            case 'work':
-                totalPhaseTime = workTime;
-                break;
-            case 'rest':
-                totalPhaseTime = restTime;
-                break;
-            default:
-                totalPhaseTime = 1;
-        }
+        const phase = this.getCurrentPhase();
+        const totalPhaseTime = phase ? phase.duration : 1;
         
         const progress = ((totalPhaseTime - this.timeRemaining) / totalPhaseTime) * 283;
         this.timerProgress.style.strokeDashoffset = 283 - progress;
@@ -2549,18 +9585,24 @@ class WorkoutTimer {
     }
 
     updateTotalTime() {
-        const workTime = parseInt(this.workTimeInput.value) || 30;
-        const restTime = parseInt(this.restTimeInput.value) || 10;
-        const rounds = parseInt(this.roundsInput.value) || 8;
-        
-        const totalSeconds = (workTime + restTime) * rounds;
+        // A running session keeps its own compiled phases even if the selection changes
+        const phases = this.phases.length > 0 ? this.phases.slice(1) : this.compileProgram(this.getProgram());
+        const totalSeconds = phases.reduce((total, phase) => total + phase.duration, 0);
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
         
         this.totalTime.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
+    showPaused() {
+        if (this.timerPhase) {
+            this.timerPhase.textContent = 'Paused';
+        }
+    }
+
     updateButtons() {
+        if (!this.startBtn) return;
+
         if (this.isRunning) {
             this.startBtn.disabled = true;
             this.pauseBtn.disabled = false;
@@ -2580,6 +9622,379 @@ class WorkoutTimer {
             this.startBtn.textContent = 'Start Timer';
             this.pauseBtn.textContent = 'Pause';
         }
+
+        if (window.timerPrograms) {
+            window.timerPrograms.setLocked(this.isRunning || this.isPaused);
+        }
+    }
+}
+
+// Workout Journal
+// Keeps logged workouts in IndexedDB, falling back to localStorage when IndexedDB is
+// unavailable (e.g. some private browsing modes). Every method returns a Promise.
+class WorkoutJournal {
+    constructor(dbName = 'fitzone', storeName = 'workouts') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.version = 1;
+        this.fallbackKey = 'fitzone-workout-journal';
+        this.dbPromise = null;
+        this.listeners = [];
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('date', 'date');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Workout Journal: Could not open IndexedDB, using localStorage', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    request(mode, operation) {
+        return this.open().then(db => {
+            if (!db) return this.fallbackRequest(mode, operation);
+
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = operation(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    fallbackRequest(mode, operation) {
+        // Mimics the small part of the IDBObjectStore API the journal uses
+        let entries;
+        try {
+            entries = JSON.parse(localStorage.getItem(this.fallbackKey)) || [];
+        } catch (e) {
+            entries = [];
+        }
+
+        const store = {
+            getAll: () => ({ result: entries }),
+            get: id => ({ result: entries.find(entry => entry.id === id) }),
+            put: entry => {
+                entries = [...entries.filter(item => item.id !== entry.id), entry];
+                return { result: entry.id };
+            },
+            delete: id => {
+                entries = entries.filter(entry => entry.id !== id);
+                return { result: undefined };
+            }
+        };
+
+        const result = operation(store).result;
+        if (mode === 'readwrite') {
+            localStorage.setItem(this.fallbackKey, JSON.stringify(entries));
+        }
+        return Promise.resolve(result);
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll())
+            .then(entries => entries.sort((a, b) => new Date(b.date) - new Date(a.date)));
+    }
+
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    add(entry) {
+        const record = {
+            id: this.generateId(),
+            date: new Date().toISOString(),
+            source: 'manual',
+            title: 'Workout',
+            duration: 0,
+            rounds: null,
+            exercises: [],
+            notes: '',
+            ...entry
+        };
+
+        return this.request('readwrite', store => store.put(record))
+            .then(() => {
+                this.notify();
+                return record;
+            });
+    }
+
+    update(id, changes) {
+        return this.get(id).then(entry => {
+            if (!entry) throw new Error(`No workout with id ${id}`);
+
+            const updated = { ...entry, ...changes, id };
+            return this.request('readwrite', store => store.put(updated)).then(() => {
+                this.notify();
+                return updated;
+            });
+        });
+    }
+
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id)).then(() => this.notify());
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    generateId() {
+        return `wo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Workout History Manager
+class WorkoutHistory {
+    constructor(journal = window.workoutJournal) {
+        this.journal = journal;
+        this.list = document.getElementById('history-list');
+        this.summary = document.getElementById('history-summary');
+        this.sourceFilter = document.getElementById('history-source');
+        this.entries = [];
+        this.editingId = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.list || !this.journal) return;
+        this.bindEvents();
+        this.journal.subscribe(() => this.render());
+        if (window.memberProfile) {
+            window.memberProfile.subscribe((profile, changes) => {
+                if (changes.unitsChanged) this.renderList();
+            });
+        }
+        this.render();
+    }
+
+    bindEvents() {
+        this.sourceFilter.addEventListener('change', () => this.renderList());
+
+        // Delegate actions for the rendered entries
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const id = button.dataset.id;
+            const entry = this.entries.find(item => item.id === id);
+            if (!entry) return;
+
+            if (button.dataset.action === 'edit') {
+                this.editingId = id;
+                this.renderList();
+            } else if (button.dataset.action === 'cancel-edit') {
+                this.editingId = null;
+                this.renderList();
+            } else if (button.dataset.action === 'delete') {
+                if (window.confirm(`Delete "${entry.title}" from ${this.formatDate(entry.date)}?`)) {
+                    this.journal.delete(id).catch(error => this.showError(error));
+                }
+            }
+        });
+
+        this.list.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEdit(e.target);
+        });
+    }
+
+    render() {
+        return this.journal.getAll()
+            .then(entries => {
+                this.entries = entries;
+                this.renderSummary();
+                this.renderList();
+            })
+            .catch(error => this.showError(error));
+    }
+
+    renderSummary() {
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        const thisWeek = this.entries.filter(entry => new Date(entry.date).getTime() >= weekAgo);
+        const minutes = Math.round(thisWeek.reduce((total, entry) => total + entry.duration, 0) / 60);
+
+        this.summary.innerHTML = `
+            <div class="history-stat">
+                <span class="history-stat-value">${this.entries.length}</span>
+                <span class="history-stat-label">Workouts Logged</span>
+            </div>
+            <div class="history-stat">
+                <span class="history-stat-value">${thisWeek.length}</span>
+                <span class="history-stat-label">This Week</span>
+            </div>
+            <div class="history-stat">
+                <span class="history-stat-value">${minutes}</span>
+                <span class="history-stat-label">Minutes This Week</span>
+            </div>
+        `;
+    }
+
+    renderList() {
+        const source = this.sourceFilter.value;
+        const entries = source === 'all' ? this.entries : this.entries.filter(entry => entry.source === source);
+
+        if (entries.length === 0) {
+            this.list.innerHTML = `
+                <p class="history-empty">
+                    ${this.entries.length === 0
+                        ? 'No workouts logged yet. Finish a timer session or save a generated workout to start your history.'
+                        : 'No workouts match this filter.'}
+                </p>
+            `;
+            return;
+        }
+
+        this.list.innerHTML = entries
+            .map(entry => entry.id === this.editingId ? this.renderEditForm(entry) : this.renderEntry(entry))
+            .join('');
+    }
+
+    renderEntry(entry) {
+        const sourceLabels = { timer: 'Timer', generator: 'Generated', manual: 'Manual' };
+
+        return `
+            <article class="history-entry">
+                <div class="history-entry-header">
+                    <div>
+                        <h4>${Utils.escapeHtml(entry.title)}</h4>
+                        <p class="history-entry-meta">
+                            ${this.formatDate(entry.date)} • ${this.formatDuration(entry.duration)}${entry.rounds ? ` • ${entry.rounds} rounds` : ''}${entry.volume ? ` • ${this.formatVolume(entry.volume)} volume` : ''}
+                        </p>
+                    </div>
+                    <span class="history-source ${entry.source}">${sourceLabels[entry.source] || entry.source}</span>
+                </div>
+                ${entry.exercises.length > 0 ? `
+                    <ul class="history-exercises">
+                        ${entry.exercises.map(exercise => `
+                            <li>${Utils.escapeHtml(exercise.name)} <span>${this.describeExercise(exercise)}</span></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${entry.notes ? `<p class="history-notes">${Utils.escapeHtml(entry.notes)}</p>` : ''}
+                <div class="history-entry-actions">
+                    <button class="btn btn-sm btn-outline" data-action="edit" data-id="${entry.id}">
+                        <i class="fas fa-pen"></i> Edit
+                    </button>
+                    <button class="btn btn-sm btn-secondary" data-action="delete" data-id="${entry.id}">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </article>
+        `;
+    }
+
+    renderEditForm(entry) {
+        return `
+            <form class="history-entry history-edit" data-id="${entry.id}">
+                <div class="history-edit-grid">
+                    <label>
+                        <span>Title</span>
+                        <input type="text" name="title" value="${Utils.escapeHtml(entry.title)}" required maxlength="80">
+                    </label>
+                    <label>
+                        <span>Date</span>
+                        <input type="datetime-local" name="date" value="${this.toInputDate(entry.date)}" required>
+                    </label>
+                    <label>
+                        <span>Duration (minutes)</span>
+                        <input type="number" name="duration" value="${Math.round(entry.duration / 60)}" min="1" max="600" required>
+                    </label>
+                    <label>
+                        <span>Rounds</span>
+                        <input type="number" name="rounds" value="${entry.rounds || ''}" min="1" max="500">
+                    </label>
+                </div>
+                <label>
+                    <span>Notes</span>
+                    <textarea name="notes" rows="3" maxlength="1000">${Utils.escapeHtml(entry.notes)}</textarea>
+                </label>
+                <div class="history-entry-actions">
+                    <button type="submit" class="btn btn-sm btn-primary">Save</button>
+                    <button type="button" class="btn btn-sm btn-outline" data-action="cancel-edit" data-id="${entry.id}">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    saveEdit(form) {
+        const entry = this.entries.find(item => item.id === form.dataset.id);
+        if (!entry) return;
+
+        const field = name => form.querySelector(`[name="${name}"]`).value;
+        const minutes = parseInt(field('duration'));
+        const rounds = parseInt(field('rounds'));
+
+        // Keep the logged seconds when the rounded minute value was not touched
+        const duration = minutes === Math.round(entry.duration / 60) ? entry.duration : minutes * 60;
+
+        this.editingId = null;
+        this.journal.update(entry.id, {
+            title: field('title').trim() || entry.title,
+            date: new Date(field('date')).toISOString(),
+            duration,
+            rounds: Number.isNaN(rounds) ? null : rounds,
+            notes: field('notes').trim()
+        }).catch(error => this.showError(error));
+    }
+
+    showError(error) {
+        console.error('Workout History:', error);
+        this.list.innerHTML = '<p class="history-empty">Your workout history could not be loaded. Please try again.</p>';
+    }
+
+    formatDate(isoString) {
+        return new Date(isoString).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    describeExercise(exercise) {
+        if (exercise.sets && exercise.sets.length > 0) {
+            return `${exercise.sets.length} sets • ${this.formatVolume(exercise.volume || 0)}`;
+        }
+        return exercise.reps ? Utils.escapeHtml(exercise.reps) : '';
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainder = Math.round(seconds % 60);
+        return remainder > 0 ? `${minutes} min ${remainder} s` : `${minutes} min`;
+    }
+
+    formatVolume(kg) {
+        const unit = window.unitConverter.preferred().weight === 'kg' ? 'kg' : 'lb';
+        return window.unitConverter.format(kg, unit, 0);
+    }
+
+    toInputDate(isoString) {
+        const date = new Date(isoString);
+        const offset = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offset).toISOString().slice(0, 16);
     }
 }
 
@@ -2594,17 +10009,35 @@ if (typeof module !== 'undefined' && module.exports) {
         FormHandler,
         PerformanceMonitor,
         AccessibilityManager,
+        Utils,
+        UnitConverter,
+        MemberProfile,
         BMICalculator,
+        BookingStore,
+        RemoteBookingAdapter,
         TrainerBooking,
+        MyBookings,
         ScheduleManager,
+        ScheduleGrid,
+        ScheduleFilter,
+        CalendarExporter,
         GalleryManager,
         ProgressTracker,
+        MeasurementTracker,
         ChatWidget,
         WorkoutGenerator,
+        WorkoutSession,
+        ProgramPlanner,
         NutritionCalculator,
+        FoodDiary,
+        MealPlanner,
         VirtualTour,
         WeatherWidget,
         GymStats,
-        WorkoutTimer
+        TimerAudio,
+        TimerProgramManager,
+        WorkoutTimer,
+        WorkoutJournal,
+        WorkoutHistory
     };
 }
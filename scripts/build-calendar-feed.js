@@ -0,0 +1,45 @@
+// Regenerates data/schedule.ics, the "Subscribe in Calendar" feed, from data/schedule.json.
+// Run with: node scripts/build-calendar-feed.js
+const fs = require('node:fs');
+const path = require('node:path');
+
+const scheduleFile = path.join(__dirname, '..', 'data', 'schedule.json');
+const feedFile = path.join(__dirname, '..', 'data', 'schedule.ics');
+
+// script.js wires itself to the page when loaded, so give it just enough of a browser to load
+global.document = global.document || {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {}
+};
+global.window = global.window || { addEventListener() {} };
+global.navigator = global.navigator || {};
+
+const { ScheduleManager, CalendarExporter } = require('../script.js');
+
+// Builds the feed the same way "Download Weekly Schedule (.ics)" does on the site
+function buildFeed() {
+    const schedule = new ScheduleManager();
+    const data = JSON.parse(fs.readFileSync(scheduleFile, 'utf8'));
+    const errors = schedule.validateSchedule(data);
+    if (errors.length > 0) {
+        throw new Error(`data/schedule.json is malformed:\n${errors.join('\n')}`);
+    }
+    schedule.scheduleData = data.days;
+
+    const previous = window.scheduleManager;
+    window.scheduleManager = schedule;
+    try {
+        return new CalendarExporter().buildScheduleCalendar();
+    } finally {
+        window.scheduleManager = previous;
+    }
+}
+
+if (require.main === module) {
+    fs.writeFileSync(feedFile, buildFeed());
+    console.log(`Wrote ${path.relative(process.cwd(), feedFile)}`);
+}
+
+module.exports = { buildFeed, feedFile };
@@ -0,0 +1,30 @@
+// Checks that data/schedule.ics was rebuilt after data/schedule.json changed. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+
+const { buildFeed, feedFile } = require('../scripts/build-calendar-feed.js');
+
+// The build time and the week events start from change with every build, so compare everything else
+const normalize = feed => feed
+    .replace(/^DTSTAMP:\d{8}T\d{6}Z\r$/gm, 'DTSTAMP\r')
+    .replace(/^(DTSTART;TZID=[^:]+:)\d{8}(T\d{6})\r$/gm, '$1$2\r');
+
+test('data/schedule.ics matches data/schedule.json', () => {
+    assert.strictEqual(
+        normalize(fs.readFileSync(feedFile, 'utf8')),
+        normalize(buildFeed()),
+        'Run node scripts/build-calendar-feed.js to regenerate data/schedule.ics'
+    );
+});
+
+test('every class starts on its own weekday', () => {
+    const weekdays = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+    const events = fs.readFileSync(feedFile, 'utf8').split('BEGIN:VEVENT').slice(1);
+    assert.ok(events.length > 0);
+    events.forEach(event => {
+        const [, year, month, day] = /DTSTART;TZID=[^:]+:(\d{4})(\d{2})(\d{2})T/.exec(event);
+        const [, code] = /RRULE:FREQ=WEEKLY;BYDAY=(\w\w)/.exec(event);
+        assert.strictEqual(new Date(Date.UTC(year, month - 1, day)).getUTCDay(), weekdays[code], event);
+    });
+});
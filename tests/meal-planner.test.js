@@ -0,0 +1,64 @@
+// Tests for MealPlanner against the bundled recipe database. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Recipes are checked against the diets and allergies the real form offers
+const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+const dietSelect = /<select id="diet-type"[^>]*>([\s\S]*?)<\/select>/.exec(html)[1];
+const formOptions = {
+    '#diet-type option': [...dietSelect.matchAll(/<option value="([^"]*)"/g)].map(match => ({ value: match[1] })),
+    '#meal-form input[name="allergies"]': [...html.matchAll(/name="allergies" value="([^"]+)"/g)].map(match => ({ value: match[1] }))
+};
+
+// script.js wires itself to the page when loaded, so give it just enough of a browser to load
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: selector => formOptions[selector] || [],
+    addEventListener() {}
+};
+global.window = { addEventListener() {} };
+global.navigator = {};
+
+const { MealPlanner } = require('../script.js');
+const data = require(path.join(__dirname, '..', 'data', 'recipes.json'));
+
+const createPlanner = () => {
+    const planner = new MealPlanner();
+    planner.recipeDatabase = data.recipes;
+    return planner;
+};
+
+test('data/recipes.json passes validation', () => {
+    assert.deepStrictEqual(createPlanner().validateRecipes(data), []);
+});
+
+test('validation rejects unknown allergens and diets', () => {
+    const [recipe] = data.recipes;
+    const errors = createPlanner().validateRecipes({
+        recipes: [{ ...recipe, allergens: ['peanuts'] }, { ...recipe, name: 'Other', diets: 'vegan' }]
+    });
+    assert.strictEqual(errors.length, 2);
+});
+
+test('ticked allergens are strictly excluded', () => {
+    const planner = createPlanner();
+    formOptions['#meal-form input[name="allergies"]'].forEach(({ value: allergen }) => {
+        for (let run = 0; run < 20; run++) {
+            planner.buildDayPlan('maintenance', 'balanced', 2400, 6, [allergen]).forEach(meal => {
+                if (meal.recipe) assert.ok(!meal.recipe.allergens.includes(allergen), `${meal.recipe.name} has ${allergen}`);
+            });
+        }
+    });
+});
+
+test('a plan that cannot reach the calorie target says so', () => {
+    const planner = createPlanner();
+    const plan = planner.buildDayPlan('maintenance', 'balanced', 4000, 3);
+    const total = plan.reduce((sum, meal) => sum + meal.recipe.calories, 0);
+    assert.ok(total < 4000 * 0.95, `3 meals reached ${total} kcal`);
+    assert.match(planner.getTargetNote(plan, total, 4000), new RegExp(`^${4000 - total} kcal short of your 4000 kcal target`));
+    assert.strictEqual(planner.getTargetNote(plan, 2000, 2000), '');
+});
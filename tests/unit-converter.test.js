@@ -0,0 +1,67 @@
+// Round-trip tests for UnitConverter. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+// script.js wires itself to the page when loaded, so give it just enough of a browser to load
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {}
+};
+global.window = { addEventListener() {} };
+global.navigator = {};
+
+const { UnitConverter } = require('../script.js');
+const converter = new UnitConverter();
+
+// Profiles store heights and weights rounded to 3 decimals, so every round trip goes through that too
+const stored = value => converter.round(value, 3);
+
+test('ft + in survive a round trip through cm', () => {
+    for (let feet = 3; feet <= 8; feet++) {
+        for (let tenths = 0; tenths < 120; tenths++) {
+            const inches = tenths / 10;
+            const cm = stored(converter.toMetric('ft', feet, inches));
+            assert.deepStrictEqual(converter.fromMetric('ft', cm), [feet, inches], `${feet} ft ${inches} in`);
+        }
+    }
+});
+
+test('st + lb survive a round trip through kg', () => {
+    for (let stone = 4; stone <= 40; stone++) {
+        for (let tenths = 0; tenths < 140; tenths++) {
+            const pounds = tenths / 10;
+            const kg = stored(converter.toMetric('st', stone, pounds));
+            assert.deepStrictEqual(converter.fromMetric('st', kg), [stone, pounds], `${stone} st ${pounds} lb`);
+        }
+    }
+});
+
+test('lb survive a round trip through kg', () => {
+    for (let tenths = 600; tenths <= 6600; tenths++) {
+        const pounds = tenths / 10;
+        const kg = stored(converter.toMetric('lb', pounds));
+        assert.deepStrictEqual(converter.fromMetric('lb', kg), [pounds], `${pounds} lb`);
+    }
+});
+
+test('kg survive a round trip through lb', () => {
+    for (let tenths = 300; tenths <= 3000; tenths++) {
+        const kg = tenths / 10;
+        const [pounds] = converter.fromMetric('lb', kg);
+        assert.strictEqual(converter.round(converter.toMetric('lb', pounds), 1), kg, `${kg} kg`);
+    }
+});
+
+test('inches that round up to 12 roll over into the next foot', () => {
+    const cm = converter.toMetric('ft', 5, 11.97);
+    assert.deepStrictEqual(converter.fromMetric('ft', cm), [6, 0]);
+    assert.strictEqual(converter.format(cm, 'ft'), '6 ft 0 in');
+});
+
+test('pounds that round up to 14 roll over into the next stone', () => {
+    const kg = converter.toMetric('st', 10, 13.97);
+    assert.deepStrictEqual(converter.fromMetric('st', kg), [11, 0]);
+    assert.strictEqual(converter.format(kg, 'st'), '11 st 0 lb');
+});
@@ -0,0 +1,74 @@
+// Tests for WorkoutGenerator substitutions against the real exercise library. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// script.js wires itself to the page when loaded, so give it just enough of a browser to load
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {}
+};
+global.window = { addEventListener() {} };
+global.navigator = {};
+
+const { WorkoutGenerator } = require('../script.js');
+const library = require(path.join(__dirname, '..', 'data', 'exercises.json'));
+
+const createGenerator = limitations => {
+    const generator = new WorkoutGenerator();
+    generator.workoutDatabase = library.workouts;
+    generator.exerciseTags = library.exercises;
+    generator.limitations = limitations;
+    return generator;
+};
+
+// The easiest level each exercise appears at in the library, as an index into levels
+const levels = ['beginner', 'intermediate', 'advanced'];
+const easiestLevel = {};
+levels.forEach((level, rank) => {
+    Object.values(library.workouts[level]).forEach(equipmentData => {
+        Object.values(equipmentData).forEach(exercises => {
+            exercises.forEach(exercise => {
+                if (!(exercise.name in easiestLevel)) easiestLevel[exercise.name] = rank;
+            });
+        });
+    });
+});
+
+test('injury substitutions never hand out a harder exercise than the selected level', () => {
+    const cases = [
+        ['strength', 'basic', 'shoulders', 'Dumbbell Shoulder Press'],
+        ['weight-loss', 'basic', 'lower-back', 'Dumbbell Deadlifts'],
+        ['muscle-gain', 'full', 'lower-back', 'Deadlifts']
+    ];
+    cases.forEach(([goal, equipment, limitation, original]) => {
+        const generator = createGenerator([limitation]);
+        const exercises = generator.getExercises('beginner', goal, equipment);
+        const replacement = exercises.find(exercise => exercise.replaces === original);
+        if (replacement) {
+            assert.strictEqual(easiestLevel[replacement.name], 0, `${original} was replaced by ${replacement.name}`);
+        }
+        exercises.forEach(exercise => {
+            assert.strictEqual(easiestLevel[exercise.name], 0, `${goal}/${equipment}: ${exercise.name}`);
+        });
+    });
+});
+
+test('swap options stay at or below the selected level', () => {
+    const generator = createGenerator([]);
+    levels.forEach((level, rank) => {
+        Object.entries(library.workouts[level]).forEach(([goal, equipmentData]) => {
+            Object.entries(equipmentData).forEach(([equipment, exercises]) => {
+                exercises.forEach(exercise => {
+                    generator.findAlternatives(generator.tagExercise(exercise), { level, goal, equipment })
+                        .forEach(alternative => {
+                            assert.ok(easiestLevel[alternative.name] <= rank,
+                                `${level} ${exercise.name} offered ${alternative.name}`);
+                        });
+                });
+            });
+        });
+    });
+});
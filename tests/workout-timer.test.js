@@ -0,0 +1,140 @@
+// Tests for WorkoutTimer driven by a fake clock. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+
+// script.js wires itself to the page when loaded, so give it just enough of a browser to load
+global.document = {
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {}
+};
+global.window = { addEventListener() {} };
+global.navigator = {};
+global.alert = () => {};
+const store = {};
+global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+};
+
+const { WorkoutTimer } = require('../script.js');
+
+// Get Ready 5 s, then work 10 s / rest 5 s / work 10 s
+const program = {
+    name: 'Test Intervals',
+    blocks: [{ type: 'interval', name: 'Intervals', work: 10, rest: 5, rounds: 2, sets: 1, setRest: 0 }]
+};
+
+const createTimer = (t, time = { now: 0, wall: 1700000000000 }) => {
+    const cues = [];
+    const timer = new WorkoutTimer({
+        clock: () => time.now,
+        wallClock: () => time.wall,
+        audio: { unlock() {}, cue: event => cues.push(event) }
+    });
+    t.after(() => clearInterval(timer.intervalId));
+    // Moves both clocks on, as time passing in the tab does
+    const advance = ms => {
+        time.now += ms;
+        time.wall += ms;
+    };
+    return { timer, cues, time, advance };
+};
+
+test('pausing mid-second keeps the sub-second remainder', t => {
+    const { timer, advance } = createTimer(t);
+    timer.startTimer(program);
+
+    advance(3400);
+    timer.pauseTimer();
+    assert.strictEqual(timer.isPaused, true);
+    assert.strictEqual(timer.pausedRemainingMs, 1600);
+
+    // Time spent paused does not count
+    advance(60000);
+    timer.startTimer();
+    assert.strictEqual(timer.isRunning, true);
+
+    advance(1599);
+    timer.tick();
+    assert.strictEqual(timer.currentPhase, 'ready');
+    assert.ok(Math.abs(timer.timeRemaining - 0.001) < 1e-9);
+
+    advance(1);
+    timer.tick();
+    assert.strictEqual(timer.currentPhase, 'work');
+    assert.strictEqual(timer.timeRemaining, 10);
+});
+
+test('a throttled tab catches up across several phases at once', t => {
+    const { timer, cues, advance } = createTimer(t);
+    timer.startTimer(program);
+    cues.length = 0;
+
+    // Ready, round 1 work and the rest all ended while the tab was throttled
+    advance(5000 + 10000 + 5000 + 3000);
+    timer.tick();
+    assert.strictEqual(timer.currentPhase, 'work');
+    assert.strictEqual(timer.currentRoundNum, 2);
+    assert.strictEqual(timer.timeRemaining, 7);
+    assert.strictEqual(timer.totalTimeElapsed, 18);
+    // Skipped phases are applied silently; only the phase it lands in is announced
+    assert.deepStrictEqual(cues, ['work']);
+
+    advance(60000);
+    timer.tick();
+    assert.strictEqual(timer.isRunning, false);
+    assert.strictEqual(timer.currentPhase, 'complete');
+    assert.strictEqual(timer.totalTimeElapsed, 25);
+});
+
+test('a running session is restored after a reload from the wall clock', t => {
+    const { timer, time, advance } = createTimer(t);
+    timer.startTimer(program);
+    advance(2000);
+    timer.tick();
+    timer.saveState();
+    clearInterval(timer.intervalId);
+
+    // The page's monotonic clock restarts at zero on reload; 4 s pass in between
+    const reloaded = createTimer(t, { now: 0, wall: time.wall + 4000 });
+    reloaded.timer.restoreState();
+    assert.strictEqual(reloaded.timer.isRunning, true);
+    assert.strictEqual(reloaded.timer.currentPhase, 'work');
+    assert.strictEqual(reloaded.timer.timeRemaining, 9);
+    assert.strictEqual(reloaded.timer.session.name, 'Test Intervals');
+});
+
+test('a paused session is restored paused, however long the page was closed', t => {
+    const { timer, time, advance } = createTimer(t);
+    timer.startTimer(program);
+    advance(7250);
+    timer.tick();
+    timer.pauseTimer();
+
+    const reloaded = createTimer(t, { now: 0, wall: time.wall + 60 * 60 * 1000 });
+    reloaded.timer.restoreState();
+    assert.strictEqual(reloaded.timer.isPaused, true);
+    assert.strictEqual(reloaded.timer.currentPhase, 'work');
+    assert.strictEqual(reloaded.timer.pausedRemainingMs, 7750);
+
+    reloaded.timer.startTimer();
+    reloaded.advance(7750);
+    reloaded.timer.tick();
+    assert.strictEqual(reloaded.timer.currentPhase, 'rest');
+});
+
+test('a saved session older than the restore limit is dropped', t => {
+    const { timer, time, advance } = createTimer(t);
+    timer.startTimer(program);
+    advance(1000);
+    timer.saveState();
+    clearInterval(timer.intervalId);
+
+    const reloaded = createTimer(t, { now: 0, wall: time.wall + timer.maxRestoreAge + 1 });
+    reloaded.timer.restoreState();
+    assert.strictEqual(reloaded.timer.isRunning, false);
+    assert.strictEqual(localStorage.getItem(reloaded.timer.stateKey), null);
+});